@@ -1,6 +1,7 @@
 package WWW::Livesite::Responders::Hub;
 use strict;
 use Encode;
+use IO::File;
 use Error qw(:try);
 use LWP::UserAgent;
 use Fcntl qw(:flock);
@@ -48,7 +49,7 @@ sub get_permission_mode {
 
 sub can_upload {
   my $self = shift;
-  $self->{'verb'} eq 'upload';
+  $self->{'verb'} eq 'upload' || $self->{'verb'} eq 'upload_chunk';
 }
 
 # If the responder can handle uploads for this request, insert our progress
@@ -65,7 +66,8 @@ sub get_input_filter {
 sub max_post_size {
   my $self = shift;
   # TODO - Glean values from configuration
-  $self->{'verb'} eq 'upload' ? ONE_MB * 500 : ONE_MB * 2;
+  $self->{'verb'} eq 'upload' ? ONE_MB * 500 :
+  $self->{'verb'} eq 'upload_chunk' ? ONE_MB * 10 : ONE_MB * 2;
 }
 
 # ------------------------------------------------------------------------------
@@ -140,6 +142,7 @@ sub run {
   $self->{'result'}->set('/head/verb', $verb);
   try {
     &$sub($self);
+    $self->_journal();
   } catch Error::AccessDenied with {
     # We do not want to trap this exception as it will trigger the login dialog
     shift->throw;
@@ -363,19 +366,23 @@ sub _fetch_into {
 
 # ------------------------------------------------------------------------------
 # store - Store a value
+#
+# When the storage has been modified since `mtime` (and the current value is
+# not the `origin`) the store is refused, unless `force` is set.
 # ------------------------------------------------------------------------------
 
 $Commands{'store'} = sub {
   my $self = shift;
   my $resp = $$self{'result'};
   my $params = $$self{'params'};
-  my ($ura, $value, $mtime, $origin) = @$params{'target', 'value', 'mtime', 'origin'};
+  my ($ura, $value, $mtime, $force, $origin)
+    = @$params{'target', 'value', 'mtime', 'force', 'origin'};
   $self->check_auth($ura, 'w');
   throw Error::Programatic('Invalid mtime') if $mtime && $mtime !~ /^\d+$/;
   throw Error::Logical('Undefined value') unless defined $value;
   my $storage = $Hub->find_storage($ura);
   throwf Error::Logical('Not a storable resource: %s', $ura) unless $storage;
-  if ($mtime && $storage->get_mtime > $mtime) {
+  if (!$force && $mtime && $storage->get_mtime > $mtime) {
     throw Error::Logical('File has been modified')
       if (!defined $origin) || ($Hub->get($ura) ne $origin);
   }
@@ -399,8 +406,8 @@ $Commands{'update'} = sub {
   my $self = shift;
   my $resp = $$self{'result'};
   my $params = $$self{'params'};
-  my ($ura, $values, $mtime, $origins)
-    = @$params{'target', 'values', 'mtime', 'origins'};
+  my ($ura, $values, $mtime, $force, $origins)
+    = @$params{'target', 'values', 'mtime', 'force', 'origins'};
   $self->check_auth($ura, 'w');
   throw Error::Programatic('Invalid mtime') if $mtime && $mtime !~ /^\d+$/;
   throw Error::Logical('Undefined values') unless defined $values;
@@ -408,7 +415,7 @@ $Commands{'update'} = sub {
   throw Error::Logical('Origin is not a hash') if defined $origins && !isa($origins, 'HASH');
   my $storage = $Hub->find_storage($ura);
   throwf Error::Logical('Not a storable resource: %s', $ura) unless $storage;
-  if ($mtime && $storage->get_mtime > $mtime) {
+  if (!$force && $mtime && $storage->get_mtime > $mtime) {
     my $conflict = 0;
     if (defined $origins) {
       foreach my $k (keys %$values) {
@@ -808,6 +815,101 @@ $Commands{upload} = sub {
   }
 };
 
+# ------------------------------------------------------------------------------
+# upload_chunk - Upload a part of a file
+#
+# Parameters:
+#
+#   name        Name of the new file
+#   replace     Replace an existing file
+#   offset      Position of this part within the file
+#   size        Size of the whole file
+#   file        Content of this part (multipart/form-data)
+#
+# The X-Progress-ID header identifies the upload, and its progress is reported
+# by upload_progress. Parts are appended to a spool file and must arrive in
+# order: a part whose offset is not the number of bytes received so far is
+# refused, and the client resumes from what upload_progress reports. A part
+# which would take the file past its size is refused before anything is
+# written. The file is created when the last part arrives.
+#
+#   /body       state (uploading or done), size and received
+# ------------------------------------------------------------------------------
+
+$Commands{upload_chunk} = sub {
+  my $self = shift;
+  my $resp = $$self{'result'};
+  my $params = $$self{'params'};
+  my $ura = $self->get_target();
+  my $name = $$params{'name'} or throw Error::MissingArg 'name';
+  my $replace = $$params{'replace'} || 0;
+  my $offset = $$params{'offset'} || 0;
+  my $size = $$params{'size'};
+  my $id = $$Hub{'/sys/request/xargs/X-Progress-ID'}
+    or throw Error::MissingArg 'X-Progress-ID';
+  throw Error::Logical 'Invalid upload id' unless $id =~ /^[\w\-]+$/;
+  throw Error::MissingArg 'size' unless defined $size && $size =~ /^\d+$/;
+  throw Error::Logical 'Invalid offset' unless $offset =~ /^\d+$/;
+  $self->check_auth($ura, 'w');
+  my $new_addr = path_normalize($ura . '/' . $name);
+  throw Error::Logical 'Path violation' unless index($new_addr, $ura) == 0;
+  my $parent = $Hub->{$ura};
+  throw Error::Logical 'Invalid parent' unless isa($parent, FS('Directory'));
+  throw Error::Logical "Node already exists" if !$replace && $parent->get($name);
+  my $new_path = path_normalize($parent->get_path() . '/' . $name);
+  my $stats = $Hub->vivify("/sys/tmp/xfr/$id.hf");
+  my $part_path = $stats->get_path();
+  $part_path =~ s/\.hf$/.part/;
+  my $upload = $Hub->{'/sys/request/obj'}->upload('file') or
+    throw Error::Logical('No content for upload parameter: file');
+  my $length = -s $upload->tempname() || 0;
+  my $in = IO::File->new($upload->tempname(), 'r') or die "$!: file";
+  my $out = IO::File->new($part_path, '>>') or die "$!: $part_path";
+  binmode $in;
+  binmode $out;
+  my $received;
+  my $state;
+  flock $out, LOCK_EX or die $!;
+  try {
+    # Measure what has arrived only once the lock is held, so that two parts
+    # for the same offset cannot both be accepted.
+    if ($offset == 0) {
+      truncate $out, 0 or die "$!: $part_path";
+    }
+    $received = -s $out || 0;
+    throw Error::Logical "Offset mismatch (received $received)"
+      unless $offset == $received;
+    throw Error::Logical 'Upload exceeds its size'
+      if $offset + $length > $size;
+    my $buf;
+    while (my $len = read($in, $buf, 65536)) {
+      print $out $buf or die "$!: $part_path";
+      $received += $len;
+    }
+    $out->flush() or die "$!: $part_path";
+    $state = $received == $size ? 'done' : 'uploading';
+    if ($state eq 'done') {
+      file_copy($part_path, $new_path);
+      file_remove($part_path);
+      throw Error::Logical "Uploaded file does not exist" unless -e $new_path;
+    }
+  } finally {
+    flock $out, LOCK_UN;
+    close $out;
+    close $in;
+  };
+  $parent->reload() if $state eq 'done';
+  $Hub->set("/sys/tmp/xfr/$id.hf", {
+    state     => $state,
+    size      => $size,
+    received  => $received,
+  })->save();
+  $$Hub{'/sys/log'}->debug(
+    sprintf('TRANSFER: [%s] received %d of %d', $id, $received, $size)
+  );
+  $resp->set('/body', {state => $state, size => $size, received => $received});
+};
+
 # ------------------------------------------------------------------------------
 # download - Download a file from the given URI
 # ------------------------------------------------------------------------------
@@ -887,6 +989,316 @@ sub _progress {
   $$resp{'body'} = $Hub->{"/sys/tmp/xfr/$progress_id.hf"} or throw Error::DoesNotExist;
 }
 
+# ------------------------------------------------------------------------------
+# Change journal
+#
+# Each successful command which modifies data appends change records to a
+# journal which is shared by all server processes. Clients wait on it with the
+# `subscribe` command (see lsn.hubb.Subscription).
+#
+#   /sys/tmp/hub_journal.json
+#
+#     seq         Sequence number of the most recent change
+#     changes     Most recent change records (at most $JOURNAL_SIZE)
+#
+# Each change record has:
+#
+#     seq         Sequence number
+#     type        create, store, remove, rename or reorder
+#     addr        Address of the node (of its parent for rename)
+#     mtime       Modification time of the storage (when applicable)
+#     client      The X-Hub-Client header of the request (when sent), by which
+#                 clients recognize their own changes
+#
+# Records for rename also carry the response meta (old_name, new_name, ...) and
+# records for reorder carry the new order of keys.
+# ------------------------------------------------------------------------------
+
+our $JOURNAL_ADDR = '/sys/tmp/hub_journal.json';
+our $JOURNAL_SIZE = 1000;
+our %Changes = (); # Change records, by verb
+
+sub _meta_change {
+  my $self = shift;
+  my $type = shift;
+  my $resp = $$self{'result'};
+  {
+    type => $type,
+    addr => $resp->get('/head/meta/addr'),
+    mtime => $resp->get('/head/meta/mtime'),
+  };
+}
+
+sub _xfr_change {
+  my $self = shift;
+  my $params = $$self{'params'};
+  {
+    type => 'create',
+    addr => addr_normalize($$params{'target'} . '/' . $$params{'name'}),
+  };
+}
+
+$Changes{'store'} = sub { $_[0]->_meta_change('store') };
+$Changes{'update'} = sub { $_[0]->_meta_change('store') };
+$Changes{'insert'} = sub { $_[0]->_meta_change('store') };
+$Changes{'create'} = sub { $_[0]->_meta_change('create') };
+$Changes{'remove'} = sub { $_[0]->_meta_change('remove') };
+$Changes{'upload'} = sub { $_[0]->_xfr_change() };
+$Changes{'upload_chunk'} = sub {
+  my $self = shift;
+  $$self{'result'}->get('/body/state') eq 'done' ? $self->_xfr_change() : ();
+};
+$Changes{'download'} = sub { $_[0]->_xfr_change() };
+
+$Changes{'rename'} = sub {
+  my $self = shift;
+  my $meta = $$self{'result'}->get('/head/meta');
+  +{ %$meta, type => 'rename' };
+};
+
+$Changes{'reorder'} = sub {
+  my $self = shift;
+  my $change = $self->_meta_change('reorder');
+  $$change{'keys'} = [@{$$self{'result'}->get('/body')}];
+  $change;
+};
+
+$Changes{'copy'} = sub {
+  my $self = shift;
+  { type => 'create', addr => $$self{'result'}->get('/head/destination') };
+};
+
+$Changes{'move'} = sub {
+  my $self = shift;
+  my $resp = $$self{'result'};
+  (
+    { type => 'remove', addr => $resp->get('/head/source') },
+    { type => 'create', addr => $resp->get('/head/destination') },
+  );
+};
+
+# ------------------------------------------------------------------------------
+# _journal - Append the change records of the current command
+# ------------------------------------------------------------------------------
+
+sub _journal {
+  my $self = shift;
+  my $sub = $Changes{$$self{'verb'}} or return;
+  my @changes = &$sub($self) or return;
+  my $client = $$Hub{'/sys/request/xargs/X-Hub-Client'};
+  if (defined $client && $client =~ /^[\w\-]{1,64}$/) {
+    $$_{'client'} = $client for @changes;
+  }
+  # The command has succeeded, a journal failure must not report otherwise
+  try {
+    $self->_with_journal(sub {
+      my $journal = shift;
+      my $seq = $journal->get('seq') || 0;
+      my $list = $journal->get('changes') || [];
+      foreach my $change (@changes) {
+        $$change{'seq'} = ++$seq;
+        push @$list, $change;
+      }
+      splice @$list, 0, @$list - $JOURNAL_SIZE if @$list > $JOURNAL_SIZE;
+      $journal->set('seq', $seq);
+      $journal->set('changes', $list);
+      $journal->save();
+    }, LOCK_EX);
+  } otherwise {
+    $$Hub{'/sys/log'}->error('Cannot write journal: ' . shift);
+  };
+}
+
+# ------------------------------------------------------------------------------
+# _with_journal - Invoke a routine with the (current) journal while locked
+# _with_journal \&sub, $lock_mode
+# ------------------------------------------------------------------------------
+
+sub _with_journal {
+  my $self = shift;
+  my $sub = shift;
+  my $mode = shift || LOCK_SH;
+  my $journal = $Hub->vivify($JOURNAL_ADDR);
+  my $lock_path = $journal->get_path() . '.lock';
+  my $fh = IO::File->new($lock_path, 'a') or die "$!: $lock_path";
+  flock $fh, $mode or die $!;
+  try {
+    $journal->refresh();
+    &$sub($journal);
+  } finally {
+    flock $fh, LOCK_UN;
+    $fh->close();
+  };
+}
+
+# ------------------------------------------------------------------------------
+# subscribe - Wait for changes at or beneath the target addresses
+#
+# Parameters:
+#
+#   targets     Addresses of interest (array)
+#   since       Sequence number of the last change the client has seen
+#   timeout     Seconds to wait for a change (at most the configured wait)
+#
+# Without `since` the response is immediate and only provides the current
+# sequence number. Otherwise the response is sent as soon as there are
+# changes, or when the timeout expires.
+#
+#   /head/meta/seq    Sequence number of the most recent change
+#   /body             Matching change records
+#
+# Server configuration:
+#
+#   /sys/conf/handlers/hub/subscribe_wait => 10
+#
+#     Most seconds a subscriber is kept waiting. The request holds its server
+#     process meanwhile, so keep this short where processes are few. With 0
+#     the response is immediate and clients poll instead. It is never more
+#     than $SUBSCRIBE_MAX_WAIT (30) seconds.
+# ------------------------------------------------------------------------------
+
+our $SUBSCRIBE_WAIT = 10;
+our $SUBSCRIBE_MAX_WAIT = 30;
+
+$Commands{'subscribe'} = sub {
+  my $self = shift;
+  my $resp = $$self{'result'};
+  my $params = $$self{'params'};
+  my $targets = $$params{'targets'} || [];
+  $targets = [$targets] unless isa($targets, 'ARRAY');
+  $self->check_auth($_) for @$targets;
+  my $since = $$params{'since'};
+  throw Error::Programatic('Invalid sequence') if defined $since && $since !~ /^\d+$/;
+  my $max = $$Hub{'/sys/conf/handlers/hub/subscribe_wait'};
+  $max = $SUBSCRIBE_WAIT unless defined $max && $max =~ /^\d+$/;
+  $max = $SUBSCRIBE_MAX_WAIT if $max > $SUBSCRIBE_MAX_WAIT;
+  my $timeout = $$params{'timeout'};
+  $timeout = $max if !defined $timeout || $timeout !~ /^\d+$/ || $timeout > $max;
+  my $expires = time + $timeout;
+  my $seq = 0;
+  my @changes = ();
+  my $seen = undef;
+  while (1) {
+    # The journal is read again only when it has been written
+    my $path = $Hub->vivify($JOURNAL_ADDR)->get_path();
+    my $stamp = -e $path ? (stat $path)[9] . ':' . -s _ : '';
+    if (!defined($seen) || $stamp ne $seen) {
+      $seen = $stamp;
+      $self->_with_journal(sub {
+        my $journal = shift;
+        $seq = $journal->get('seq') || 0;
+        return unless defined $since;
+        foreach my $change (@{$journal->get('changes') || []}) {
+          next unless $$change{'seq'} > $since;
+          push @changes, $change if grep {
+            _is_related($_, $$change{'addr'})
+              || _is_related($_, $$change{'old_addr'})
+          } @$targets;
+        }
+      });
+    }
+    last if !defined($since) || @changes || $seq < $since || time >= $expires;
+    sleep 1;
+  }
+  $resp->set('/head/meta/seq', $seq);
+  $resp->set('/body', \@changes);
+};
+
+# Is one address at or beneath the other
+sub _is_related {
+  my ($a1, $a2) = @_;
+  return unless defined $a1 && defined $a2;
+  ($a1, $a2) = ($a2, $a1) if length($a1) > length($a2);
+  $a1 eq $a2 || $a1 eq '/' || index($a2, "$a1/") == 0;
+}
+
+# ------------------------------------------------------------------------------
+# search - Find text files beneath the target directory which contain the text
+#
+# Parameters:
+#
+#   text        Text to find (case insensitive)
+#   limit       Maximum number of results (at most 500, default 100)
+#
+# Directories are searched breadth first. A search looks at no more than
+# $SEARCH_MAX_NODES (5000) files and directories, and reads no more than
+# $SEARCH_MAX_BYTES (20 MB) of content, so that a large tree does not hold
+# the server process for long.
+#
+#   /head/meta/more   Set when the limit (or either of the above) was reached
+#                     before the end
+#   /body             Matches: addr, type, mtime and an excerpt
+# ------------------------------------------------------------------------------
+
+our $SEARCH_MAX_NODES = 5000;
+our $SEARCH_MAX_BYTES = ONE_MB * 20;
+
+$Commands{'search'} = sub {
+  my $self = shift;
+  my $resp = $$self{'result'};
+  my $params = $$self{'params'};
+  my $ura = $self->get_target();
+  $self->check_auth($ura);
+  my $text = $$params{'text'};
+  throw Error::MissingArg 'text' unless defined $text && length $text;
+  my $limit = $$params{'limit'} || 100;
+  $limit = 100 if $limit !~ /^\d+$/ || $limit > 500;
+  my $dir = $Hub->get($ura);
+  throw Error::Logical 'Not a directory' unless isa($dir, FS('Directory'));
+  my $needle = lc $text;
+  my $perms = $Hub->{'/sys/perms'};
+  my @results = ();
+  my @queue = ($dir);
+  my $nodes = 0;
+  my $bytes = 0;
+  my $more = 0;
+  QUEUE: while (@queue) {
+    my $parent = shift @queue;
+    foreach my $k ($parent->keys) {
+      my $v = $parent->{$k};
+      next unless isa($v, FS('Node'));
+      if (@results >= $limit || ++$nodes > $SEARCH_MAX_NODES) {
+        $more = 1;
+        last QUEUE;
+      }
+      my $addr = $v->get_addr;
+      next unless $perms->is_session_authorized($addr, 'rvq');
+      if (isa($v, FS('Directory'))) {
+        push @queue, $v;
+        next;
+      }
+      next unless isa($v, FS('TextFile'));
+      my $size = $v->get_stat->size;
+      next unless $size < ONE_MB;
+      if (($bytes += $size) > $SEARCH_MAX_BYTES) {
+        $more = 1;
+        last QUEUE;
+      }
+      my $content = str_ref($v->get_raw_content);
+      my $pos = index(lc($$content), $needle);
+      next if $pos < 0;
+      push @results, {
+        addr => $addr,
+        type => _typeof($addr, $v),
+        mtime => $v->get_mtime,
+        excerpt => _excerpt($$content, $pos, length($text)),
+      };
+    }
+  }
+  $resp->set('/head/meta/addr', $ura);
+  $resp->set('/head/meta/more', $more);
+  $resp->set('/body', \@results);
+};
+
+# The found text with some of what surrounds it, on one line
+sub _excerpt {
+  my ($content, $pos, $len) = @_;
+  my $start = $pos > 40 ? $pos - 40 : 0;
+  my $excerpt = substr($content, $start, $len + 80);
+  $excerpt =~ s/\s+/ /g;
+  $excerpt;
+}
+
 # ------------------------------------------------------------------------------
 # _validate_target_dir - Validate and prepare for a new file-system node
 # ------------------------------------------------------------------------------
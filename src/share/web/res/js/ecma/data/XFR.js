@@ -0,0 +1,180 @@
+/** @namespace data */
+ECMAScript.Extend('data', function (ecma) {
+
+  /**
+   * @function createParser
+   * Create an L<XFRParser> which builds its values as this object does.
+   *
+   *  var parser = xfr.createParser(cb);
+   */
+
+  ecma.data.XFR.prototype.createParser = function (cb) {
+    return new ecma.data.XFRParser(this, cb);
+  };
+
+  /**
+   * @class XFRParser
+   * Parse XFR text as it arrives, rather than all at once.
+   *
+   *  var parser = new ecma.data.XFRParser(xfr, [function (node, addr) {
+   *    ...
+   *  }, this]);
+   *  parser.write('%{head%{verb${ZmV0Y2g=}}bo');
+   *  parser.write('dy%{...}}');
+   *  var root = parser.end();
+   *
+   * The result is the same as that of L<ecma.data.XFR.parse> with the same
+   * C<xfr>, which creates its nodes and decodes its keys and values.
+   *
+   * The callback is called as each node completes: scalars when their value
+   * has arrived, and hashes and arrays when they are closed (after their
+   * children). It is passed the node, its address within the root (as
+   * C</body/index.html>), and the node which contains it. The root
+   * (address C</>) is completed last. Until then L<getRoot> returns the nodes
+   * so far.
+   */
+
+  this.XFRParser = function (xfr, cb) {
+    this.xfr = xfr || new ecma.data.XFR();
+    this.cb = cb;
+    this.buffer = '';
+    this.root = undefined;
+    this.symbol = null;
+    this.node = null;
+    this.parents = [];
+    this.keys = [];
+    this.isComplete = false;
+  };
+
+  var _proto = this.XFRParser.prototype = ecma.lang.createPrototype();
+
+  /**
+   * @function write
+   * Parse the next part of the text. Throws when it is not XFR.
+   */
+
+  _proto.write = function (str) {
+    if (!str) return;
+    if (this.isComplete) {
+      if (str.match(/^\s*$/)) return;
+      throw new Error('XFR continues after its root');
+    }
+    var buf = this.buffer + str;
+    var pos = 0;
+    if (!this.symbol) {
+      if (buf.length < 2) {
+        this.buffer = buf;
+        return;
+      }
+      var m = buf.match(/^([\%\$\@]){/);
+      if (!m) throw new Error('str must begin with "%{", "@{", or "${"');
+      this.symbol = m[1];
+      pos = 2;
+      if (this.symbol != '$') {
+        this.root = this.node = this.xfr.createObject(this.symbol, null);
+      }
+    }
+    if (this.symbol == '$') {
+      // Scalars are not reported, their end is the end of the text
+      this.buffer = buf;
+      return;
+    }
+    while (!this.isComplete) {
+      var open_pos = buf.indexOf('{', pos);
+      var close_pos = buf.indexOf('}', pos);
+      if (close_pos >= 0 && (close_pos < open_pos || open_pos < 0)) {
+        pos = close_pos + 1;
+        this.close();
+        continue;
+      }
+      if (open_pos < 0) break;
+      var key = buf.substring(pos, open_pos);
+      var type = key.substr(key.length - 1, 1);
+      key = this.xfr.decodeComponent(key.substr(0, key.length - 1));
+      if (type == '%' || type == '@') {
+        this.open(key, type);
+        pos = open_pos + 1;
+        continue;
+      }
+      if (!this.xfr.symbolToClass(type)) {
+        throw new Error('invalid data type: ' + type);
+      }
+      // The value is complete when its closing brace has arrived
+      close_pos = buf.indexOf('}', open_pos + 1);
+      if (close_pos < 0) break;
+      var vstr = buf.substring(open_pos + 1, close_pos);
+      this.add(key, this.xfr.createValue(type, this.xfr.decodeComponent(vstr)));
+      pos = close_pos + 1;
+    }
+    this.buffer = buf.substr(pos);
+  };
+
+  /**
+   * @function end
+   * The text has all arrived, return the root. Throws when it is incomplete.
+   */
+
+  _proto.end = function () {
+    if (this.symbol == '$') {
+      var buf = this.buffer.replace(/\s+$/, '');
+      if (buf.substr(buf.length - 1) != '}') throw new Error('Incomplete XFR');
+      this.isComplete = true;
+      return this.root = this.xfr.decodeComponent(buf.substr(2, buf.length - 3));
+    }
+    if (!this.isComplete) throw new Error('Incomplete XFR');
+    return this.root;
+  };
+
+  /**
+   * @function getRoot
+   * The root, as far as it has been parsed.
+   */
+
+  _proto.getRoot = function () {
+    return this.root;
+  };
+
+  _proto.open = function (key, type) {
+    var parent = this.node;
+    var node = this.xfr.createObject(type, parent);
+    this.parents.push(parent);
+    this.keys.push(this.insert(parent, key, node));
+    this.node = node;
+  };
+
+  _proto.close = function () {
+    var node = this.node;
+    if (!this.parents.length) {
+      this.isComplete = true;
+      this.emit(node, null);
+      return;
+    }
+    var parent = this.node = this.parents.pop();
+    this.emit(node, parent);
+    this.keys.pop();
+  };
+
+  _proto.add = function (key, value) {
+    var parent = this.node;
+    this.keys.push(this.insert(parent, key, value));
+    this.emit(value, parent);
+    this.keys.pop();
+  };
+
+  _proto.emit = function (node, parent) {
+    if (!this.cb) return;
+    var addr = '/' + this.keys.join('/');
+    ecma.lang.callback(this.cb, null, [node, addr, parent]);
+  };
+
+  // Returns the key under which the value was inserted
+  _proto.insert = function (parent, key, value) {
+    if (ecma.util.isa(parent, this.xfr.symbolToClass('@'))) {
+      parent.push(value);
+      return parent.length - 1;
+    }
+    parent.setValue(key, value);
+    return key;
+  };
+
+});
@@ -0,0 +1,467 @@
+/** @namespace data.markdown */
+ECMAScript.Extend('data.markdown', function (ecma) {
+
+  // Elements which are converted as blocks (others are inline)
+  var BLOCK_TAGS = ['BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'H1', 'H2', 'H3',
+    'H4', 'H5', 'H6', 'HR', 'LI', 'OL', 'P', 'PRE', 'UL'];
+
+  // What Markdown can express (see L<ecma.dom.Scrubber.defineProfile>)
+  var _profile = {
+    'extends': 'block',
+    'tags': ['IMG'],
+    'empty': ['IMG'],
+    'attributes': {
+      'IMG': ['src', 'alt', 'title'],
+      'OL': ['start']
+    },
+    'classes': ['language-[\\w\\-+.]+']
+  };
+
+  var _reFence = /^ {0,3}(`{3,}|~{3,})\s*([\w\-+.]*)/;
+  var _reHeading = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+  var _reRule = /^ {0,3}([\-*_])(?:\s*\1){2,}\s*$/;
+  var _reQuote = /^ {0,3}> ?/;
+  var _reItem = /^( {0,3})([\-*+]|\d{1,9}[.)])(\s+|$)/;
+  var _reCode = /^(?: {4}|\t)/;
+  var _reBlank = /^\s*$/;
+
+  /**
+   * @function toHTML
+   * Convert Markdown to HTML.
+   *
+   *  ecma.data.markdown.toHTML('Some *emphasis*');
+   *  // <p>Some <em>emphasis</em></p>
+   *
+   * Headings (C<#> and underlined), paragraphs, block quotes, lists (which
+   * may be nested), fenced and indented code, rules, emphasis, strong,
+   * strike-through (C<~~>), code spans, links, images, automatic links and
+   * hard line breaks are converted. HTML within the text is escaped rather
+   * than passed through, and links with script URLs are not made.
+   */
+
+  this.toHTML = function (text) {
+    text = ecma.util.defined(text) && text !== null ? String(text) : '';
+    var lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return _blocks(lines, false).join('\n');
+  };
+
+  /**
+   * @function fromHTML
+   * Convert HTML (markup or an element, which is not changed) to Markdown.
+   * It is first cleaned by a L<ecma.dom.Scrubber> of what Markdown cannot
+   * express, whose tree is then walked as the Scrubber walks it.
+   *
+   *  ecma.data.markdown.fromHTML('<p>Some <i>emphasis</i></p>');
+   *  // Some *emphasis*
+   */
+
+  this.fromHTML = function (html) {
+    var div = _parse(html);
+    new ecma.dom.Scrubber(ecma, _profile).scrub(div);
+    return _trimLines(_join(_toBlocks(div)));
+  };
+
+  /**
+   * @function toText
+   * Convert Markdown to plain text, without its markup.
+   *
+   *  ecma.data.markdown.toText('# Title\n\nSome *emphasis*');
+   *  // Title\n\nSome emphasis
+   */
+
+  this.toText = function (text) {
+    var html = ecma.data.markdown.toHTML(text);
+    html = html.replace(/<br \/>/g, '\n');
+    html = html.replace(/<li>/g, '- ');
+    html = html.replace(/<\/(p|h\d|pre|blockquote|ul|ol)>/g, '\n');
+    html = html.replace(/<hr \/>/g, '\n');
+    html = html.replace(/<[^>]+>/g, '');
+    return _trimLines(ecma.data.entities.encode(html).replace(/\n{3,}/g, '\n\n'));
+  };
+
+  //
+  // Markdown to HTML
+  //
+
+  // The HTML of each block of the lines. Paragraphs of tight list items are
+  // not wrapped.
+  function _blocks (lines, tight) {
+    var result = [];
+    var i = 0;
+    while (i < lines.length) {
+      var line = lines[i];
+      var m;
+      if (line.match(_reBlank)) {
+        i++;
+      } else if (m = line.match(_reFence)) {
+        var code = [];
+        var close = new RegExp('^ {0,3}' + m[1].charAt(0) + '{' + m[1].length + ',}\\s*$');
+        for (i++; i < lines.length && !lines[i].match(close); i++) {
+          code.push(lines[i]);
+        }
+        i++;
+        result.push(_codeBlock(code, m[2]));
+      } else if (line.match(_reCode)) {
+        var code = [];
+        while (i < lines.length &&
+            (lines[i].match(_reCode) || lines[i].match(_reBlank))) {
+          code.push(lines[i++].replace(_reCode, ''));
+        }
+        while (code.length && code[code.length - 1].match(_reBlank)) code.pop();
+        result.push(_codeBlock(code));
+      } else if (m = line.match(_reHeading)) {
+        var n = m[1].length;
+        result.push('<h' + n + '>' + _inline(m[2] || '') + '</h' + n + '>');
+        i++;
+      } else if (line.match(_reRule)) {
+        result.push('<hr />');
+        i++;
+      } else if (line.match(_reQuote)) {
+        var quote = [];
+        while (i < lines.length && !lines[i].match(_reBlank)) {
+          quote.push(lines[i++].replace(_reQuote, ''));
+          while (i + 1 < lines.length && lines[i].match(_reBlank) &&
+              lines[i + 1].match(_reQuote)) {
+            quote.push(lines[i++]);
+          }
+        }
+        result.push('<blockquote>\n' + _blocks(quote, false).join('\n') +
+          '\n</blockquote>');
+      } else if (line.match(_reItem)) {
+        i = _list(lines, i, result);
+      } else {
+        var para = [];
+        while (i < lines.length && !lines[i].match(_reBlank)) {
+          var under = para.length && lines[i].match(/^ {0,3}(=+|-+)\s*$/);
+          if (under) {
+            var n = under[1].charAt(0) == '=' ? 1 : 2;
+            result.push('<h' + n + '>' + _inline(para.join('\n')) + '</h' + n + '>');
+            para = [];
+            i++;
+            break;
+          }
+          if (para.length && _startsBlock(lines[i])) break;
+          para.push(lines[i++].replace(/^\s+/, ''));
+        }
+        if (para.length) {
+          var html = _inline(para.join('\n'));
+          result.push(tight ? html : '<p>' + html + '</p>');
+        }
+      }
+    }
+    return result;
+  }
+
+  function _startsBlock (line) {
+    return line.match(_reFence) || line.match(_reHeading) ||
+      line.match(_reRule) || line.match(_reQuote) || line.match(_reItem)
+      ? true : false;
+  }
+
+  // Append the list which starts at the line, returning the index of the
+  // line after it
+  function _list (lines, i, result) {
+    var m = lines[i].match(_reItem);
+    var ordered = m[2].match(/^\d/) ? true : false;
+    var delim = m[2].charAt(m[2].length - 1);
+    var start = ordered ? parseInt(m[2], 10) : 1;
+    var items = [];
+    var loose = false;
+    var blank = false;
+    while (i < lines.length) {
+      var line = lines[i];
+      var item = items[items.length - 1];
+      m = line.match(_reItem);
+      if (m && !line.match(_reRule) && (!item || m[1].length < item.indent) &&
+          (ordered ? m[2].match(/^\d/) && m[2].slice(-1) == delim : m[2] == delim)) {
+        if (blank && items.length) loose = true;
+        var indent = m[0].length;
+        if (!m[3]) indent++;
+        items.push({'indent': indent, 'lines': [line.substr(m[0].length)]});
+        blank = false;
+        i++;
+        continue;
+      }
+      if (line.match(_reBlank)) {
+        blank = true;
+        item.lines.push('');
+        i++;
+        continue;
+      }
+      var indented = line.match(/^ */)[0].length >= item.indent;
+      if (indented) {
+        if (blank) item.hasBlank = true;
+        item.lines.push(line.substr(item.indent));
+      } else if (!blank && !_startsBlock(line)) {
+        item.lines.push(line);
+      } else {
+        break;
+      }
+      blank = false;
+      i++;
+    }
+    var html = [];
+    for (var j = 0, item; item = items[j]; j++) {
+      while (item.lines.length && item.lines[item.lines.length - 1] === '') {
+        item.lines.pop();
+      }
+      if (item.hasBlank) loose = true;
+    }
+    for (var j = 0, item; item = items[j]; j++) {
+      var blocks = _blocks(item.lines, !loose);
+      html.push('<li>' + blocks.join(loose ? '\n' : '') + '</li>');
+    }
+    var tag = ordered ? 'ol' : 'ul';
+    var attrs = ordered && start != 1 ? ' start="' + start + '"' : '';
+    result.push('<' + tag + attrs + '>\n' + html.join('\n') + '\n</' + tag + '>');
+    return i;
+  }
+
+  function _codeBlock (lines, lang) {
+    var attrs = lang ? ' class="language-' + _escape(lang) + '"' : '';
+    var code = lines.length ? _escape(lines.join('\n')) + '\n' : '';
+    return '<pre><code' + attrs + '>' + code + '</code></pre>';
+  }
+
+  // Code spans, escapes, links and images are taken out of the text before
+  // it is escaped and emphasized, and put back after
+  function _inline (text) {
+    var held = [];
+    function hold (html) {
+      held.push(html);
+      return '\u0001' + (held.length - 1) + '\u0002';
+    }
+    text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function ($0, $1, $2) {
+      return hold('<code>' + _escape($2.replace(/^ | $/g, '')) + '</code>');
+    });
+    text = text.replace(/\\([\\`*_{}\[\]()#+\-.!~<>|])/g, function ($0, $1) {
+      return hold(_escape($1));
+    });
+    text = text.replace(/<((?:https?|ftp|mailto):[^\s>]+)>/gi, function ($0, $1) {
+      var href = $1.replace(/^mailto:/i, '');
+      return hold('<a href="' + _escape($1) + '">' + _escape(href) + '</a>');
+    });
+    text = text.replace(/(!?)\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+(["'])(.*?)\4)?\s*\)/g,
+      function ($0, img, label, href, q, title) {
+        var t = title ? ' title="' + _escape(title) + '"' : '';
+        if (!_isSafeURL(href)) return hold(_escape(label));
+        if (img) {
+          return hold('<img src="' + _escape(href) + '" alt="' +
+            _escape(label) + '"' + t + ' />');
+        }
+        return hold('<a href="' + _escape(href) + '"' + t + '>' +
+          _inline(label) + '</a>');
+      });
+    text = _escape(text);
+    text = text.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>');
+    text = text.replace(/(\*|_)(?=\S)([\s\S]*?\S)\1(?!\w)/g, function ($0, $1, $2, offset, str) {
+      // Underscores within words (as snake_case) are not emphasis
+      if ($1 == '_' && offset > 0 && str.charAt(offset - 1).match(/\w/)) return $0;
+      return '<em>' + $2 + '</em>';
+    });
+    text = text.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    text = text.replace(/ {2,}\n/g, '<br />\n');
+    return text.replace(/\u0001(\d+)\u0002/g, function ($0, $1) {
+      return held[$1];
+    });
+  }
+
+  function _escape (text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function _isSafeURL (url) {
+    return url.replace(/[\s\x00-\x1f]+/g, '').match(/^(javascript|vbscript|data):/i)
+      ? false : true;
+  }
+
+  //
+  // HTML to Markdown
+  //
+
+  // A copy within a document of its own, so that its images are not loaded
+  function _parse (html) {
+    var impl = ecma.document.implementation;
+    var doc = impl && impl.createHTMLDocument
+      ? impl.createHTMLDocument('')
+      : ecma.document;
+    var div = doc.createElement('div');
+    if (typeof(html) == 'string') {
+      div.innerHTML = html;
+    } else {
+      div.innerHTML = ecma.dom.getElement(html).innerHTML;
+    }
+    return div;
+  }
+
+  // The blocks of the element, as C<{'text': ..., 'isList': ...}>, where
+  // consecutive inline nodes are a paragraph
+  function _toBlocks (elem) {
+    var blocks = [];
+    var inline = '';
+    function flush () {
+      var text = inline.replace(/^[ \t]+|[ \t]+$/g, '').replace(/\n[ \t]+/g, '\n');
+      if (text) blocks.push({'text': _escapeLineStart(text)});
+      inline = '';
+    }
+    var node = elem.firstChild;
+    while (node) {
+      var tag = ecma.dom.node.isElement(node) ? node.tagName.toUpperCase() : '';
+      if (tag && ecma.util.grep(tag, BLOCK_TAGS)) {
+        flush();
+        var block = _toBlock(node, tag);
+        if (block && block.text) blocks.push(block);
+      } else {
+        inline += _toInline(node);
+      }
+      node = node.nextSibling;
+    }
+    flush();
+    return blocks;
+  }
+
+  function _toBlock (elem, tag) {
+    switch (tag) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+        var text = _inlineOf(elem).replace(/\s*\n\s*/g, ' ')
+          .replace(/^\s+|\s+$/g, '');
+        return {'text': new Array(parseInt(tag.charAt(1), 10) + 1).join('#') + ' ' + text};
+      case 'HR':
+        return {'text': '---'};
+      case 'PRE':
+        var code = _textOf(elem).replace(/\n$/, '');
+        var fence = code.match(/```/) ? '~~~' : '```';
+        var lang = elem.firstChild && elem.firstChild.className
+          ? elem.firstChild.className.match(/language-(\S+)/)
+          : null;
+        return {'text': fence + (lang ? lang[1] : '') + '\n' + code + '\n' + fence};
+      case 'BLOCKQUOTE':
+        return {'text': _prefix(_join(_toBlocks(elem)), '> ', '> ').replace(/^> $/mg, '>')};
+      case 'UL':
+      case 'OL':
+        return {'text': _toList(elem, tag == 'OL'), 'isList': true};
+      default:
+        return {'text': _join(_toBlocks(elem))};
+    }
+  }
+
+  function _toList (elem, ordered) {
+    var items = [];
+    var n = ordered ? ecma.util.asInt(elem.getAttribute('start')) || 1 : 0;
+    var loose = elem.getElementsByTagName('P').length > 0;
+    for (var node = elem.firstChild; node; node = node.nextSibling) {
+      if (!ecma.dom.node.isElement(node) || node.tagName.toUpperCase() != 'LI') {
+        continue;
+      }
+      var blocks = _toBlocks(node);
+      if (!blocks.length) continue;
+      var text = '';
+      for (var i = 0; i < blocks.length; i++) {
+        if (i > 0) {
+          text += blocks[i].isList ? '\n' : '\n\n';
+          if (!blocks[i].isList) loose = true;
+        }
+        text += blocks[i].text;
+      }
+      var marker = ordered ? (n++) + '. ' : '- ';
+      items.push(_prefix(text, marker, new Array(marker.length + 1).join(' ')));
+    }
+    return items.join(loose ? '\n\n' : '\n');
+  }
+
+  function _toInline (node) {
+    if (ecma.dom.node.isText(node)) {
+      return _escapeInline(node.nodeValue.replace(/\s+/g, ' '));
+    }
+    if (!ecma.dom.node.isElement(node)) return '';
+    var tag = node.tagName.toUpperCase();
+    switch (tag) {
+      case 'BR':
+        return '  \n';
+      case 'IMG':
+        var title = node.getAttribute('title');
+        return '![' + _escapeInline(node.getAttribute('alt') || '') + '](' +
+          (node.getAttribute('src') || '') + (title ? ' "' + title + '"' : '') + ')';
+      case 'CODE':
+        var code = _textOf(node);
+        var ticks = '`';
+        while (code.indexOf(ticks) >= 0) ticks += '`';
+        var pad = code.match(/^`|`$/) ? ' ' : '';
+        return ticks + pad + code + pad + ticks;
+    }
+    var inner = _inlineOf(node);
+    if (!inner.match(/\S/)) return inner;
+    switch (tag) {
+      case 'B': case 'STRONG':
+        return _wrap(inner, '**');
+      case 'I': case 'EM':
+        return _wrap(inner, '*');
+      case 'DEL': case 'S': case 'STRIKE':
+        return _wrap(inner, '~~');
+      case 'A':
+        var href = node.getAttribute('href');
+        if (!href) return inner;
+        var title = node.getAttribute('title');
+        if (inner == _escapeInline(href) && href.match(/^(https?|ftp):/i)) {
+          return '<' + href + '>';
+        }
+        return '[' + inner + '](' + href.replace(/[ ()]/g, encodeURIComponent) +
+          (title ? ' "' + title + '"' : '') + ')';
+      default:
+        return inner;
+    }
+  }
+
+  function _inlineOf (elem) {
+    var result = '';
+    for (var node = elem.firstChild; node; node = node.nextSibling) {
+      result += _toInline(node);
+    }
+    return result;
+  }
+
+  function _textOf (elem) {
+    return ecma.util.defined(elem.textContent) ? elem.textContent : elem.innerText;
+  }
+
+  // Spaces go outside the markers, which must touch the text
+  function _wrap (text, marker) {
+    var m = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return m[1] + marker + m[2] + marker + m[3];
+  }
+
+  function _escapeInline (text) {
+    return text.replace(/([\\`*_\[\]<>~])/g, '\\$1');
+  }
+
+  // Text at the start of a line which would begin a block
+  function _escapeLineStart (text) {
+    return text.replace(/^(\s*)(#|>|[\-+]\s|(\d+)\.\s)/mg, function ($0, $1, $2, $3) {
+      return $1 + ($3 ? $3 + '\\.' + $2.substr($3.length + 1) : '\\' + $2);
+    });
+  }
+
+  function _join (blocks) {
+    var result = [];
+    for (var i = 0; i < blocks.length; i++) {
+      result.push(blocks[i].text);
+    }
+    return result.join('\n\n');
+  }
+
+  function _prefix (text, first, rest) {
+    var lines = text.split('\n');
+    for (var i = 0; i < lines.length; i++) {
+      lines[i] = (i == 0 ? first : lines[i] ? rest : rest.replace(/\s+$/, '')) + lines[i];
+    }
+    return lines.join('\n');
+  }
+
+  function _trimLines (text) {
+    return text.replace(/[ \t]+$/mg, function ($0) {
+      return $0.length >= 2 ? '  ' : '';
+    }).replace(/^\n+|\s+$/g, '');
+  }
+
+});
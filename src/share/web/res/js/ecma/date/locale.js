@@ -0,0 +1,325 @@
+/** @namespace date */
+ECMAScript.Extend('date', function (ecma) {
+
+  // As in date/date.js
+  var _token = /d{1,4}|m{1,4}|yy(?:yy)?|([HhMsTt])\1?|[LloSZ]|"[^"]*"|'[^']*'/g;
+
+  /**
+   * Locales (C<ecma.date.locales>), by language tag:
+   *
+   *  date          Mask (see L<ecma.date.format>) of a date
+   *  time          Mask of a time of day
+   *  firstDay      First day of the week (0 is Sunday)
+   *  monthNames    Abbreviated then full names of the months (24)
+   *  dayNames      Abbreviated then full names of the days, from Sunday (14)
+   *
+   * Further locales may be added:
+   *
+   *  ecma.date.locales['nl'] = {
+   *    'date': 'd-m-yyyy',
+   *    ...
+   *  };
+   */
+
+  this.locales = {
+
+    'en-US': {
+      'date': 'm/d/yyyy',
+      'time': 'h:MM TT',
+      'firstDay': 0,
+      'monthNames': [
+        'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+        'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec',
+        'January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'
+      ],
+      'dayNames': [
+        'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat',
+        'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday',
+        'Saturday'
+      ]
+    },
+
+    'en-GB': {
+      'date': 'd/m/yyyy',
+      'time': 'HH:MM',
+      'firstDay': 1,
+      'monthNames': [
+        'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+        'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec',
+        'January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'
+      ],
+      'dayNames': [
+        'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat',
+        'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday',
+        'Saturday'
+      ]
+    },
+
+    'de': {
+      'date': 'd.m.yyyy',
+      'time': 'HH:MM',
+      'firstDay': 1,
+      'monthNames': [
+        'Jan', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun',
+        'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez',
+        'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+        'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'
+      ],
+      'dayNames': [
+        'So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa',
+        'Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag',
+        'Samstag'
+      ]
+    },
+
+    'fr': {
+      'date': 'dd/mm/yyyy',
+      'time': 'HH:MM',
+      'firstDay': 1,
+      'monthNames': [
+        'janv', 'févr', 'mars', 'avr', 'mai', 'juin',
+        'juil', 'août', 'sept', 'oct', 'nov', 'déc',
+        'janvier', 'février', 'mars', 'avril', 'mai', 'juin',
+        'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'
+      ],
+      'dayNames': [
+        'dim', 'lun', 'mar', 'mer', 'jeu', 'ven', 'sam',
+        'dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi',
+        'samedi'
+      ]
+    },
+
+    'es': {
+      'date': 'd/m/yyyy',
+      'time': 'H:MM',
+      'firstDay': 1,
+      'monthNames': [
+        'ene', 'feb', 'mar', 'abr', 'may', 'jun',
+        'jul', 'ago', 'sep', 'oct', 'nov', 'dic',
+        'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+        'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+      ],
+      'dayNames': [
+        'dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb',
+        'domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes',
+        'sábado'
+      ]
+    }
+
+  };
+
+  /**
+   * The locale used when none is given, which is otherwise that of the
+   * document (its C<lang> attribute) or the browser.
+   */
+
+  this.defaultLocale = null;
+
+  /**
+   * @function getLocale
+   * The locale of the language tag (or its language), falling back to
+   * C<en-US>. A locale which is given as an object is returned as is.
+   */
+
+  this.getLocale = function (name) {
+    if (name && typeof(name) == 'object') return name;
+    var locales = ecma.date.locales;
+    name = name || ecma.date.defaultLocale || _detectLocale();
+    if (name) {
+      if (locales[name]) return locales[name];
+      var lang = name.split(/[-_]/)[0].toLowerCase();
+      for (var k in locales) {
+        if (k.toLowerCase() == name.toLowerCase().replace('_', '-')) {
+          return locales[k];
+        }
+      }
+      if (locales[lang]) return locales[lang];
+      for (var k in locales) {
+        if (k.split('-')[0] == lang) return locales[k];
+      }
+    }
+    return locales['en-US'];
+  };
+
+  /**
+   * @function formatLocale
+   * Format the date as L<ecma.date.format> does, with the month and day
+   * names of the locale. The mask may also be the name of a mask of the
+   * locale: C<date> (the default), C<time> or C<datetime>.
+   *
+   *  ecma.date.formatLocale(new Date(2013, 2, 5), 'mmmm d', 'de');
+   *  // März 5
+   */
+
+  this.formatLocale = function (date, mask, locale, utc) {
+    locale = ecma.date.getLocale(locale);
+    mask = _getMask(mask, locale);
+    date = date ? new Date(date) : new Date();
+    if (mask.slice(0, 4) == 'UTC:') {
+      mask = mask.slice(4);
+      utc = true;
+    }
+    var m = utc ? date.getUTCMonth() : date.getMonth();
+    var d = utc ? date.getUTCDay() : date.getDay();
+    var names = {
+      'mmm': locale.monthNames[m],
+      'mmmm': locale.monthNames[m + 12],
+      'ddd': locale.dayNames[d],
+      'dddd': locale.dayNames[d + 7]
+    };
+    mask = mask.replace(_token, function ($0) {
+      return $0 in names ? '"' + names[$0] + '"' : $0;
+    });
+    return ecma.date.format(date, mask, utc);
+  };
+
+  /**
+   * @function parse
+   * Parse text which is entered according to the mask (as for
+   * L<formatLocale>), returning the date or null when it is not valid.
+   *
+   *  ecma.date.parse('5.3.13', 'date', 'de');      // 5 March 2013
+   *  ecma.date.parse('March 5th 2013 3pm', 'mmmm d yyyy h TT', 'en-US');
+   *
+   * Numbers are taken in the order of the mask, whatever separates them, and
+   * month names may be abbreviated. When missing, the year is this year and
+   * the time is midnight. Two digit years are of this century. An ISO date
+   * (C<yyyy-mm-dd>) is accepted whatever the mask.
+   */
+
+  this.parse = function (text, mask, locale) {
+    locale = ecma.date.getLocale(locale);
+    mask = _getMask(mask, locale);
+    text = ecma.util.defined(text) && text !== null ? String(text) : '';
+    if (!text.match(/\S/)) return null;
+    var iso = text.match(/^\s*(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(.*))?$/);
+    if (iso) {
+      text = iso[4] || '';
+      mask = 'HH:MM:ss';
+    }
+    text = text.replace(/\b([ap])\.m\.?/gi, '$1m');
+    var parts = text.match(/\d+|[^\d\s.,\/:\-]+/g) || [];
+    var tokens = mask.replace(/^UTC:/, '').match(_token) || [];
+    var now = new Date();
+    var v = {'y': now.getFullYear(), 'm': null, 'd': null, 'H': 0, 'M': 0, 's': 0};
+    var pm = null;
+    var nums = [];
+    var needs = {};
+    // Words are month and day names, am or pm and ordinal suffixes wherever
+    // they are, numbers are taken in order
+    for (var i = 0, part; part = parts[i]; i++) {
+      if (part.match(/^\d+$/)) {
+        nums.push(part);
+      } else if (part.match(/^[ap]m?$/i)) {
+        pm = part.charAt(0).toLowerCase() == 'p';
+      } else if (part.match(/^(st|nd|rd|th)$/i)) {
+        continue;
+      } else if (v.m === null && _indexOfName(part, locale.monthNames, 12) !== null) {
+        v.m = _indexOfName(part, locale.monthNames, 12);
+      } else if (_indexOfName(part, locale.dayNames, 7) === null) {
+        return null;
+      }
+    }
+    var byName = v.m !== null;
+    for (var i = 0; i < tokens.length; i++) {
+      var n = nums.length ? parseInt(nums[0], 10) : null;
+      switch (tokens[i]) {
+        case 'd': case 'dd':
+          needs.d = true;
+          if (n !== null) v.d = n;
+          break;
+        case 'm': case 'mm': case 'mmm': case 'mmmm':
+          needs.m = true;
+          if (byName) continue;
+          if (n !== null) v.m = n - 1;
+          break;
+        case 'yy': case 'yyyy':
+          if (n !== null && nums[0].length <= 2) {
+            n += Math.floor(now.getFullYear() / 100) * 100;
+          }
+          if (n !== null) v.y = n;
+          break;
+        case 'h': case 'hh': case 'H': case 'HH':
+          if (n !== null) v.H = n;
+          break;
+        case 'M': case 'MM':
+          if (n !== null) v.M = n;
+          break;
+        case 's': case 'ss':
+          if (n !== null) v.s = n;
+          break;
+        case 'l': case 'L':
+          break;
+        default:
+          continue;
+      }
+      nums.shift();
+    }
+    if (nums.length) return null;
+    if (pm !== null) {
+      if (v.H < 1 || v.H > 12) return null;
+      v.H = v.H % 12 + (pm ? 12 : 0);
+    }
+    if (iso) {
+      v.y = parseInt(iso[1], 10);
+      v.m = parseInt(iso[2], 10) - 1;
+      v.d = parseInt(iso[3], 10);
+    } else {
+      if (needs.d && v.d === null) return null;
+      if (needs.m && v.m === null) return null;
+    }
+    if (v.m === null) v.m = now.getMonth();
+    if (v.d === null) v.d = now.getDate();
+    if (v.H > 23 || v.M > 59 || v.s > 59) return null;
+    var date = new Date(v.y, v.m, v.d, v.H, v.M, v.s);
+    if (date.getMonth() != v.m || date.getDate() != v.d) return null;
+    return date;
+  };
+
+  /**
+   * @function toDate
+   * A new date from a date or the time in milliseconds, or from text as
+   * parsed by L<parse> or, failing that, by the Date constructor (such as a
+   * UTC string). Returns null when it is none of these.
+   */
+
+  this.toDate = function (value, mask, locale) {
+    if (value instanceof Date || typeof(value) == 'number') {
+      return isNaN(value) ? null : new Date(value);
+    }
+    if (!ecma.util.defined(value) || value === null || value === '') return null;
+    var date = ecma.date.parse(value, mask, locale) || new Date(value);
+    return isNaN(date) ? null : date;
+  };
+
+  function _getMask (mask, locale) {
+    if (!mask || mask == 'date') return locale.date;
+    if (mask == 'time') return locale.time;
+    if (mask == 'datetime') return locale.date + ' ' + locale.time;
+    return String(mask);
+  }
+
+  // Position of the name (which may be abbreviated) within the first count
+  // names, which are followed by their full names
+  function _indexOfName (text, names, count) {
+    text = text.toLowerCase();
+    for (var i = 0; i < names.length; i++) {
+      var name = names[i].toLowerCase();
+      if (name == text || (text.length >= 3 && name.indexOf(text) == 0)) {
+        return i % count;
+      }
+    }
+    return null;
+  }
+
+  function _detectLocale () {
+    try {
+      return ecma.document.documentElement.getAttribute('lang') ||
+        ecma.window.navigator.language;
+    } catch (ex) {
+    }
+  }
+
+});
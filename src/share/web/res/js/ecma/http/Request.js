@@ -0,0 +1,245 @@
+/** @namespace http */
+ECMAScript.Extend('http', function (ecma) {
+
+  var CRequest = this.Request;
+  var proto = CRequest.prototype;
+
+  // Requests which have been submitted and have not completed or been aborted
+  var _pending = [];
+
+  // Methods which may be sent again without changing the result
+  var _idempotent = {'GET':1, 'HEAD':1, 'OPTIONS':1, 'PUT':1, 'DELETE':1};
+
+  // Status of responses which are worth waiting out (0 is no response)
+  var _transient = {0:1, 502:1, 503:1, 504:1};
+
+  /**
+   * @member Request.defaults
+   * Options for requests which do not set their own.
+   *
+   *  timeout     Milliseconds to wait for the response (0 waits forever)
+   *  retries     Times the request is sent again when it times out, there is
+   *              no response, or the response status is 502, 503 or 504
+   *  retryDelay  Milliseconds before the first retry, doubled for each
+   *              following one
+   *
+   * Like any other option, these may be passed to the constructor or set on
+   * the request itself:
+   *
+   *  ecma.http.Request.defaults.timeout = 30000;
+   *  var req = new ecma.http.Request(uri, {timeout: 5000, retries: 2});
+   *
+   * Only idempotent requests are retried, which by default are those with the
+   * GET, HEAD, OPTIONS, PUT or DELETE method. Set C<idempotent> to say
+   * otherwise (as for a POST which only reads).
+   *
+   * A request may also have an C<owner>, see L<abortAll>.
+   *
+   * Events (see L<fireEvent>):
+   *
+   *  Timeout     There was no response within the timeout
+   *  Retry       The request will be sent again (C<attempt> is the number
+   *              of this retry)
+   *  Abort       The request was aborted and will not complete
+   */
+
+  CRequest.defaults = {
+    'timeout': 0,
+    'retries': 0,
+    'retryDelay': 1000
+  };
+
+  var _onStateChange = proto.onStateChange;
+  var _completeRequest = proto.completeRequest;
+
+  // Every send, first or not, goes through L<resubmit>
+  proto.submit = function (body, cb) {
+    this.body = this.parseBody(body);
+    this.cb = cb;
+    this.attempt = 0;
+    return this.resubmit();
+  };
+
+  proto.resubmit = function () {
+    _begin.call(this);
+    var result = _send.call(this);
+    _startTimer.call(this);
+    return result;
+  };
+
+  // A response held back by an interceptor is not timed
+  proto.onStateChange = function () {
+    if (this.xhr.readyState == ecma.http.XHR_COMPLETE) _stopTimers.call(this);
+    return _onStateChange.apply(this, arguments);
+  };
+
+  proto.completeRequest = function () {
+    _stopTimers.call(this);
+    if (this.canRetry()) return this.retry();
+    this.isPending = false;
+    _untrack(this);
+    var state = this.xhr.readyState;
+    var result = _completeRequest.apply(this, arguments);
+    // Cancelling (on timeout) leaves the state behind, yet it is complete
+    if (state != ecma.http.XHR_COMPLETE) {
+      this.fireEvent(ecma.http.XHR_STATE_NAMES[ecma.http.XHR_COMPLETE]);
+    }
+    return result;
+  };
+
+  /**
+   * @function createXHR
+   * Create the object which sends this request. It has the interface of
+   * C<XMLHttpRequest>, and by default is one (see L<newXHR>).
+   */
+
+  proto.createXHR = function () {
+    return ecma.http.newXHR();
+  };
+
+  /**
+   * @function isIdempotent
+   * May this request be sent again without changing the result.
+   */
+
+  proto.isIdempotent = function () {
+    if (ecma.util.defined(this.idempotent)) return !!this.idempotent;
+    return !!_idempotent[this.method.toUpperCase()];
+  };
+
+  /**
+   * @function canRetry
+   * Should this request, which has failed or timed out, be sent again.
+   */
+
+  proto.canRetry = function () {
+    if (!this.isPending || !this.xhr) return false;
+    if (!_transient[this.xhr.status]) return false;
+    return this.isIdempotent() && this.attempt < _option(this, 'retries');
+  };
+
+  /**
+   * @function retry
+   * Send this request again after the retry delay.
+   */
+
+  proto.retry = function () {
+    var delay = _option(this, 'retryDelay') * Math.pow(2, this.attempt++);
+    this.fireEvent('Retry');
+    this.retryTimer = ecma.dom.setTimeout(this.resubmit, delay, this);
+  };
+
+  /**
+   * @function abort
+   * Stop this request. Its callback is not called and no status events are
+   * fired, only C<Abort>. Returns false when the request was not pending.
+   *
+   * An L<ecma.lsn.Request> then completes without a response.
+   */
+
+  proto.abort = function () {
+    if (!this.isPending) return false;
+    _stopTimers.call(this);
+    _cancelXHR.call(this);
+    this.isPending = false;
+    this.isAborted = true;
+    this.cb = null;
+    _untrack(this);
+    this.fireEvent('Abort');
+    return true;
+  };
+
+  /**
+   * @function abortAll
+   * Abort the pending requests which belong to C<owner>, or every pending
+   * request when called without one. Returns the number aborted.
+   *
+   *  var req = new ecma.http.Request(uri, {owner: dialog});
+   *  ...
+   *  ecma.http.abortAll(dialog);
+   */
+
+  this.abortAll = function (owner) {
+    var all = arguments.length == 0;
+    var reqs = _pending.slice(0);
+    var count = 0;
+    for (var i = 0; i < reqs.length; i++) {
+      if (!all && reqs[i].owner !== owner) continue;
+      if (reqs[i].abort()) count++;
+    }
+    return count;
+  };
+
+  // As the built-in send, with the object from L<createXHR>
+  function _send () {
+    this.xhr = this.createXHR();
+    this.xhr.open(this.method.toUpperCase(), this.uri, this.asynchronous);
+    this.xhr.onreadystatechange = ecma.lang.Callback(this.onStateChange, this);
+    for (var k in this.headers) {
+      this.xhr.setRequestHeader(k, this.headers[k]);
+    }
+    this.fireEvent('Create');
+    this.xhr.send(this.body);
+  }
+
+  function _option (req, name) {
+    return ecma.util.defined(req[name]) ? req[name] : CRequest.defaults[name];
+  }
+
+  function _begin () {
+    _stopTimers.call(this);
+    this.isPending = true;
+    this.isAborted = false;
+    this.timedOut = false;
+    _track(this);
+  }
+
+  // Synchronous requests have completed by now
+  function _startTimer () {
+    var ms = _option(this, 'timeout');
+    if (!ms || !this.isPending || !this.asynchronous) return;
+    this.timeoutTimer = ecma.dom.setTimeout(_onTimeout, ms, this);
+  }
+
+  function _stopTimers () {
+    if (this.timeoutTimer) ecma.dom.clearTimeout(this.timeoutTimer);
+    if (this.retryTimer) ecma.dom.clearTimeout(this.retryTimer);
+    this.timeoutTimer = null;
+    this.retryTimer = null;
+  }
+
+  // Retries, or completes with no response (status 0, seen as a 500)
+  function _onTimeout () {
+    this.timeoutTimer = null;
+    if (!this.isPending) return;
+    this.timedOut = true;
+    _cancelXHR.call(this);
+    this.fireEvent('Timeout');
+    this.completeRequest();
+  }
+
+  // Aborting fires a last state change, which must not complete the request
+  function _cancelXHR () {
+    if (!this.xhr) return;
+    this.xhr.onreadystatechange = function () {};
+    try {
+      this.xhr.abort();
+    } catch (ex) {
+      ecma.error.reportError(ex);
+    }
+  }
+
+  function _track (req) {
+    for (var i = 0; i < _pending.length; i++) {
+      if (_pending[i] === req) return;
+    }
+    _pending.push(req);
+  }
+
+  function _untrack (req) {
+    for (var i = 0; i < _pending.length; i++) {
+      if (_pending[i] === req) return _pending.splice(i, 1);
+    }
+  }
+
+});
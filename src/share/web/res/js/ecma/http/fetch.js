@@ -0,0 +1,190 @@
+/** @namespace http */
+ECMAScript.Extend('http', function (ecma) {
+
+  var CRequest = ecma.http.Request;
+  var proto = CRequest.prototype;
+
+  /**
+   * @class FetchXHR
+   * The interface of C<XMLHttpRequest>, implemented with C<fetch()>.
+   *
+   * The response body is read as a stream. Each part which arrives is added
+   * to C<responseText> and reported as an C<Interactive> state change, so a
+   * request may parse the response as it arrives (see
+   * L<ecma.data.XFR.createParser>) rather than all of it at each change.
+   *
+   * Only asynchronous requests are supported, and there is no C<upload>
+   * (for upload progress).
+   */
+
+  this.FetchXHR = function () {
+    this.readyState = ecma.http.XHR_UNINITIALIZED;
+    this.status = 0;
+    this.statusText = '';
+    this.responseText = '';
+    this.onreadystatechange = null;
+    this.method = null;
+    this.uri = null;
+    this.headers = {};
+    this.response = null;
+    this.controller = null;
+    this.reader = null;
+    this.decoder = null;
+  };
+
+  var FetchXHR = this.FetchXHR.prototype = ecma.lang.createPrototype();
+
+  /**
+   * @function isSupported
+   * True when the browser can stream a fetched response.
+   */
+
+  this.FetchXHR.isSupported = function () {
+    var win = ecma.window;
+    return !!(win.fetch && win.AbortController && win.TextDecoder
+      && win.ReadableStream);
+  };
+
+  FetchXHR.open = function (method, uri, async) {
+    if (async === false) throw new Error('Synchronous fetch is not supported');
+    this.method = method;
+    this.uri = uri;
+    this.setState(ecma.http.XHR_LOADING);
+  };
+
+  FetchXHR.setRequestHeader = function (name, value) {
+    this.headers[name] = value;
+  };
+
+  FetchXHR.getResponseHeader = function (name) {
+    return this.response ? this.response.headers.get(name) : null;
+  };
+
+  FetchXHR.getAllResponseHeaders = function () {
+    if (!this.response) return '';
+    var result = '';
+    this.response.headers.forEach(function (value, name) {
+      result += name + ': ' + value + '\r\n';
+    });
+    return result;
+  };
+
+  FetchXHR.send = function (body) {
+    var win = ecma.window;
+    var self = this;
+    this.controller = new win.AbortController();
+    var init = {
+      'method': this.method,
+      'headers': this.headers,
+      'credentials': 'same-origin',
+      'signal': this.controller.signal
+    };
+    if (body !== null && body !== undefined && !this.method.match(/^(GET|HEAD)$/)) {
+      init.body = body;
+    }
+    win.fetch(this.uri, init).then(function (response) {
+      return self.onResponse(response);
+    }).then(null, function (ex) {
+      self.onError(ex);
+    });
+  };
+
+  FetchXHR.abort = function () {
+    var controller = this.controller;
+    if (!controller) return;
+    this.controller = null;
+    controller.abort();
+    if (this.readyState > ecma.http.XHR_UNINITIALIZED
+        && this.readyState < ecma.http.XHR_COMPLETE) {
+      this.status = 0;
+      this.setState(ecma.http.XHR_COMPLETE);
+    }
+    this.readyState = ecma.http.XHR_UNINITIALIZED;
+  };
+
+  FetchXHR.onResponse = function (response) {
+    if (!this.controller) return;
+    this.response = response;
+    this.status = response.status;
+    this.statusText = response.statusText;
+    this.setState(ecma.http.XHR_LOADED);
+    if (!response.body) {
+      return response.text().then(ecma.lang.createCallback(function (text) {
+        this.onChunk(text);
+        this.onEnd();
+      }, this));
+    }
+    this.reader = response.body.getReader();
+    this.decoder = new ecma.window.TextDecoder('utf-8');
+    return this.read();
+  };
+
+  FetchXHR.read = function () {
+    return this.reader.read().then(ecma.lang.createCallback(function (part) {
+      if (!this.controller) return;
+      if (part.done) {
+        this.onChunk(this.decoder.decode());
+        return this.onEnd();
+      }
+      this.onChunk(this.decoder.decode(part.value, {'stream': true}));
+      return this.read();
+    }, this));
+  };
+
+  FetchXHR.onChunk = function (text) {
+    if (!text) return;
+    this.responseText += text;
+    this.setState(ecma.http.XHR_INTERACTIVE);
+  };
+
+  FetchXHR.onEnd = function () {
+    this.controller = null;
+    this.setState(ecma.http.XHR_COMPLETE);
+  };
+
+  // Network failures have no status, like those of XMLHttpRequest
+  FetchXHR.onError = function (ex) {
+    if (!this.controller) return;
+    this.controller = null;
+    this.status = 0;
+    this.setState(ecma.http.XHR_COMPLETE);
+  };
+
+  // Errors in the handler are not failures of the fetch
+  FetchXHR.setState = function (state) {
+    this.readyState = state;
+    if (!this.onreadystatechange) return;
+    try {
+      this.onreadystatechange();
+    } catch (ex) {
+      ecma.error.reportError(ex);
+    }
+  };
+
+  /**
+   * @member Request.defaults.transport
+   * What sends requests: C<xhr> (C<XMLHttpRequest>) or C<fetch>
+   * (L<FetchXHR>). Like the other defaults, a request may set its own.
+   *
+   *  var req = new ecma.lsn.Request(uri, {transport: 'fetch'});
+   *
+   * Synchronous requests, and those in browsers which cannot stream a
+   * fetched response, use C<xhr> regardless.
+   */
+
+  CRequest.defaults.transport = 'xhr';
+
+  var _createXHR = proto.createXHR;
+
+  proto.createXHR = function () {
+    var transport = ecma.util.defined(this.transport)
+      ? this.transport
+      : CRequest.defaults.transport;
+    if (transport == 'fetch' && this.asynchronous
+        && ecma.http.FetchXHR.isSupported()) {
+      return new ecma.http.FetchXHR();
+    }
+    return _createXHR.apply(this, arguments);
+  };
+
+});
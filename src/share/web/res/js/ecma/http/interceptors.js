@@ -0,0 +1,138 @@
+/** @namespace http */
+ECMAScript.Extend('http', function (ecma) {
+
+  var proto = ecma.http.Request.prototype;
+  var _interceptors = [];
+
+  /**
+   * @function addInterceptor
+   * Add a hook into every request (including L<ecma.lsn.Request> and the
+   * classes built on it).
+   *
+   *  ecma.http.addInterceptor({
+   *    name: 'request-id',
+   *    match: function (req) {
+   *      return req.uri.indexOf('/api/') == 0;
+   *    },
+   *    request: function (req) {
+   *      req.setHeader('X-Request-ID', ecma.util.randomId('req'));
+   *    },
+   *    response: function (req) {
+   *      ecma.console.log(req.uri, req.xhr.status);
+   *    }
+   *  });
+   *
+   * All members are optional:
+   *
+   *  name        Identifies the interceptor, see L<removeInterceptor>
+   *  match       Only requests for which this returns true are intercepted
+   *  request     Called before the request is sent (and again each time it
+   *              is resent), when its headers and (parsed) body may still
+   *              be changed
+   *  response    Called as the request completes, before its callback:
+   *              when the response has arrived, or when it timed out
+   *              (C<timedOut> is then set). Attempts which are retried are
+   *              not seen. Returning false holds the request back: the
+   *              interceptor then becomes responsible for calling its
+   *              C<resubmit> or C<completeRequest> method.
+   *
+   * Request hooks are called in the order the interceptors were added, and
+   * response hooks in the reverse order. An interceptor added again with the
+   * same name replaces the previous one, in its place.
+   */
+
+  this.addInterceptor = function (interceptor) {
+    if (!ecma.util.isObject(interceptor)) {
+      throw new ecma.error.IllegalArg('interceptor');
+    }
+    var i = interceptor.name ? _indexOf(interceptor.name) : -1;
+    if (i < 0) {
+      _interceptors.push(interceptor);
+    } else {
+      _interceptors[i] = interceptor;
+    }
+    return interceptor;
+  };
+
+  /**
+   * @function removeInterceptor
+   * Remove an interceptor, given it or its name. Returns the one removed.
+   */
+
+  this.removeInterceptor = function (interceptor) {
+    var i = _indexOf(interceptor);
+    return i < 0 ? null : _interceptors.splice(i, 1)[0];
+  };
+
+  /**
+   * @function getInterceptor
+   * The interceptor with the given name.
+   */
+
+  this.getInterceptor = function (name) {
+    var i = _indexOf(name);
+    return i < 0 ? null : _interceptors[i];
+  };
+
+  function _indexOf (interceptor) {
+    for (var i = 0; i < _interceptors.length; i++) {
+      var item = _interceptors[i];
+      if (item === interceptor || (item.name && item.name === interceptor)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  function _matches (interceptor, req) {
+    try {
+      return !interceptor.match || interceptor.match(req);
+    } catch (ex) {
+      ecma.error.reportError(ex);
+      return false;
+    }
+  }
+
+  var _resubmit = proto.resubmit;
+  var _completeRequest = proto.completeRequest;
+
+  proto.resubmit = function () {
+    this.isIntercepted = false;
+    var list = _interceptors.slice(0);
+    for (var i = 0; i < list.length; i++) {
+      var item = list[i];
+      if (!item.request || !_matches(item, this)) continue;
+      try {
+        item.request(this);
+      } catch (ex) {
+        ecma.error.reportError(ex);
+      }
+    }
+    return _resubmit.apply(this, arguments);
+  };
+
+  // Each attempt passes the response hooks once, however it completes. A
+  // request which was held back completes without passing them again.
+  proto.completeRequest = function () {
+    if (!this.isIntercepted && !this.canRetry()) {
+      this.isIntercepted = true;
+      if (!_intercept(this)) return;
+    }
+    return _completeRequest.apply(this, arguments);
+  };
+
+  function _intercept (req) {
+    var list = _interceptors.slice(0);
+    for (var i = list.length - 1; i >= 0; i--) {
+      var item = list[i];
+      if (!item.response || !_matches(item, req)) continue;
+      try {
+        if (item.response(req) === false) return false;
+      } catch (ex) {
+        ecma.error.reportError(ex);
+      }
+    }
+    return true;
+  }
+
+});
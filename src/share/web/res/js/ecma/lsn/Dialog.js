@@ -0,0 +1,19 @@
+/** @namespace lsn */
+ECMAScript.Extend('lsn', function (ecma) {
+
+  var proto = ecma.lsn.Dialog.prototype;
+
+  /**
+   * @function onHide
+   * Requests which belong to the dialog (those with it as their C<owner>, see
+   * L<ecma.http.Request.defaults>) are aborted when it is hidden.
+   */
+
+  var _onHide = proto.onHide;
+
+  proto.onHide = function () {
+    ecma.http.abortAll(this);
+    return _onHide.apply(this, arguments);
+  };
+
+});
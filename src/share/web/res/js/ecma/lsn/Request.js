@@ -0,0 +1,161 @@
+/** @namespace lsn */
+ECMAScript.Extend('lsn', function (ecma) {
+
+  var _proto = ecma.lsn.Request.prototype;
+  var _pendingAuth = [];
+  var _loginDialog = null;
+
+  function _resubmitPending () {
+    var req = _pendingAuth.shift();
+    while (req) {
+      req.resubmit();
+      req = _pendingAuth.shift();
+    }
+  }
+
+  function _flushPending () {
+    var req = _pendingAuth.shift();
+    while (req) {
+      req.completeRequest();
+      req = _pendingAuth.shift();
+    }
+  }
+
+  // Authorization is handled by the login interceptor (below)
+  _proto.canComplete = ecma.http.Request.prototype.canComplete;
+
+  _proto.showLoginDialog = function () {
+    var loginDialog = new ecma.lsn.ui.LoginDialog(this.loginURI);
+    loginDialog.dlg.show({
+      onSuccess: ecma.lang.createCallback(function () {
+        _loginDialog = null;
+        _resubmitPending();
+      }, this),
+      onCancel: ecma.lang.createCallback(function () {
+        _loginDialog = null;
+        _flushPending();
+      }, this)
+    });
+    return loginDialog;
+  };
+
+  /**
+   * @function abort
+   * As L<ecma.http.Request.abort>, after which the request completes without
+   * a response: its callback is called and the C<Complete> event fired, with
+   * no C<responseHash>. Whatever waits on the request is not left waiting.
+   */
+
+  var _abort = _proto.abort;
+
+  _proto.abort = function () {
+    var cb = this.cb;
+    if (!_abort.apply(this, arguments)) return false;
+    this.responseHash = undefined;
+    this.responseJSON = undefined;
+    if (cb) {
+      try {
+        this.invokeListener(cb);
+      } catch (ex) {
+        ecma.error.reportError(ex);
+      }
+    }
+    this.fireEvent('Complete');
+    return true;
+  };
+
+  /**
+   * @member streaming
+   * When set (as an option, or on the request), an XFR response is parsed as
+   * it arrives (see L<ecma.data.XFRParser>). The class action C<onNode> is
+   * executed as each of its nodes completes, with the node, its address and
+   * its parent.
+   *
+   *  var req = new ecma.lsn.Request(uri, {streaming: true, transport: 'fetch'});
+   *  req.addActionListener('onNode', function (action, node, addr) {
+   *    ...
+   *  });
+   *
+   * The C<responseHash> is then the parsed result, rather than being parsed
+   * again on completion.
+   */
+
+  var _onStateChange = _proto.onStateChange;
+  var _parseResponse = _proto.parseResponse;
+
+  _proto.onStateChange = function () {
+    if (this.streaming && this.xhr.readyState >= ecma.http.XHR_INTERACTIVE) {
+      _feed.call(this);
+    }
+    return _onStateChange.apply(this, arguments);
+  };
+
+  _proto.parseResponse = function () {
+    var parser = this.parserXHR === this.xhr ? this.parser : null;
+    this.parser = this.parserXHR = null;
+    if (parser && parser.isComplete) {
+      this.responseHash = parser.end();
+      return;
+    }
+    return _parseResponse.apply(this, arguments);
+  };
+
+  // Each attempt has its own parser. Should it fail, the response is parsed
+  // as usual on completion.
+  function _feed () {
+    var xhr = this.xhr;
+    if (xhr.status < 200 || xhr.status >= 300) return;
+    if (this.parserXHR === xhr && !this.parser) return;
+    try {
+      if (this.parserXHR !== xhr) {
+        this.parserXHR = xhr;
+        this.parser = null;
+        this.parsedLength = 0;
+        if (xhr.getResponseHeader('X-Content-Format') != 'text/data-xfr') return;
+        var xfr = this.getXFR(xhr.getResponseHeader('X-Content-Encoding'));
+        this.parser = xfr.createParser([_onNode, this]);
+      }
+      var text = xhr.responseText;
+      this.parser.write(text.substr(this.parsedLength));
+      this.parsedLength = text.length;
+    } catch (ex) {
+      ecma.error.reportError(ex);
+      this.parser = null;
+    }
+  }
+
+  function _onNode (node, addr, parent) {
+    try {
+      this.executeClassAction('onNode', node, addr, parent);
+    } catch (ex) {
+      ecma.error.reportError(ex);
+    }
+  }
+
+  /**
+   * @member interceptors.login
+   * When a request is refused as unauthorized, it is held back while the
+   * login dialog is shown. It is then sent again when the user logs in, or
+   * completed (unauthorized) when they cancel.
+   *
+   * Only requests with a C<loginURI> (see L<ecma.lsn.Request>) are
+   * intercepted. Remove this interceptor to handle authorization otherwise:
+   *
+   *  ecma.http.removeInterceptor('login');
+   */
+
+  ecma.http.addInterceptor({
+    'name': 'login',
+    'match': function (req) {
+      return req.loginURI && req.uri != req.loginURI;
+    },
+    'response': function (req) {
+      var status = req.xhr.status;
+      if (status != 401 && !(status == 403 && ecma.dom.browser.isOpera)) return;
+      if (!_loginDialog) _loginDialog = req.showLoginDialog();
+      _pendingAuth.push(req);
+      return false;
+    }
+  });
+
+});
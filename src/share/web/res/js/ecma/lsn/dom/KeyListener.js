@@ -0,0 +1,11 @@
+/** @namespace dom */
+ECMAScript.Extend('dom', function (ecma) {
+
+  var proto = ecma.dom.KeyListener.prototype;
+
+  // KeyPress.detach removes the events of the element it is given
+  proto.remove = function () {
+    this.detach(this.elem);
+  };
+
+});
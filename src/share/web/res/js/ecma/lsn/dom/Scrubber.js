@@ -0,0 +1,429 @@
+/** @namespace dom */
+ECMAScript.Extend('dom', function (ecma) {
+
+  var proto = this.Scrubber.prototype;
+
+  // Attributes whose values are URLs
+  var URL_ATTRS = ['href', 'src', 'action', 'background', 'cite', 'longdesc',
+    'formaction', 'poster', 'data', 'xlink:href'];
+
+  // Attributes whose values are lists of URLs, each with a descriptor (as
+  // C<a.png 1x, b.png 2x>)
+  var URL_LIST_ATTRS = ['srcset'];
+
+  // Schemes which are refused whatever the profile
+  var DENY_SCHEMES = ['javascript', 'vbscript'];
+
+  var _profiles = {};
+  var _resolved = {};
+
+  /**
+   * @class Scrubber
+   * Cleans markup according to a sanitization profile, which is given by
+   * its name, as a definition, or as a list of either (which are combined):
+   *
+   *  var scrubber = new ecma.dom.Scrubber(js, 'page');
+   *  scrubber.scrub(elem);
+   *  if (scrubber.getReport().count) ...
+   *
+   *  new ecma.dom.Scrubber(js, ['inline', {'tags': ['IMG']}]);
+   *
+   * The profile is C<default> when none is given, which cleans as the
+   * Scrubber always has. Whatever the profile, event handler attributes
+   * (such as C<onclick>) and C<javascript:> URLs are removed.
+   */
+
+  this.Scrubber = function (js, profile) {
+    this.js = js || ecma;
+    this.profile = ecma.dom.Scrubber.getProfile(profile || 'default');
+    this.report = null;
+    this.resetReport();
+  };
+
+  this.Scrubber.prototype = proto;
+
+  /**
+   * @function defineProfile
+   * Define a named profile. Its definition may have:
+   *
+   *  extends     Names (or definitions) of the profiles it builds upon
+   *  tags        Elements which are kept
+   *  deny        Elements which are not kept, though a profile it extends
+   *              would keep them
+   *  remove      Elements which are replaced by their children. With C<*>,
+   *              any element which is not kept is (but for those dropped).
+   *  drop        Elements which are removed with their content, though
+   *              C<remove> has C<*>
+   *  remap       Elements which are renamed, as C<{'STRONG': 'B'}>
+   *  empty       Elements which are kept when they have no children
+   *  attributes  Attributes which are kept, by element (C<*> for any
+   *              element), as C<{'A': ['href'], '*': ['title']}>. An
+   *              attribute of C<*> keeps any attribute.
+   *  schemes     URL schemes which are accepted in C<href>, C<src> and other
+   *              URL attributes (relative URLs always are). Any scheme is
+   *              accepted when no profile gives them.
+   *  styles      Style properties which are kept
+   *  classes     Class names which are kept, as patterns (regular
+   *              expressions, or strings which match whole names)
+   *
+   * Lists are combined with those of the profiles it extends, so:
+   *
+   *  ecma.dom.Scrubber.defineProfile('figure', {
+   *    'extends': 'inline',
+   *    'tags': ['IMG', 'FIGURE', 'FIGCAPTION'],
+   *    'attributes': {'IMG': ['src', 'alt']}
+   *  });
+   *
+   * These are defined:
+   *
+   *  default     As the Scrubber has always cleaned
+   *  inline      Inline formatting and links (as for comments)
+   *  block       Inline, with paragraphs, headings, lists and quotes
+   *  page        Block, with tables and images (as for page bodies)
+   */
+
+  this.Scrubber.defineProfile = function (name, def) {
+    _profiles[name] = def;
+    _resolved = {};
+  };
+
+  /**
+   * @function getProfile
+   * The resolved profile of the name, definition or list (see above).
+   */
+
+  this.Scrubber.getProfile = function (profile) {
+    if (typeof(profile) == 'string') {
+      if (!_resolved[profile]) _resolved[profile] = _resolve(profile, []);
+      return _resolved[profile];
+    }
+    if (profile && profile.isResolved) return profile;
+    return _resolve(profile, []);
+  };
+
+  /**
+   * @function scrub
+   * Clean then collapse the element (whose children are scrubbed). What is
+   * removed is reported by L<getReport>.
+   */
+
+  proto.scrub = function (elem) {
+    this.resetReport();
+    return this.collapse(this.clean(elem));
+  };
+
+  /**
+   * @function getReport
+   * What the last scrub removed:
+   *
+   *  count       Number of things which were removed
+   *  tags        Elements removed with their content, as C<{'SCRIPT': 1}>
+   *  attributes  Attributes, as C<{'IMG[onerror]': 1}>
+   *  styles      Style properties, as C<{'color': 2}>
+   *  classes     Class names, as C<{'MsoNormal': 3}>
+   *  urls        URLs whose scheme is not accepted
+   *
+   * Elements which are empty, replaced by their children or renamed are not
+   * reported, as their content is kept.
+   */
+
+  proto.getReport = function () {
+    return this.report;
+  };
+
+  proto.resetReport = function () {
+    this.report = {
+      'count': 0,
+      'tags': {},
+      'attributes': {},
+      'styles': {},
+      'classes': {},
+      'urls': []
+    };
+  };
+
+  proto.clean = function (elem) {
+    var p = this.profile;
+    var node = elem.firstChild;
+    while (node) {
+      var next = node.nextSibling;
+      switch (node.nodeType) {
+        case ecma.dom.constants.ELEMENT_NODE:
+          var tag = node.tagName.toUpperCase();
+          if (p.remove[tag] ||
+              (p.remove['*'] && !p.tags[tag] && !p.drop[tag])) {
+            next = node.firstChild || next;
+            this.js.dom.removeElementOrphanChildren(node);
+            break;
+          }
+          if (!p.tags[tag]) {
+            _count(this.report, 'tags', tag);
+            elem.removeChild(node);
+            break;
+          }
+          if (!node.childNodes.length && !p.empty[tag]) {
+            elem.removeChild(node);
+            break;
+          }
+          if (p.remap[tag]) {
+            var newNode = this.js.dom.createElement(p.remap[tag]);
+            this.js.dom.insertAfter(newNode, node);
+            this.js.dom.appendChildren(newNode, node.childNodes);
+            this.js.dom.removeElement(node);
+            node = newNode;
+          }
+          this.clean(node);
+          this.scrubAttributes(node);
+          break;
+        case ecma.dom.constants.TEXT_NODE:
+          if (this.wsMatters(node)) {
+            break;
+          }
+          node.nodeValue = node.nodeValue.replace(/\s+/g, ' ');
+          if (node.nodeValue) {
+            break;
+          }
+        default:
+          elem.removeChild(node);
+      }
+      node = next;
+    }
+    return elem;
+  };
+
+  /**
+   * @function scrubAttributes
+   * Remove the attributes, styles, classes and URLs of the element which
+   * the profile does not accept.
+   */
+
+  proto.scrubAttributes = function (elem) {
+    var p = this.profile;
+    var tag = elem.tagName.toUpperCase();
+    var allowed = p.attributes[tag] || {};
+    var any = p.attributes['*'] || {};
+    for (var i = elem.attributes.length - 1; i >= 0; i--) {
+      var attr = elem.attributes[i];
+      var name = attr.name.toLowerCase();
+      if (name == 'style' || name == 'class') continue;
+      if (!name.match(/^on/) &&
+          (allowed[name] || allowed['*'] || any[name] || any['*'])) {
+        if (_areURLsAllowed(this, name, attr.value)) continue;
+        this.report.urls.push(attr.value);
+        this.report.count++;
+      } else {
+        _count(this.report, 'attributes', tag + '[' + name + ']');
+      }
+      elem.removeAttribute(attr.name);
+    }
+    this.scrubStyles(elem);
+    this.scrubClasses(elem);
+  };
+
+  /**
+   * @function isURLAllowed
+   * True when the URL is relative or its scheme is accepted.
+   */
+
+  proto.isURLAllowed = function (url) {
+    var m = String(url).replace(/[\s\x00-\x1f]+/g, '').match(/^([a-z][a-z0-9+.\-]*):/i);
+    if (!m) return true;
+    var scheme = m[1].toLowerCase();
+    if (ecma.util.grep(scheme, DENY_SCHEMES)) return false;
+    return this.profile.schemes ? this.profile.schemes[scheme] ? true : false : true;
+  };
+
+  proto.scrubStyles = function (elem) {
+    var text = this.js.dom.getAttribute(elem, 'style');
+    if (!ecma.util.defined(text) || text === null) return;
+    text = typeof(text) == 'string' ? text : elem.style.cssText;
+    var kept = [];
+    var decls = text.split(';');
+    for (var i = 0; i < decls.length; i++) {
+      var m = decls[i].match(/^\s*([\w\-]+)\s*:\s*([\s\S]*?)\s*$/);
+      if (!m) continue;
+      var name = m[1].toLowerCase();
+      if (this.profile.styles[name] && !m[2].match(/expression|url\s*\(/i)) {
+        kept.push(name + ': ' + m[2]);
+      } else {
+        _count(this.report, 'styles', name);
+      }
+    }
+    if (kept.length) {
+      elem.style.cssText = kept.join('; ');
+    } else {
+      this.js.dom.removeAttribute(elem, 'style');
+    }
+  };
+
+  proto.scrubClasses = function (elem) {
+    var names = (elem.className || '').split(/\s+/);
+    var kept = [];
+    for (var i = 0, name; i < names.length; i++) {
+      if (!(name = names[i])) continue;
+      if (_matchesAny(name, this.profile.classes)) {
+        kept.push(name);
+      } else {
+        _count(this.report, 'classes', name);
+      }
+    }
+    if (kept.length) {
+      elem.className = kept.join(' ');
+    } else {
+      this.js.dom.removeAttribute(elem, 'class');
+    }
+  };
+
+  // True when the attribute is not a URL, or each of its URLs is allowed
+  function _areURLsAllowed (scrubber, name, value) {
+    if (ecma.util.grep(name, URL_LIST_ATTRS)) {
+      var candidates = String(value).split(',');
+      for (var i = 0; i < candidates.length; i++) {
+        var url = candidates[i].replace(/^\s+/, '').split(/\s+/)[0];
+        if (!scrubber.isURLAllowed(url)) return false;
+      }
+      return true;
+    }
+    return !ecma.util.grep(name, URL_ATTRS) || scrubber.isURLAllowed(value);
+  }
+
+  function _count (report, kind, name) {
+    report[kind][name] = (report[kind][name] || 0) + 1;
+    report.count++;
+  }
+
+  function _matchesAny (name, patterns) {
+    for (var i = 0; i < patterns.length; i++) {
+      if (patterns[i].test(name)) return true;
+    }
+    return false;
+  }
+
+  // A profile (name, definition or list of either) with those it extends
+  // combined into lookups
+  function _resolve (profile, seen) {
+    var result = {
+      'isResolved': true,
+      'tags': {},
+      'remove': {},
+      'drop': {},
+      'remap': {},
+      'empty': {},
+      'attributes': {},
+      'schemes': null,
+      'styles': {},
+      'classes': []
+    };
+    _merge(result, profile, seen);
+    return result;
+  }
+
+  function _merge (result, profile, seen) {
+    if (!profile) return;
+    if (ecma.util.isArray(profile)) {
+      for (var i = 0; i < profile.length; i++) {
+        _merge(result, profile[i], seen);
+      }
+      return;
+    }
+    if (typeof(profile) == 'string') {
+      if (ecma.util.grep(profile, seen)) {
+        throw new Error('Profile extends itself: ' + profile);
+      }
+      if (!_profiles[profile]) throw new Error('No such profile: ' + profile);
+      _merge(result, _profiles[profile], seen.concat([profile]));
+      return;
+    }
+    _merge(result, profile['extends'], seen);
+    _set(result.tags, profile.tags, true);
+    _set(result.remove, profile.remove, true);
+    _set(result.drop, profile.drop, true);
+    _set(result.empty, profile.empty, true);
+    _set(result.styles, profile.styles);
+    for (var tag in profile.remap) {
+      result.remap[tag.toUpperCase()] = profile.remap[tag].toUpperCase();
+    }
+    for (var tag in profile.attributes) {
+      var key = tag == '*' ? tag : tag.toUpperCase();
+      if (!result.attributes[key]) result.attributes[key] = {};
+      _set(result.attributes[key], profile.attributes[tag]);
+    }
+    if (profile.schemes) {
+      if (!result.schemes) result.schemes = {};
+      _set(result.schemes, profile.schemes);
+    }
+    var classes = profile.classes || [];
+    for (var i = 0; i < classes.length; i++) {
+      result.classes.push(classes[i] instanceof RegExp
+        ? classes[i]
+        : new RegExp('^(?:' + classes[i] + ')$'));
+    }
+    var deny = profile.deny || [];
+    for (var i = 0; i < deny.length; i++) {
+      delete result.tags[deny[i].toUpperCase()];
+    }
+  }
+
+  function _set (lookup, names, upper) {
+    if (!names) return;
+    for (var i = 0; i < names.length; i++) {
+      lookup[upper ? names[i].toUpperCase() : names[i].toLowerCase()] = true;
+    }
+  }
+
+  this.Scrubber.defineProfile('default', {
+    'tags': ['A', 'ABBR', 'ACRONYM', 'ADDRESS', 'B', 'BDO', 'BIG',
+      'BLOCKQUOTE', 'BR', 'BUTTON', 'CAPTION', 'CENTER', 'CITE', 'CODE', 'COL',
+      'COLGROUP', 'DD', 'DEL', 'DFN', 'DIV', 'DL', 'DT', 'EM', 'FONT', 'FORM',
+      'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'I', 'IMG', 'INS', 'KBD',
+      'LABEL', 'LI', 'OL', 'OPTGROUP', 'OPTION', 'P', 'PRE', 'Q', 'S', 'SAMP',
+      'SMALL', 'SPAN', 'STRIKE', 'STRONG', 'SUB', 'SUP', 'TABLE', 'TBODY',
+      'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'TT', 'U', 'UL', 'VAR'],
+    'remove': ['FONT', 'SPAN', 'LABEL'],
+    'remap': {'STRONG': 'B', 'EM': 'I'},
+    'empty': ['BR', 'IMG', 'INPUT', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD',
+      'TR'],
+    'attributes': {'*': ['*']},
+    'styles': ['align', 'clear']
+  });
+
+  this.Scrubber.defineProfile('inline', {
+    'tags': ['A', 'ABBR', 'B', 'BR', 'CITE', 'CODE', 'DEL', 'EM', 'I', 'INS',
+      'KBD', 'Q', 'S', 'SMALL', 'STRONG', 'SUB', 'SUP', 'U'],
+    'remove': ['*'],
+    'drop': ['APPLET', 'BUTTON', 'EMBED', 'FORM', 'HEAD', 'IFRAME', 'INPUT',
+      'LINK', 'MATH', 'META', 'NOSCRIPT', 'OBJECT', 'SCRIPT', 'SELECT',
+      'STYLE', 'SVG', 'TEMPLATE', 'TEXTAREA', 'TITLE'],
+    'remap': {'STRONG': 'B', 'EM': 'I'},
+    'empty': ['BR'],
+    'attributes': {
+      'A': ['href', 'title'],
+      'ABBR': ['title']
+    },
+    'schemes': ['http', 'https', 'mailto']
+  });
+
+  this.Scrubber.defineProfile('block', {
+    'extends': 'inline',
+    'tags': ['BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'H1', 'H2', 'H3', 'H4',
+      'H5', 'H6', 'HR', 'LI', 'OL', 'P', 'PRE', 'UL'],
+    'empty': ['HR'],
+    'styles': ['text-align']
+  });
+
+  this.Scrubber.defineProfile('page', {
+    'extends': 'block',
+    'tags': ['CAPTION', 'COL', 'COLGROUP', 'IMG', 'TABLE', 'TBODY', 'TD',
+      'TFOOT', 'TH', 'THEAD', 'TR'],
+    'empty': ['COL', 'IMG', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR'],
+    'attributes': {
+      'IMG': ['src', 'alt', 'title', 'width', 'height'],
+      'TD': ['colspan', 'rowspan'],
+      'TH': ['colspan', 'rowspan', 'scope'],
+      'COL': ['span'],
+      'COLGROUP': ['span']
+    },
+    'styles': ['float', 'clear']
+  });
+
+});
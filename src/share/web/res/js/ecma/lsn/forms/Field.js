@@ -0,0 +1,286 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var _css = null;
+
+  function _initStyles () {
+    if (_css) return;
+    _css = new ecma.dom.StyleSheet();
+    _css.createRule('form span.error', {
+      'color': '#c00',
+      'margin-left': '.5em'
+    });
+    _css.createRule('form .invalid', {
+      'border-color': '#c00'
+    });
+  }
+
+  var proto = this.Field.prototype;
+
+  /**
+   * A field is validated by the rules of its definition (see
+   * L<ecma.lsn.forms.rules>) when its control changes and when its form is
+   * submitted. The message of the first rule which fails is displayed next
+   * to the control.
+   */
+
+  var _createControl = proto.createControl;
+
+  proto.createControl = function () {
+    var elem = _controls[this.model.type]
+      ? _createInput.call(this, _controls[this.model.type])
+      : _createControl.apply(this, arguments);
+    this.evtValidate = new ecma.dom.EventListener(elem, 'change',
+      this.onControlChange, this);
+    return elem;
+  };
+
+  /**
+   * Besides those of the original, fields may be of type:
+   *
+   *  select        L<ecma.lsn.forms.InputSelect>
+   *  multiselect   L<ecma.lsn.forms.InputMultiSelect>
+   *  radio         L<ecma.lsn.forms.InputRadio>
+   *  checkbox      L<ecma.lsn.forms.InputCheckbox>
+   *  integer       L<ecma.lsn.forms.InputInteger>
+   *  number        L<ecma.lsn.forms.InputDecimal> (of C<digits> places)
+   *  color         L<ecma.lsn.forms.InputColor>
+   *  file          L<ecma.lsn.forms.InputFile>
+   *  date          L<ecma.lsn.forms.InputDate>
+   *  datetime      L<ecma.lsn.forms.InputDate> with the time of day
+   *  time          L<ecma.lsn.forms.InputDate> of the time of day (stored
+   *                as C<HH:MM>)
+   *
+   * The C<options> of select, multiselect and radio fields may be the hub
+   * address which holds them (see L<ecma.lsn.forms.loadOptions>). Date
+   * fields may give a C<format>, C<locale>, and C<min> and C<max> (which
+   * also bound the picker).
+   */
+
+  var _controls = {
+    'select': function (attrs) {
+      return new ecma.lsn.forms.InputSelect(_create('select', attrs));
+    },
+    'multiselect': function (attrs) {
+      return new ecma.lsn.forms.InputMultiSelect(_create('select', attrs));
+    },
+    'radio': function (attrs) {
+      return new ecma.lsn.forms.InputRadio(_create('span', attrs), null,
+        attrs.name);
+    },
+    'checkbox': function (attrs) {
+      attrs.type = 'checkbox';
+      return new ecma.lsn.forms.InputCheckbox(_create('input', attrs));
+    },
+    'integer': function (attrs) {
+      attrs.type = 'text';
+      return new ecma.lsn.forms.InputInteger(_create('input', attrs));
+    },
+    'number': function (attrs, model) {
+      attrs.type = 'text';
+      return new ecma.lsn.forms.InputDecimal(_create('input', attrs),
+        ecma.util.defined(model.digits) ? ecma.util.asInt(model.digits) : 2);
+    },
+    'color': function (attrs) {
+      attrs.type = 'text';
+      attrs.maxlength = 7;
+      return new ecma.lsn.forms.InputColor(_create('input', attrs));
+    },
+    'file': function (attrs) {
+      attrs.type = 'file';
+      return new ecma.lsn.forms.InputFile(_create('input', attrs));
+    },
+    'date': function (attrs, model) {
+      return _createDate(attrs, model, {});
+    },
+    'datetime': function (attrs, model) {
+      return _createDate(attrs, model, {'time': true});
+    },
+    'time': function (attrs, model) {
+      return _createDate(attrs, model,
+        {'date': false, 'time': true, 'store': 'HH:MM'});
+    }
+  };
+
+  function _create (tag, attrs) {
+    return ecma.dom.createElement(tag, attrs);
+  }
+
+  function _createDate (attrs, model, opts) {
+    attrs.type = 'text';
+    opts.min = model.min;
+    opts.max = model.max;
+    opts.locale = model.locale;
+    return new ecma.lsn.forms.InputDate(_create('input', attrs),
+      model.format, opts);
+  }
+
+  function _createInput (factory) {
+    var model = this.model;
+    var adaptor = factory({
+      'id': this.id,
+      'class': model.type,
+      'name': this.name
+    }, model);
+    this.uiControl = adaptor.elem;
+    this.adaptor = adaptor;
+    if (ecma.util.defined(model.value) && model.value !== '') {
+      adaptor.deserialize(model.value);
+    }
+    if (model.options && adaptor.setOptions) {
+      ecma.lsn.forms.loadOptions(model.options, [adaptor.setOptions, adaptor]);
+    }
+    return this.uiControl;
+  }
+
+  /**
+   * @function setName
+   * Rename the field (and its control), as when the item of an array which
+   * it edits has moved (see L<ecma.lsn.forms.FieldsetArray>).
+   */
+
+  proto.setName = function (name) {
+    this.name = this.model.name = name;
+    if (!this.uiControl) return;
+    ecma.dom.setAttribute(this.uiControl, 'name', name);
+    if (this.adaptor && this.adaptor.setName) this.adaptor.setName(name);
+  };
+
+  proto.onControlChange = function (event) {
+    this.validate();
+  };
+
+  /**
+   * @function validate
+   * Check the value against the rules of the definition, displaying the
+   * message when it fails. Returns the message, or null when the value is
+   * valid.
+   *
+   * When a callback is given and the value passes, the definition's
+   * C<remote> check is also made, which names a sub of a Perl module (see
+   * L<ecma.http.PerlModule>):
+   *
+   *  remote => /res/login/module.pm/check_login
+   *
+   * The sub is given the C<name> and C<value> and returns a message when the
+   * value is not valid (nothing when it is). The callback is called with the
+   * message (or null) and the field.
+   */
+
+  proto.validate = function (cb) {
+    var value = this.getValue();
+    var error = this.isUnchangedPassword(value)
+      ? null
+      : this.getInputError() ||
+        ecma.lsn.forms.checkRules(value, this.model, this) || null;
+    if (error || !cb || !this.model.remote) {
+      this.setError(error);
+      if (cb) ecma.lang.callback(cb, null, [error, this]);
+      return error;
+    }
+    this.validateRemote(value, cb);
+    return null;
+  };
+
+  proto.validateRemote = function (value, cb) {
+    var remote = this.remote;
+    if (remote && remote.value === value && remote.checked) {
+      this.setError(remote.error);
+      return ecma.lang.callback(cb, null, [remote.error, this]);
+    }
+    remote = this.remote = {'value': value, 'checked': false, 'error': null};
+    var idx = this.model.remote.lastIndexOf('/');
+    var module = new ecma.http.PerlModule(this.model.remote.substr(0, idx));
+    module.submit(this.model.remote.substr(idx + 1), {
+      'name': this.name,
+      'value': value
+    }, [function (data, req) {
+      var rc = req && req.xhr ? req.xhr.status : 0;
+      remote.checked = rc == 200;
+      remote.error = rc == 200
+        ? data ? data.toString() : null
+        : 'Could not be checked (' + rc + ')';
+      if (this.remote !== remote) return;
+      this.setError(remote.error);
+      ecma.lang.callback(cb, null, [remote.error, this]);
+    }, this]);
+  };
+
+  // Inputs which hold what cannot be serialized (such as text which is not a
+  // date) say so
+  proto.getInputError = function () {
+    return this.adaptor && this.adaptor.getError
+      ? this.adaptor.getError()
+      : null;
+  };
+
+  proto.isUnchangedPassword = function (value) {
+    return this.model.type == 'password' && value == '*****';
+  };
+
+  proto.isValid = function () {
+    return !this.error;
+  };
+
+  proto.getError = function () {
+    return this.error;
+  };
+
+  /**
+   * @function setError
+   * Display the message next to the control (or clear it when null).
+   */
+
+  proto.setError = function (error) {
+    this.error = error || null;
+    if (!this.uiControl || this.isHidden()) return;
+    if (this.error) {
+      _initStyles();
+      var elem = this.getErrorElement();
+      ecma.dom.setValue(elem, ecma.data.entities.encode(this.error));
+      if (!elem.parentNode && this.uiControl.parentNode) {
+        ecma.dom.insertAfter(elem, this.uiControl);
+      }
+      ecma.dom.addClassName(this.uiControl, 'invalid');
+    } else {
+      if (this.uiError) ecma.dom.removeElement(this.uiError);
+      ecma.dom.removeClassName(this.uiControl, 'invalid');
+    }
+  };
+
+  proto.getErrorElement = function () {
+    return this.uiError || (this.uiError = ecma.dom.createElement('span.error'));
+  };
+
+  /**
+   * @function reset
+   * Restore the value with which the field was created and clear its error.
+   */
+
+  proto.reset = function () {
+    this.remote = null;
+    this.setError(null);
+    if (!this.uiControl) return;
+    var value = this.model.type == 'password'
+      ? this.model.value ? '*****' : ''
+      : this.model.value;
+    if (this.adaptor) {
+      if (value) {
+        this.adaptor.deserialize(value);
+      } else {
+        this.adaptor.reset();
+      }
+    } else {
+      ecma.dom.setValue(this.uiControl, value);
+    }
+  };
+
+  proto.disable = function () {
+    ecma.dom.setAttribute(this.getControlElement(), 'disabled', 'disabled');
+  };
+
+  proto.enable = function () {
+    ecma.dom.removeAttribute(this.getControlElement(), 'disabled');
+  };
+
+});
@@ -0,0 +1,223 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var proto = this.Fieldset.prototype;
+
+  /**
+   * @function createFieldset
+   * A L<ecma.lsn.forms.FieldsetArray> when the definition repeats, otherwise
+   * a L<ecma.lsn.forms.Fieldset>.
+   */
+
+  this.createFieldset = function (def, vals, prefix) {
+    return def.getValue('repeat')
+      ? new ecma.lsn.forms.FieldsetArray(def, vals, prefix)
+      : new ecma.lsn.forms.Fieldset(def, vals, prefix);
+  };
+
+  /**
+   * @class Fieldset
+   * The names of the fields are given the prefix (such as C<contacts/2/>),
+   * and so are the addresses of their values within C<vals>. A fieldset may
+   * contain C<fieldsets> of its own, which are displayed after its fields:
+   *
+   *  %{
+   *    heading => Contact
+   *    fields => @{
+   *      %{ name => name }
+   *    }
+   *    fieldsets => @{
+   *      %{
+   *        repeat => phones
+   *        fields => @{
+   *          %{ name => number }
+   *        }
+   *      }
+   *    }
+   *  }
+   */
+
+  this.Fieldset = function (def, vals, prefix) {
+    this.prefix = prefix || '';
+    this.fields = [];
+    this.fieldsets = [];
+    this.form = null;
+    this.uiElems = [];
+    this.heading = def.getValue('heading');
+    def.getValue('fields').iterate(function (k, v) {
+      var name = this.prefix + (v.getValue('name') ? v.getValue('name') : k);
+      var value = vals ? vals.get(name) : undefined;
+      this.fields.push(new ecma.lsn.forms.Field(name, v, value));
+    }, this);
+    var fieldsets = def.getValue('fieldsets');
+    if (fieldsets) {
+      fieldsets.iterate(function (i, fs) {
+        this.fieldsets.push(ecma.lsn.forms.createFieldset(fs, vals, this.prefix));
+      }, this);
+    }
+  };
+
+  this.Fieldset.prototype = proto;
+
+  /**
+   * @function getFields
+   * The fields of this and the fieldsets it contains.
+   */
+
+  proto.getFields = function () {
+    var fields = [].concat(this.fields);
+    for (var i = 0, fs; fs = this.fieldsets[i]; i++) {
+      fields = fields.concat(fs.getFields());
+    }
+    return fields;
+  };
+
+  proto.setForm = function (form) {
+    this.form = form;
+    for (var i = 0, field; field = this.fields[i]; i++) {
+      field.form = form;
+    }
+    for (var i = 0, fs; fs = this.fieldsets[i]; i++) {
+      fs.setForm(form);
+    }
+  };
+
+  /**
+   * @function appendUI
+   * Add the heading and a row for each field to the table body (before the
+   * given row, if any). Hidden fields are added to the form element.
+   */
+
+  proto.appendUI = function (tbody, formElem, before) {
+    if (this.heading) {
+      this.insertRow(tbody, ecma.dom.createElement('tr', [
+        'th', {'colspan': 2}, ['h4', ['#text', {'nodeValue': this.heading}]]
+      ]), before);
+    }
+    for (var i = 0, field; field = this.fields[i]; i++) {
+      if (field.isHidden()) {
+        var control = field.getControlElement();
+        formElem.appendChild(control);
+        this.uiElems.push(control);
+      } else {
+        this.insertRow(tbody, field.getRootElement(), before);
+      }
+    }
+    for (var i = 0, fs; fs = this.fieldsets[i]; i++) {
+      fs.appendUI(tbody, formElem, before);
+    }
+  };
+
+  proto.insertRow = function (tbody, tr, before) {
+    tbody.insertBefore(tr, before || null);
+    this.uiElems.push(tr);
+    return tr;
+  };
+
+  proto.removeUI = function () {
+    for (var i = 0, elem; elem = this.uiElems[i]; i++) {
+      ecma.dom.removeElement(elem);
+    }
+    this.uiElems = [];
+    for (var i = 0, fs; fs = this.fieldsets[i]; i++) {
+      fs.removeUI();
+    }
+  };
+
+  /**
+   * @function setPrefix
+   * Replace the prefix of the names of the fields, as when the item of an
+   * array which they edit has moved.
+   */
+
+  proto.setPrefix = function (prefix) {
+    for (var i = 0, field; field = this.fields[i]; i++) {
+      field.setName(prefix + field.getName().substr(this.prefix.length));
+    }
+    for (var i = 0, fs; fs = this.fieldsets[i]; i++) {
+      fs.setPrefix(prefix + fs.prefix.substr(this.prefix.length));
+    }
+    this.prefix = prefix;
+  };
+
+  /**
+   * @function getValues
+   * Add the values of the fields to the hash, keyed by their names. Arrays
+   * add theirs as a whole (see L<ecma.lsn.forms.FieldsetArray.getValue>).
+   */
+
+  proto.getValues = function (values) {
+    for (var i = 0, field; field = this.fields[i]; i++) {
+      values[field.getName()] = field.getValue();
+    }
+    for (var i = 0, fs; fs = this.fieldsets[i]; i++) {
+      fs.getValues(values);
+    }
+    return values;
+  };
+
+  proto.getChangedValues = function (values) {
+    for (var i = 0, field; field = this.fields[i]; i++) {
+      if (field.hasChanged()) values[field.getName()] = field.getValue();
+    }
+    for (var i = 0, fs; fs = this.fieldsets[i]; i++) {
+      fs.getChangedValues(values);
+    }
+    return values;
+  };
+
+  /**
+   * @function toObject
+   * Set the values of the fields within the object, at their names relative
+   * to the prefix (so C<address/city> is set as C<{address: {city: ...}}>).
+   */
+
+  proto.toObject = function (obj, prefix) {
+    for (var i = 0, field; field = this.fields[i]; i++) {
+      ecma.lsn.forms.setPath(obj, field.getName().substr(prefix.length),
+        field.getValue());
+    }
+    for (var i = 0, fs; fs = this.fieldsets[i]; i++) {
+      fs.toObject(obj, prefix);
+    }
+    return obj;
+  };
+
+  /**
+   * @function validate
+   * Validate each field (without their remote checks). Returns true when
+   * they are all valid.
+   */
+
+  proto.validate = function () {
+    var result = true;
+    var fields = this.getFields();
+    for (var i = 0, field; field = fields[i]; i++) {
+      if (field.validate()) result = false;
+    }
+    return result;
+  };
+
+  /**
+   * @function setPath
+   * Set the value within the object at the address, creating the hashes
+   * (and arrays, for numeric keys) between.
+   *
+   *  ecma.lsn.forms.setPath(obj, 'phones/0/number', '555-1234');
+   */
+
+  this.setPath = function (obj, addr, value) {
+    var keys = addr.split('/');
+    var last = keys.pop();
+    for (var i = 0; i < keys.length; i++) {
+      if (typeof(obj[keys[i]]) != 'object' || obj[keys[i]] === null) {
+        obj[keys[i]] = (i + 1 < keys.length ? keys[i + 1] : last).match(/^\d+$/)
+          ? []
+          : {};
+      }
+      obj = obj[keys[i]];
+    }
+    obj[last] = value;
+  };
+
+});
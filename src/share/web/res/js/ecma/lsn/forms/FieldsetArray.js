@@ -0,0 +1,316 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  /**
+   * @class FieldsetArray
+   * A fieldset which is repeated for each item of an array of hashes, with
+   * controls to add, remove and reorder the items. It is given in a form
+   * definition as a fieldset with C<repeat>, which is the address of the
+   * array within the values:
+   *
+   *  %{
+   *    heading => Contacts
+   *    repeat => contacts
+   *    item_heading => Contact
+   *    min => 1
+   *    fields => @{
+   *      %{ name => name label => Name }
+   *      %{ name => email label => Email email => 1 }
+   *    }
+   *  }
+   *
+   *  repeat        Address of the array (relative to the fieldset's prefix)
+   *  item_heading  Heading of each item, which is followed by its number
+   *  min           Items which may not be removed (default 0)
+   *  max           Items beyond which no more may be added
+   *
+   * The fields of each item are named by their address, such as
+   * C<contacts/2/email>. When items have been added, removed or reordered
+   * the array is changed as a whole, otherwise only its changed fields.
+   */
+
+  this.FieldsetArray = function (def, vals, prefix) {
+    this.def = def;
+    this.prefix = prefix || '';
+    this.key = def.getValue('repeat');
+    this.heading = def.getValue('heading');
+    this.itemHeading = def.getValue('item_heading');
+    this.min = ecma.util.asInt(def.getValue('min')) || 0;
+    this.max = ecma.util.asInt(def.getValue('max')) || 0;
+    this.form = null;
+    this.items = [];
+    this.uiElems = [];
+    this.uiTbody = null;
+    this.uiFormElem = null;
+    this.uiAddRow = null;
+    var array = vals ? vals.get(this.getAddress()) : undefined;
+    var count = array && array.length ? array.length : 0;
+    for (var i = 0; i < count; i++) {
+      this.items.push(this.createItem(i, vals));
+    }
+    this.originalCount = count;
+  };
+
+  var proto = this.FieldsetArray.prototype = ecma.lang.createPrototype();
+
+  proto.getAddress = function () {
+    return this.prefix + this.key;
+  };
+
+  proto.getItemPrefix = function (index) {
+    return this.getAddress() + '/' + index + '/';
+  };
+
+  /**
+   * @function createItem
+   * The fieldset of the item at the index, whose values are within C<vals>
+   * (nothing for a new item). Items remember their original index and data,
+   * so that keys which are not edited are kept.
+   */
+
+  proto.createItem = function (index, vals) {
+    var item = new ecma.lsn.forms.Fieldset(this.def, vals,
+      this.getItemPrefix(index));
+    item.heading = null;
+    item.originalIndex = vals ? index : null;
+    item.data = vals ? vals.get(this.getAddress() + '/' + index) : null;
+    if (this.form) item.setForm(this.form);
+    return item;
+  };
+
+  proto.getFields = function () {
+    var fields = [];
+    for (var i = 0, item; item = this.items[i]; i++) {
+      fields = fields.concat(item.getFields());
+    }
+    return fields;
+  };
+
+  proto.setForm = function (form) {
+    this.form = form;
+    for (var i = 0, item; item = this.items[i]; i++) {
+      item.setForm(form);
+    }
+  };
+
+  proto.appendUI = function (tbody, formElem, before) {
+    this.uiTbody = tbody;
+    this.uiFormElem = formElem;
+    if (this.heading) {
+      this.insertRow(ecma.dom.createElement('tr', [
+        'th', {'colspan': 2}, ['h4', ['#text', {'nodeValue': this.heading}]]
+      ]), before);
+    }
+    this.uiAddRow = this.insertRow(ecma.dom.createElement('tr.add', [
+      'td', {'colspan': 2}, [
+        'button', {
+          'type': 'button',
+          'onClick': [this.onAddClick, this]
+        }, ['#text', {'nodeValue': 'Add'}]
+      ]
+    ]), before);
+    this.updateUI();
+  };
+
+  proto.insertRow = function (tr, before) {
+    this.uiTbody.insertBefore(tr, before || null);
+    this.uiElems.push(tr);
+    return tr;
+  };
+
+  proto.removeUI = function () {
+    for (var i = 0, item; item = this.items[i]; i++) {
+      this.removeItemUI(item);
+    }
+    for (var i = 0, elem; elem = this.uiElems[i]; i++) {
+      ecma.dom.removeElement(elem);
+    }
+    this.uiElems = [];
+    this.uiAddRow = null;
+  };
+
+  /**
+   * @function updateUI
+   * Display the items in their order, before the row of the add button.
+   */
+
+  proto.updateUI = function () {
+    if (!this.uiAddRow) return;
+    var count = this.items.length;
+    for (var i = 0, item; item = this.items[i]; i++) {
+      this.removeItemUI(item);
+      item.uiHeading = ecma.dom.createElement('tr.item', [
+        'th', {'colspan': 2}, [
+          'h5', [
+            '#text', {'nodeValue': (this.itemHeading || '#') + ' ' + (i + 1)},
+            _createButton('↑', [this.onMoveClick, this, [item, -1]], i == 0),
+            _createButton('↓', [this.onMoveClick, this, [item, 1]], i == count - 1),
+            _createButton('Remove', [this.onRemoveClick, this, [item]],
+              count <= this.min)
+          ]
+        ]
+      ]);
+      this.uiTbody.insertBefore(item.uiHeading, this.uiAddRow);
+      item.appendUI(this.uiTbody, this.uiFormElem, this.uiAddRow);
+    }
+    var button = this.uiAddRow.getElementsByTagName('button')[0];
+    if (this.max && count >= this.max) {
+      ecma.dom.setAttribute(button, 'disabled', 'disabled');
+    } else {
+      ecma.dom.removeAttribute(button, 'disabled');
+    }
+  };
+
+  proto.removeItemUI = function (item) {
+    if (item.uiHeading) ecma.dom.removeElement(item.uiHeading);
+    item.uiHeading = null;
+    item.removeUI();
+  };
+
+  proto.onAddClick = function (event) {
+    ecma.dom.stopEvent(event);
+    var item = this.addItem();
+    var fields = item.getFields();
+    for (var i = 0, field; field = fields[i]; i++) {
+      if (field.isHidden()) continue;
+      field.getControlElement().focus();
+      break;
+    }
+  };
+
+  proto.onRemoveClick = function (event, item) {
+    ecma.dom.stopEvent(event);
+    this.removeItem(_indexOf(item, this.items));
+  };
+
+  proto.onMoveClick = function (event, item, delta) {
+    ecma.dom.stopEvent(event);
+    this.moveItem(_indexOf(item, this.items), delta);
+  };
+
+  /**
+   * @function addItem
+   * Append a new item (whose fields have the values of the definition) and
+   * return its fieldset, or null when there are C<max> items.
+   */
+
+  proto.addItem = function () {
+    if (this.max && this.items.length >= this.max) return null;
+    var item = this.createItem(this.items.length);
+    this.items.push(item);
+    this.updateUI();
+    return item;
+  };
+
+  proto.removeItem = function (index) {
+    if (index < 0 || index >= this.items.length) return;
+    if (this.items.length <= this.min) return;
+    var item = this.items.splice(index, 1)[0];
+    this.removeItemUI(item);
+    this.renumber();
+    this.updateUI();
+  };
+
+  /**
+   * @function moveItem
+   * Move the item at the index by delta places (-1 is up).
+   */
+
+  proto.moveItem = function (index, delta) {
+    var dest = index + delta;
+    if (index < 0 || dest < 0 || dest >= this.items.length) return;
+    var item = this.items.splice(index, 1)[0];
+    this.items.splice(dest, 0, item);
+    this.renumber();
+    this.updateUI();
+  };
+
+  // Radio buttons of the same name are one group, so names pass through
+  // unique ones on the way to their new index
+  proto.renumber = function () {
+    for (var i = 0, item; item = this.items[i]; i++) {
+      item.setPrefix(ecma.util.randomId(this.getItemPrefix(i)) + '/');
+    }
+    for (var i = 0, item; item = this.items[i]; i++) {
+      item.setPrefix(this.getItemPrefix(i));
+    }
+  };
+
+  proto.setPrefix = function (prefix) {
+    this.prefix = prefix;
+    this.renumber();
+  };
+
+  /**
+   * @function hasMoved
+   * True when items have been added, removed or reordered.
+   */
+
+  proto.hasMoved = function () {
+    if (this.items.length != this.originalCount) return true;
+    for (var i = 0, item; item = this.items[i]; i++) {
+      if (item.originalIndex !== i) return true;
+    }
+    return false;
+  };
+
+  /**
+   * @function getValue
+   * The array of items, each a hash of its original data with the values of
+   * its fields set within it.
+   */
+
+  proto.getValue = function () {
+    var result = [];
+    for (var i = 0, item; item = this.items[i]; i++) {
+      var obj = item.data && item.data.toObject ? item.data.toObject() : {};
+      if (!ecma.util.isAssociative(obj)) obj = {};
+      result.push(item.toObject(obj, item.prefix));
+    }
+    return result;
+  };
+
+  proto.getValues = function (values) {
+    values[this.getAddress()] = this.getValue();
+    return values;
+  };
+
+  proto.getChangedValues = function (values) {
+    if (this.hasMoved()) {
+      values[this.getAddress()] = this.getValue();
+    } else {
+      for (var i = 0, item; item = this.items[i]; i++) {
+        item.getChangedValues(values);
+      }
+    }
+    return values;
+  };
+
+  proto.toObject = function (obj, prefix) {
+    ecma.lsn.forms.setPath(obj, this.getAddress().substr(prefix.length),
+      this.getValue());
+    return obj;
+  };
+
+  proto.validate = function () {
+    var result = true;
+    for (var i = 0, item; item = this.items[i]; i++) {
+      if (!item.validate()) result = false;
+    }
+    return result;
+  };
+
+  function _createButton (text, cb, disabled) {
+    var attrs = {'type': 'button', 'onClick': cb};
+    if (disabled) attrs.disabled = 'disabled';
+    return ecma.dom.createElement('button', attrs, ['#text', {'nodeValue': text}]);
+  }
+
+  function _indexOf (item, items) {
+    for (var i = 0; i < items.length; i++) {
+      if (items[i] === item) return i;
+    }
+    return -1;
+  }
+
+});
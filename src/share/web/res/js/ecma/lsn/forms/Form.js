@@ -0,0 +1,234 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var proto = this.Form.prototype;
+
+  /**
+   * A form is submitted only once its fields are valid (see
+   * L<ecma.lsn.forms.rules>). Otherwise the first invalid control is given
+   * focus and the C<onInvalid> action is dispatched with the invalid fields.
+   */
+
+  /**
+   * Fieldsets may repeat for the items of an array (see
+   * L<ecma.lsn.forms.FieldsetArray>) and contain fieldsets of their own (see
+   * L<ecma.lsn.forms.Fieldset>).
+   */
+
+  proto.mapFormDefinition = function (def, vals) {
+    var model = {
+      'action': def.getValue('action'),
+      'submit': def.getValue('submit'),
+      'fieldsets': []
+    };
+    def.getValue('fieldsets').iterate(function (i, fsdef) {
+      var fs = ecma.lsn.forms.createFieldset(fsdef, vals);
+      fs.setForm(this);
+      model.fieldsets.push(fs);
+    }, this);
+    return model;
+  };
+
+  proto.createUI = function () {
+    var tbody = ecma.dom.createElement('tbody');
+    var form = ecma.dom.createElement('form', {
+      'method': 'POST',
+      'autocomplete': 'off',
+      'onSubmit': [this.onFormSubmitEvent, this]
+    }, ['table', [tbody]]);
+    if (this.model.submit) {
+      form.appendChild(ecma.dom.createElement('div', {'class': 'buttons'}, [
+        'input', {
+          'type': 'submit',
+          'name': 'submit',
+          'value': this.model.submit
+        }
+      ]));
+    }
+    delete this.uiFirstVisibleControl;
+    for (var i = 0, fs; fs = this.model.fieldsets[i]; i++) {
+      fs.appendUI(tbody, form);
+    }
+    var fields = this.getFields();
+    for (var i = 0, field; field = fields[i]; i++) {
+      if (field.isHidden()) continue;
+      this.uiFirstVisibleControl = field.getControlElement();
+      break;
+    }
+    return this.uiRoot = form;
+  };
+
+  proto.getFields = function () {
+    var fields = [];
+    for (var i = 0, fs; fs = this.model.fieldsets[i]; i++) {
+      fields = fields.concat(fs.getFields());
+    }
+    return fields;
+  };
+
+  /**
+   * @function getValues
+   * The values of the fields, keyed by their names, and of repeating
+   * fieldsets, keyed by the addresses of their arrays.
+   */
+
+  proto.getValues = function () {
+    var values = {};
+    for (var i = 0, fs; fs = this.model.fieldsets[i]; i++) {
+      fs.getValues(values);
+    }
+    return values;
+  };
+
+  /**
+   * @function getChangedValues
+   * The changed values, as for L<ecma.hubb.DataBridge.update>: changed fields
+   * keyed by their addresses (such as C<contacts/2/email>), and arrays whose
+   * items have been added, removed or reordered as a whole.
+   */
+
+  proto.getChangedValues = function () {
+    var values = {};
+    for (var i = 0, fs; fs = this.model.fieldsets[i]; i++) {
+      fs.getChangedValues(values);
+    }
+    return values;
+  };
+
+  var _doSubmitValues = proto.doSubmitValues;
+
+  // Arrays (such as those of repeating fieldsets) are sent as data
+  proto.doSubmitValues = function (values) {
+    var params = {};
+    for (var k in values) {
+      var v = values[k];
+      params[k] = typeof(v) == 'object' && v !== null ? ecma.data.fromObject(v) : v;
+    }
+    return _doSubmitValues.call(this, params);
+  };
+
+  proto.getField = function (name) {
+    var fields = this.getFields();
+    for (var i = 0, field; field = fields[i]; i++) {
+      if (field.getName() == name) return field;
+    }
+    return null;
+  };
+
+  /**
+   * @function isValid
+   * Validate the fields (without their remote checks) and return true when
+   * they are all valid.
+   */
+
+  proto.isValid = function () {
+    var result = true;
+    for (var i = 0, fs; fs = this.model.fieldsets[i]; i++) {
+      if (!fs.validate()) result = false;
+    }
+    return result;
+  };
+
+  /**
+   * @function validate
+   * Validate the fields, including their remote checks, and then call the
+   * callback with the invalid fields (an empty array when the form is valid).
+   */
+
+  proto.validate = function (cb) {
+    var fields = this.getFields();
+    var invalid = [];
+    var pending = fields.length + 1;
+    var done = function (error, field) {
+      if (error) invalid.push(field);
+      if (--pending) return;
+      // Report in the order of the form
+      var result = [];
+      for (var i = 0, f; f = fields[i]; i++) {
+        if (ecma.util.grep(f, invalid)) result.push(f);
+      }
+      ecma.lang.callback(cb, null, [result]);
+    };
+    for (var i = 0, field; field = fields[i]; i++) {
+      field.validate(done);
+    }
+    done(null);
+  };
+
+  var _submitForm = proto.submitForm;
+
+  proto.submitForm = function () {
+    this.validateThen(_submitForm, arguments);
+  };
+
+  var _submitFormChanges = proto.submitFormChanges;
+
+  proto.submitFormChanges = function () {
+    if (!this.hasChanged()) return false;
+    this.validateThen(_submitFormChanges, arguments);
+    return true;
+  };
+
+  /**
+   * @function validateThen
+   * Call the function (on this form) once the form is valid. The form is
+   * disabled while it is being validated.
+   */
+
+  proto.validateThen = function (func, args) {
+    if (this.isDisabled) return;
+    this.disableForm();
+    this.validate([function (invalid) {
+      this.enableForm();
+      if (invalid.length) {
+        var control = invalid[0].getControlElement();
+        if (!invalid[0].isHidden()) control.focus();
+        this.dispatchClassAction('onInvalid', invalid);
+      } else {
+        func.apply(this, args);
+      }
+    }, this]);
+  };
+
+  proto.disableForm = function () {
+    this.isDisabled = true;
+    this.setDisabled(true);
+  };
+
+  proto.enableForm = function () {
+    this.isDisabled = false;
+    this.setDisabled(false);
+  };
+
+  proto.setDisabled = function (bDisabled) {
+    var fields = this.getFields();
+    for (var i = 0, field; field = fields[i]; i++) {
+      if (bDisabled) {
+        field.disable();
+      } else {
+        field.enable();
+      }
+    }
+    var btn = this.uiRoot ? this.uiRoot.elements['submit'] : null;
+    if (!btn) return;
+    if (bDisabled) {
+      ecma.dom.setAttribute(btn, 'disabled', 'disabled');
+    } else {
+      ecma.dom.removeAttribute(btn, 'disabled');
+    }
+  };
+
+  /**
+   * @function resetForm
+   * Restore the values with which the fields were created and clear their
+   * errors.
+   */
+
+  proto.resetForm = function () {
+    var fields = this.getFields();
+    for (var i = 0, field; field = fields[i]; i++) {
+      field.reset();
+    }
+  };
+
+});
@@ -0,0 +1,49 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var CInputBase = this.InputBase;
+  var _proto = ecma.lang.createPrototype(CInputBase);
+
+  /**
+   * @class InputColor
+   * A color, as C<#rrggbb>, entered in a text or color input. Entries such
+   * as C<#abc>, C<abc> and C<rgb(170, 187, 204)> are normalized, others are
+   * cleared.
+   */
+
+  this.InputColor = function (elem) {
+    CInputBase.apply(this, [elem]);
+    this.value = this.emptyValue = '';
+  };
+
+  this.InputColor.prototype = _proto;
+
+  // Color inputs are not known to ecma.dom.getValue/setValue
+  _proto.read = function () {
+    this.value = this.unmarshal(this.elem.value);
+    return this;
+  };
+
+  _proto.write = function () {
+    this.elem.value = this.marshal(this.value);
+    return this;
+  };
+
+  _proto.unmarshal = function (ctrlValue) {
+    var value = ctrlValue ? ctrlValue.replace(/\s+/g, '').toLowerCase() : '';
+    var m = value.match(/^rgb\((\d+),(\d+),(\d+)\)$/);
+    if (m) {
+      value = '#';
+      for (var i = 1; i < 4; i++) {
+        value += ecma.util.pad(Math.min(255, m[i]).toString(16), 2);
+      }
+      return value;
+    }
+    value = value.replace(/^#/, '');
+    if (value.match(/^[0-9a-f]{3}$/)) {
+      value = value.replace(/(.)/g, '$1$1');
+    }
+    return value.match(/^[0-9a-f]{6}$/) ? '#' + value : '';
+  };
+
+});
@@ -0,0 +1,215 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var CInputDate = this.InputDate;
+  var CInputBase = this.InputBase;
+  var _proto = CInputDate.prototype;
+
+  /**
+   * @class InputDate
+   * A date (or time of day) which is entered as text in the format of the
+   * locale (see L<ecma.date.parse>) or picked from a
+   * L<ecma.lsn.ui.DatePicker>, which is shown when the input is focused or
+   * clicked (or the down key is pressed).
+   *
+   *  new ecma.lsn.forms.InputDate(elem);
+   *  new ecma.lsn.forms.InputDate(elem, 'mmm d, yyyy', {'min': '2013-01-01'});
+   *  new ecma.lsn.forms.InputDate(elem, null, {'time': true, 'locale': 'de'});
+   *
+   * The format is a mask (see L<ecma.date.formatLocale>) which defaults to
+   * that of the locale for the date, time, or both. Options are those of
+   * the picker, and:
+   *
+   *  picker      Show the picker (default true)
+   *  store       Mask of the stored value (see L<serialize>)
+   *
+   * The value is null when the input is empty, and also when its text is not
+   * a date, which is then left as entered (see L<getError>).
+   */
+
+  this.InputDate = function (elem, format, opts) {
+    this.opts = ecma.util.overlay({
+      'date': true,
+      'time': false,
+      'picker': true
+    }, opts);
+    this.locale = ecma.date.getLocale(this.opts.locale);
+    this.text = null;
+    this.picker = null;
+    this.evtFocus = null;
+    this.evtClick = null;
+    this.evtBlur = null;
+    this.keys = null;
+    CInputDate.apply(this, [elem, format || _getMask(this.opts)]);
+    this.invalidValue = null;
+    this.value = this.emptyValue = null;
+  };
+
+  this.InputDate.prototype = _proto;
+
+  var _attach = _proto.attach;
+
+  _proto.attach = function (elem) {
+    _attach.apply(this, arguments);
+    if (!this.opts.picker) return;
+    this.evtFocus = new ecma.dom.EventListener(this.elem, 'focus',
+      this.onFocus, this);
+    this.evtClick = new ecma.dom.EventListener(this.elem, 'click',
+      this.onFocus, this);
+    this.evtBlur = new ecma.dom.EventListener(this.elem, 'blur',
+      this.onBlur, this);
+    this.keys = new ecma.dom.KeyListener(this.elem, 'down', this.onKeyDown,
+      this);
+  };
+
+  var _detach = _proto.detach;
+
+  _proto.detach = function () {
+    _detach.apply(this, arguments);
+    if (this.evtFocus) this.evtFocus.remove();
+    if (this.evtClick) this.evtClick.remove();
+    if (this.evtBlur) this.evtBlur.remove();
+    if (this.keys) this.keys.remove();
+    this.hidePicker();
+  };
+
+  _proto.read = function () {
+    var text = ecma.dom.getValue(this.elem);
+    this.value = this.unmarshal(text);
+    this.text = this.value || !text.match(/\S/) ? null : text;
+    return this;
+  };
+
+  // Text which is not a date is left as entered
+  _proto.marshal = function (dataValue) {
+    if (!dataValue) return this.text || '';
+    return ecma.date.formatLocale(dataValue, this.format, this.locale);
+  };
+
+  _proto.unmarshal = function (ctrlValue) {
+    return ecma.date.parse(ctrlValue, this.format, this.locale);
+  };
+
+  _proto.setValue = function (value) {
+    this.text = null;
+    return CInputBase.prototype.setValue.call(this, value);
+  };
+
+  _proto.deserialize = function (storedValue) {
+    this.setValue(ecma.date.toDate(storedValue, this.opts.store, this.locale));
+    return this;
+  };
+
+  /**
+   * @function serialize
+   * The value as a UTC string (as C<Date.toUTCString>), or formatted by the
+   * C<store> mask when one is given. Empty when there is no value.
+   */
+
+  _proto.serialize = function () {
+    var value = this.getValue();
+    if (!value) return '';
+    return this.opts.store
+      ? ecma.date.format(value, this.opts.store)
+      : value.toUTCString();
+  };
+
+  /**
+   * @function getError
+   * A message when the text is not a date (or time), otherwise null.
+   */
+
+  _proto.getError = function () {
+    this.read();
+    if (!this.text) return null;
+    return this.opts.date ? 'Not a valid date' : 'Not a valid time';
+  };
+
+  /**
+   * @function compare
+   * Compare a serialized value with a bound (such as the C<min> of a field
+   * definition, see L<ecma.lsn.forms.rules>), by day, time of day, or both.
+   * Returns a number which is less than, equal to or greater than zero, or
+   * null when either is not a date.
+   */
+
+  _proto.compare = function (value, bound) {
+    var a = ecma.date.toDate(value, this.opts.store, this.locale);
+    var b = ecma.date.toDate(bound, this.opts.store, this.locale);
+    if (!a || !b) return null;
+    return _key(a, this.opts) - _key(b, this.opts);
+  };
+
+  _proto.describe = function (bound) {
+    var date = ecma.date.toDate(bound, this.opts.store, this.locale);
+    return date ? this.marshal(date) : bound;
+  };
+
+  _proto.getPicker = function () {
+    if (!this.picker) {
+      this.picker = new ecma.lsn.ui.DatePicker(this.opts);
+      this.picker.addActionListener('select', this.onPick, this);
+    }
+    return this.picker;
+  };
+
+  _proto.showPicker = function () {
+    if (this.elem.disabled || this.elem.readOnly) return;
+    this.getPicker().show(this.elem, this.getValue());
+  };
+
+  _proto.hidePicker = function () {
+    if (this.picker) this.picker.hide();
+  };
+
+  _proto.onFocus = function (event) {
+    if (!this.picker || !this.picker.isShown()) this.showPicker();
+  };
+
+  // The picker's time selects take the focus from the input
+  _proto.onBlur = function (event) {
+    ecma.dom.setTimeout(function () {
+      var active = ecma.document.activeElement;
+      if (!this.picker || active === this.elem) return;
+      var root = this.picker.getRootElement();
+      if (active && root.contains && root.contains(active)) return;
+      this.hidePicker();
+    }, 100, this);
+  };
+
+  _proto.onKeyDown = function (event) {
+    if (this.picker && this.picker.isShown()) return;
+    ecma.dom.stopEvent(event);
+    this.showPicker();
+  };
+
+  // As though the text were entered, so that change listeners of the
+  // element are called
+  _proto.onPick = function (action, date) {
+    this.setValue(date);
+    _fireChange(this.elem);
+  };
+
+  function _getMask (opts) {
+    return opts.date && opts.time ? 'datetime' : opts.date ? 'date' : 'time';
+  }
+
+  function _key (date, opts) {
+    var time = date.getHours() * 60 + date.getMinutes();
+    if (!opts.date) return time;
+    var day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return opts.time ? day.getTime() + time * 60000 : day.getTime();
+  }
+
+  function _fireChange (elem) {
+    var event;
+    if (ecma.document.createEvent) {
+      event = ecma.document.createEvent('HTMLEvents');
+      event.initEvent('change', true, false);
+      elem.dispatchEvent(event);
+    } else if (elem.fireEvent) {
+      elem.fireEvent('onchange');
+    }
+  }
+
+});
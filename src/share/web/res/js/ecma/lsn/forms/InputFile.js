@@ -0,0 +1,64 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var CInputBase = this.InputBase;
+  var _proto = ecma.lang.createPrototype(CInputBase);
+
+  /**
+   * @class InputFile
+   * A file picker, whose value is the array of chosen files (empty when none
+   * are). A file cannot be chosen programmatically, so the stored value
+   * (such as the address of the current file) is kept apart, and is what
+   * L<serialize> returns until files are chosen, after which it returns
+   * their names.
+   */
+
+  this.InputFile = function (elem) {
+    CInputBase.apply(this, [elem]);
+    this.value = this.emptyValue = [];
+    this.storedValue = '';
+  };
+
+  this.InputFile.prototype = _proto;
+
+  _proto.read = function () {
+    this.value = this.unmarshal(this.elem.files);
+    return this;
+  };
+
+  // Only clearing the chosen files is possible
+  _proto.write = function () {
+    if (!this.value.length && this.elem.value) this.elem.value = '';
+    return this;
+  };
+
+  _proto.unmarshal = function (ctrlValue) {
+    var result = [];
+    if (!ctrlValue) return result;
+    for (var i = 0; i < ctrlValue.length; i++) {
+      result.push(ctrlValue[i]);
+    }
+    return result;
+  };
+
+  _proto.getFiles = function () {
+    return this.getValue();
+  };
+
+  _proto.deserialize = function (storedValue) {
+    this.storedValue = ecma.util.defined(storedValue) ? storedValue : '';
+    this.setValue([]);
+    return this;
+  };
+
+  _proto.serialize = function () {
+    var files = this.getValue();
+    if (!files.length) return this.storedValue;
+    var names = [];
+    for (var i = 0; i < files.length; i++) {
+      names.push(files[i].name);
+    }
+    return names.join(', ');
+  };
+
+});
@@ -0,0 +1,39 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var CInputBase = this.InputBase;
+  var _proto = ecma.lang.createPrototype(CInputBase);
+
+  /**
+   * @class InputInteger
+   * A text input whose value is a whole number, or null when it is empty.
+   * Text which is not a number is cleared.
+   */
+
+  this.InputInteger = function (elem) {
+    CInputBase.apply(this, [elem]);
+    this.value = this.emptyValue = null;
+  };
+
+  this.InputInteger.prototype = _proto;
+
+  _proto.marshal = function (dataValue) {
+    return dataValue === null || isNaN(dataValue) ? '' : String(dataValue);
+  };
+
+  _proto.unmarshal = function (ctrlValue) {
+    var value = parseInt(ctrlValue, 10);
+    return isNaN(value) ? null : value;
+  };
+
+  _proto.deserialize = function (storedValue) {
+    this.setValue(this.unmarshal(String(storedValue)));
+    return this;
+  };
+
+  _proto.serialize = function () {
+    var value = this.getValue();
+    return value === null ? '' : String(value);
+  };
+
+});
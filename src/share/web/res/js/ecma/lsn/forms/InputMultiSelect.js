@@ -0,0 +1,79 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var CInputBase = this.InputBase;
+  var CInputSelect = this.InputSelect;
+  var _proto = ecma.lang.createPrototype(CInputSelect);
+
+  /**
+   * @class InputMultiSelect
+   * A select (with the C<multiple> attribute) whose value is an array of the
+   * selected values. Stored values may also be a comma-separated string.
+   */
+
+  this.InputMultiSelect = function (elem, options) {
+    CInputBase.apply(this, [elem]);
+    this.elem.multiple = true;
+    this.value = this.emptyValue = [];
+    if (options) this.setOptions(options);
+  };
+
+  this.InputMultiSelect.prototype = _proto;
+
+  _proto.read = function () {
+    var selected = [];
+    for (var i = 0, opt; opt = this.elem.options[i]; i++) {
+      if (opt.selected) selected.push(opt.value);
+    }
+    this.value = this.unmarshal(selected);
+    return this;
+  };
+
+  _proto.write = function () {
+    var values = this.marshal(this.value);
+    for (var i = 0; i < values.length; i++) {
+      if (!_hasOption(this.elem, values[i])) {
+        this.elem.appendChild(ecma.dom.createElement('option', {
+          'value': values[i]
+        }, ['#text', {'nodeValue': values[i]}]));
+      }
+    }
+    for (var i = 0, opt; opt = this.elem.options[i]; i++) {
+      opt.selected = ecma.util.grep(opt.value, values) ? true : false;
+    }
+    return this;
+  };
+
+  _proto.marshal = function (dataValue) {
+    var result = [];
+    if (!dataValue) return result;
+    for (var i = 0; i < dataValue.length; i++) {
+      result.push(String(dataValue[i]));
+    }
+    return result;
+  };
+
+  _proto.unmarshal = function (ctrlValue) {
+    return ctrlValue.slice(0);
+  };
+
+  _proto.deserialize = function (storedValue) {
+    if (typeof(storedValue) == 'string') {
+      storedValue = storedValue ? storedValue.split(/\s*,\s*/) : [];
+    }
+    this.setValue(this.marshal(storedValue));
+    return this;
+  };
+
+  _proto.serialize = function () {
+    return this.getValue().slice(0);
+  };
+
+  function _hasOption (elem, value) {
+    for (var i = 0; i < elem.options.length; i++) {
+      if (elem.options[i].value === value) return true;
+    }
+    return false;
+  }
+
+});
@@ -0,0 +1,95 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var CInputBase = this.InputBase;
+  var _proto = ecma.lang.createPrototype(CInputBase);
+
+  /**
+   * @class InputRadio
+   * A group of radio buttons within an element (such as a C<span>), whose
+   * value is that of the checked button. The buttons are created from the
+   * options (see L<ecma.lsn.forms.normalizeOptions>) or may already be in
+   * the element.
+   *
+   *  var input = new ecma.lsn.forms.InputRadio(span, {'a': 'A', 'b': 'B'});
+   */
+
+  this.InputRadio = function (elem, options, name) {
+    CInputBase.apply(this, [elem]);
+    this.name = name || ecma.util.randomId('radio_');
+    this.value = this.emptyValue = '';
+    if (options) this.setOptions(options);
+  };
+
+  this.InputRadio.prototype = _proto;
+
+  _proto.setOptions = function (options) {
+    // Until there are buttons the value is only held
+    var value = this.getButtons().length ? this.getValue() : this.value;
+    ecma.dom.removeChildren(this.elem);
+    var list = ecma.lsn.forms.normalizeOptions(options);
+    for (var i = 0, opt; opt = list[i]; i++) {
+      var id = ecma.util.randomId(this.name + '_');
+      ecma.dom.appendChildren(this.elem, [
+        ecma.dom.createElement('input', {
+          'type': 'radio',
+          'id': id,
+          'name': this.name,
+          'value': opt.value
+        }),
+        ecma.dom.createElement('label', {'for': id}, [
+          '#text', {'nodeValue': opt.text}
+        ])
+      ]);
+    }
+    return this.setValue(value);
+  };
+
+  _proto.setName = function (name) {
+    this.name = name;
+    var buttons = this.getButtons();
+    for (var i = 0; i < buttons.length; i++) {
+      buttons[i].name = name;
+    }
+  };
+
+  _proto.getButtons = function () {
+    var result = [];
+    var inputs = this.elem.getElementsByTagName('input');
+    for (var i = 0; i < inputs.length; i++) {
+      if (inputs[i].type == 'radio') result.push(inputs[i]);
+    }
+    return result;
+  };
+
+  _proto.read = function () {
+    var ctrlValue = '';
+    var buttons = this.getButtons();
+    for (var i = 0; i < buttons.length; i++) {
+      if (buttons[i].checked) ctrlValue = buttons[i].value;
+    }
+    this.value = this.unmarshal(ctrlValue);
+    return this;
+  };
+
+  _proto.write = function () {
+    var ctrlValue = this.marshal(this.value);
+    var buttons = this.getButtons();
+    for (var i = 0; i < buttons.length; i++) {
+      buttons[i].checked = buttons[i].value === ctrlValue;
+    }
+    return this;
+  };
+
+  _proto.marshal = function (dataValue) {
+    return ecma.util.defined(dataValue) && dataValue !== null
+      ? String(dataValue)
+      : '';
+  };
+
+  _proto.deserialize = function (storedValue) {
+    this.setValue(this.marshal(storedValue));
+    return this;
+  };
+
+});
@@ -0,0 +1,73 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var CInputBase = this.InputBase;
+  var _proto = ecma.lang.createPrototype(CInputBase);
+
+  /**
+   * @class InputSelect
+   * A select of one value. The options may be given (see
+   * L<ecma.lsn.forms.normalizeOptions>) or already be in the element.
+   *
+   * A value which is not among the options is added as one, so that it is
+   * kept until the user chooses another (such as while the options are
+   * being loaded).
+   */
+
+  this.InputSelect = function (elem, options) {
+    CInputBase.apply(this, [elem]);
+    this.value = this.emptyValue = '';
+    if (options) this.setOptions(options);
+  };
+
+  this.InputSelect.prototype = _proto;
+
+  _proto.setOptions = function (options) {
+    var value = this.getValue();
+    ecma.dom.removeChildren(this.elem);
+    var list = ecma.lsn.forms.normalizeOptions(options);
+    for (var i = 0, opt; opt = list[i]; i++) {
+      this.elem.appendChild(_createOption(opt.value, opt.text));
+    }
+    return this.setValue(value);
+  };
+
+  _proto.write = function () {
+    var ctrlValue = this.marshal(this.value);
+    if (ctrlValue !== '' && !_hasOption(this.elem, ctrlValue)) {
+      this.elem.insertBefore(_createOption(ctrlValue, ctrlValue),
+        this.elem.firstChild);
+    }
+    ecma.dom.setValue(this.elem, ctrlValue);
+    return this;
+  };
+
+  _proto.marshal = function (dataValue) {
+    return ecma.util.defined(dataValue) && dataValue !== null
+      ? String(dataValue)
+      : '';
+  };
+
+  _proto.unmarshal = function (ctrlValue) {
+    return ctrlValue || '';
+  };
+
+  _proto.deserialize = function (storedValue) {
+    this.setValue(this.marshal(storedValue));
+    return this;
+  };
+
+  function _hasOption (elem, value) {
+    for (var i = 0; i < elem.options.length; i++) {
+      if (elem.options[i].value === value) return true;
+    }
+    return false;
+  }
+
+  function _createOption (value, text) {
+    return ecma.dom.createElement('option', {'value': value}, [
+      '#text', {'nodeValue': text}
+    ]);
+  }
+
+});
@@ -0,0 +1,22 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  var CInputText = this.InputText;
+  var _proto = ecma.lang.createPrototype(CInputText);
+
+  /**
+   * @class InputTextarea
+   * Multi-line text, whose line endings are normalized to C<\n>.
+   */
+
+  this.InputTextarea = function (elem) {
+    CInputText.apply(this, [elem]);
+  };
+
+  this.InputTextarea.prototype = _proto;
+
+  _proto.unmarshal = function (ctrlValue) {
+    return ctrlValue ? ctrlValue.replace(/\r\n?/g, "\n") : '';
+  };
+
+});
@@ -0,0 +1,58 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  /**
+   * @function normalizeOptions
+   * The options of a select (or radio group) as an array of C<{value, text}>,
+   * from any of:
+   *
+   *  ['a', 'b']                      Values which are also their text
+   *  [{'value': 'a', 'text': 'A'}]   As is (or C<name> and C<label>/C<title>)
+   *  {'a': 'A', 'b': 'B'}            Values and their text
+   */
+
+  this.normalizeOptions = function (options) {
+    var result = [];
+    if (!options) return result;
+    var isArray = ecma.util.isArray(options);
+    for (var k in options) {
+      if (!options.hasOwnProperty(k)) continue;
+      var v = options[k];
+      var value = isArray ? v : k;
+      var text = v;
+      if (ecma.util.isAssociative(v)) {
+        value = ecma.util.defined(v.value) ? v.value
+          : ecma.util.defined(v.name) ? v.name
+          : k;
+        text = v.text || v.label || v.title || value;
+      }
+      result.push({'value': String(value), 'text': String(text)});
+    }
+    return result;
+  };
+
+  /**
+   * @function loadOptions
+   * Call back with the normalized options. When they are a string it is the
+   * hub address of a data hash (or array) which holds them, as in:
+   *
+   *  options => /desktop/ext/mainmenu/metadata.hf/categories
+   *
+   * Addresses are fetched through the data bridge (see
+   * L<ecma.hubb.getInstance>), so hub.js must be loaded.
+   */
+
+  this.loadOptions = function (options, cb) {
+    if (typeof(options) != 'string') {
+      return ecma.lang.callback(cb, null, [
+        ecma.lsn.forms.normalizeOptions(options)
+      ]);
+    }
+    if (!ecma.hubb) throw new Error('Options by address need the hub: ' + options);
+    ecma.hubb.getInstance().fetch(options, [function (node) {
+      var values = node ? node.toObject() : null;
+      ecma.lang.callback(cb, null, [ecma.lsn.forms.normalizeOptions(values)]);
+    }]);
+  };
+
+});
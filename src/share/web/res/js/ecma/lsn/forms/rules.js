@@ -0,0 +1,157 @@
+/** @namespace lsn.forms */
+ECMAScript.Extend('lsn.forms', function (ecma) {
+
+  /**
+   * Validation rules (C<ecma.lsn.forms.rules>), by the name with which a
+   * field definition gives them:
+   *
+   *  %{
+   *    name => email
+   *    label => Email address
+   *    required => 1
+   *    email => 1
+   *    messages => %{
+   *      required => Please enter your email address
+   *    }
+   *  }
+   *
+   *  required    A value must be entered
+   *  min         The number (or date) must be at least this
+   *  max         The number (or date) must be at most this
+   *  pattern     The whole value must match this regular expression
+   *  maxlength   The value must be at most this many characters
+   *  email       The value must be an email address
+   *  url         The value must be an http, https or ftp URL
+   *  matches     The value must equal that of the named field
+   *
+   * Rules other than C<required> pass an empty value. Each rule is a
+   * C<test> function, called with the value (a string), the argument given
+   * by the definition and the field, which returns true when the value is
+   * valid, and a C<message> where C<$1> is replaced by the argument (or a
+   * function which returns the message). Further rules may be added:
+   *
+   *  ecma.lsn.forms.rules.zip = {
+   *    'test': function (value) { return /^\d{5}$/.test(value); },
+   *    'message': 'Not a zip code'
+   *  };
+   *
+   * Checks which need the server are given as C<remote> (see
+   * L<ecma.lsn.forms.Field.validate>).
+   */
+
+  this.rules = {
+
+    'required': {
+      'test': function (value, arg) {
+        return !_isTrue(arg) || value !== '';
+      },
+      'message': 'A value is required'
+    },
+
+    'min': {
+      'test': function (value, arg, field) {
+        var diff = _compare(value, arg, field);
+        return diff !== null && diff >= 0;
+      },
+      'message': function (arg, field) {
+        return 'Must be at least ' + _describe(arg, field);
+      }
+    },
+
+    'max': {
+      'test': function (value, arg, field) {
+        var diff = _compare(value, arg, field);
+        return diff !== null && diff <= 0;
+      },
+      'message': function (arg, field) {
+        return 'Must be at most ' + _describe(arg, field);
+      }
+    },
+
+    'pattern': {
+      'test': function (value, arg) {
+        return new RegExp('^(?:' + arg + ')$').test(value);
+      },
+      'message': 'Not in the expected format'
+    },
+
+    'maxlength': {
+      'test': function (value, arg) {
+        return value.length <= ecma.util.asInt(arg);
+      },
+      'message': 'Must be at most $1 characters'
+    },
+
+    'email': {
+      'test': function (value, arg) {
+        return !_isTrue(arg) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+      },
+      'message': 'Not a valid email address'
+    },
+
+    'url': {
+      'test': function (value, arg) {
+        return !_isTrue(arg) || /^(https?|ftp):\/\/[^\s\/?#]+[^\s]*$/i.test(value);
+      },
+      'message': 'Not a valid URL'
+    },
+
+    'matches': {
+      'test': function (value, arg, field) {
+        var other = field.form ? field.form.getField(arg) : null;
+        return !other || value === _toString(other.getValue());
+      },
+      'message': function (arg, field) {
+        var other = field.form ? field.form.getField(arg) : null;
+        var label = other ? other.model.label || other.getName() : arg;
+        return 'Does not match ' + label;
+      }
+    }
+
+  };
+
+  /**
+   * @function checkRules
+   * The message of the first rule of the field definition which the value
+   * fails, or undefined when it passes them all.
+   */
+
+  this.checkRules = function (value, model, field) {
+    value = _toString(value);
+    var messages = model.messages || {};
+    for (var name in ecma.lsn.forms.rules) {
+      var arg = model[name];
+      if (!ecma.util.defined(arg) || arg === '') continue;
+      if (value === '' && name != 'required') continue;
+      var rule = ecma.lsn.forms.rules[name];
+      if (rule.test(value, arg, field)) continue;
+      if (messages[name]) return messages[name];
+      return typeof(rule.message) == 'function'
+        ? rule.message(arg, field)
+        : rule.message.replace(/\$1/g, arg);
+    }
+  };
+
+  // Inputs whose values are not numbers (such as ecma.lsn.forms.InputDate)
+  // compare and describe the bounds themselves
+  function _compare (value, arg, field) {
+    var adaptor = field ? field.adaptor : null;
+    if (adaptor && adaptor.compare) return adaptor.compare(value, arg);
+    return value !== '' && !isNaN(value) ? Number(value) - Number(arg) : null;
+  }
+
+  function _describe (arg, field) {
+    var adaptor = field ? field.adaptor : null;
+    return adaptor && adaptor.describe ? adaptor.describe(arg) : arg;
+  }
+
+  // Flags in hash files are strings
+  function _isTrue (arg) {
+    return arg && arg !== '0' && arg !== 'false' ? true : false;
+  }
+
+  function _toString (value) {
+    return ecma.util.defined(value) && value !== null ? String(value) : '';
+  }
+
+});
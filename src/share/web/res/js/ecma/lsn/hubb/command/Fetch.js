@@ -0,0 +1,43 @@
+/** @namespace lsn.hubb.command */
+ECMAScript.Extend('lsn.hubb.command', function (ecma) {
+
+  var Fetch = this.Fetch.prototype;
+
+  /**
+   * @member Fetch.streaming
+   * When set, fetches are parsed as they arrive (see
+   * L<ecma.lsn.Request.streaming>). They are sent over the transport of
+   * L<ecma.http.Request.defaults>, and C<fetch()> delivers responses in
+   * parts where XHR may not:
+   *
+   *  ecma.http.Request.defaults.transport = 'fetch';
+   *  ecma.lsn.hubb.command.Fetch.prototype.streaming = true;
+   *
+   * When the fetch belongs to a bridge (see
+   * L<ecma.hubb.DataBridge.initCommand>), the entries of a directory are
+   * added to its node as they arrive, as stubs like those of the completed
+   * fetch, so that large directories fill in progressively.
+   */
+
+  Fetch.streaming = false;
+
+  Fetch.onNode = function (node, addr, parent) {
+    var m = addr.match(/^\/body\/([^\/]+)$/);
+    if (!m || !node.toObject) return;
+    var rh = this.parser.getRoot();
+    if (!this.db || rh.getString('/head/struct') == 'branch') return;
+    var dtype = rh.getString('/head/meta/type');
+    if (!dtype || !dtype.match(/^directory/)) return;
+    var type = node.getString('type');
+    if (!type || !type.match(/^(directory|file)\b/)) return;
+    var dnode = this.db.getNodeByAddress(rh.getString('/head/meta/addr'));
+    if (!dnode || !dnode.isDirectory() || dnode.getValue(m[1])) return;
+    var stub = new ecma.hubb.HashNode();
+    stub.attributes = node.toObject();
+    stub.setAttribute('mtime', 0);
+    stub.setAttribute('mtime2', node.get('mtime'));
+    dnode.setValue(m[1], stub);
+    dnode.executeAction('create', stub, 'new stub ' + m[1]);
+  };
+
+});
@@ -0,0 +1,41 @@
+/** @namespace lsn.hubb.command */
+ECMAScript.Extend('lsn.hubb.command', function (ecma) {
+
+  var CBase = ecma.lsn.hubb.command.Base;
+
+  /**
+   * @class Search
+   * Find text files beneath the target directory which contain the text.
+   *
+   * The result is:
+   *
+   *  {
+   *    more: false,      // the search stopped before the end (at the
+   *                      // limit, or what the server will scan)
+   *    matches: [
+   *      {addr: '/web/index.html', type: 'file-text-html', mtime: '1700000000',
+   *       excerpt: '...'},
+   *      ...
+   *    ]
+   *  }
+   */
+
+  this.Search = function () {
+    CBase.call(this, 'search');
+    this.argspec = ['target', 'text', 'limit'];
+  };
+
+  var Search = this.Search.prototype = ecma.lang.createPrototype(CBase);
+
+  Search.process = function (rh) {
+    if (!this.validate(rh)) return;
+    var matches = rh.get('/body');
+    this.result = {
+      'more': rh.getString('/head/meta/more') == '1',
+      'matches': matches ? matches.toObject() : []
+    };
+  };
+
+  ecma.lsn.hubb.command.register('search', this.Search);
+
+});
@@ -0,0 +1,39 @@
+/** @namespace lsn.hubb.command */
+ECMAScript.Extend('lsn.hubb.command', function (ecma) {
+
+  var CBase = ecma.lsn.hubb.command.Base;
+
+  /**
+   * @class Subscribe
+   * Long-poll for change records under the target addresses.
+   *
+   * The result is:
+   *
+   *  {
+   *    seq: '42',        // journal sequence of the last change
+   *    changes: [        // change records newer than `since`
+   *      {type: 'rename', addr: '/web', old_name: 'a', new_name: 'b', ...},
+   *      ...
+   *    ]
+   *  }
+   */
+
+  this.Subscribe = function () {
+    CBase.call(this, 'subscribe');
+    this.argspec = ['targets', 'since', 'timeout'];
+  };
+
+  var Subscribe = this.Subscribe.prototype = ecma.lang.createPrototype(CBase);
+
+  Subscribe.process = function (rh) {
+    if (!this.validate(rh)) return;
+    var changes = rh.get('/body');
+    this.result = {
+      'seq': rh.getString('/head/meta/seq'),
+      'changes': changes ? changes.toObject() : []
+    };
+  };
+
+  ecma.lsn.hubb.command.register('subscribe', this.Subscribe);
+
+});
@@ -0,0 +1,21 @@
+/** @namespace lsn.hubb.command */
+ECMAScript.Extend('lsn.hubb.command', function (ecma) {
+
+  /**
+   * @member interceptors.hub-auth
+   * Requests to the hub API carry the current C<X-Auth-Token>. It is read
+   * each time the request is sent, so a request which is resent after the
+   * user logs in (see L<ecma.lsn.interceptors.login>) has the new token.
+   */
+
+  ecma.http.addInterceptor({
+    'name': 'hub-auth',
+    'match': function (req) {
+      return req.uri.indexOf('/api/hub/') == 0;
+    },
+    'request': function (req) {
+      req.setHeader('X-Auth-Token', ecma.lsn.auth.getAuthToken());
+    }
+  });
+
+});
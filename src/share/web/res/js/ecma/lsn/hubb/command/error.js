@@ -0,0 +1,130 @@
+/** @namespace lsn.hubb.command */
+ECMAScript.Extend('lsn.hubb.command', function (ecma) {
+
+  var _package = this;
+
+  /**
+   * @class CommandError
+   * Why a command failed. For errors reported by the server, C<type> and
+   * C<message> are those of its C</head/error>.
+   *
+   *  type        Error class, e.g., C<Error::Logical>
+   *  message     Description
+   *  addr        Address of the target
+   *  status      HTTP status, when there was no valid response
+   *
+   * Once a command has completed, it has succeeded (L<isSuccess>) or it has
+   * failed with this error (L<getError>), whether the server refused it
+   * (C<Error::...>), it had no valid response (C<Error> with the C<status>),
+   * it timed out (C<Error::Timeout>) or it was aborted (C<Error::Aborted>).
+   */
+
+  this.CommandError = function (type, message, addr, status) {
+    this.type = type;
+    this.message = message;
+    this.addr = addr;
+    this.status = status;
+  };
+  this.CommandError.prototype = new Error();
+  this.CommandError.prototype.name = 'CommandError';
+  this.CommandError.prototype.toString = function () {
+    return this.type + ': ' + this.message;
+  };
+
+  var _submit = _package.overrideBase('submit', function (cb) {
+    this.error = undefined;
+    this.isProcessed = false;
+    return _submit.apply(this, arguments);
+  });
+
+  var _process = _package.overrideBase('process', function (rh) {
+    this.isProcessed = true;
+    return _process.apply(this, arguments);
+  });
+
+  /**
+   * @function validate
+   * When the response carries an error it is kept (see L<getError>) and the
+   * C<error> action is executed before returning false.
+   *
+   *  xcmd.addActionListener('error', function (action, error) {
+   *    // error.type, error.message, error.addr
+   *  });
+   *
+   * Listeners are called before C<complete>, which lets them take over the
+   * pending callbacks (C<cbList>).
+   */
+
+  var _validate = _package.overrideBase('validate', function (rh) {
+    if (_validate.apply(this, arguments)) return true;
+    var error = rh ? rh.getObject('/head/error') : null;
+    this.error = new _package.CommandError(
+      error ? error.type : 'Error',
+      error ? error.message : 'Missing response',
+      (rh && rh.getString('/head/meta/addr')) || this.getParameter('target')
+    );
+    this.executeAction('error', this.error);
+    return false;
+  });
+
+  /**
+   * @function abort
+   * An aborted command completes (see L<ecma.lsn.Request.abort>) with no
+   * result and an C<Error::Aborted> error. Its callbacks are called and its
+   * thenable is rejected.
+   */
+
+  var _abort = _package.overrideBase('abort', function () {
+    if (!this.isPending) return false;
+    this.result = undefined;
+    this.error = new _package.CommandError('Error::Aborted',
+      'The request was aborted', this.getParameter('target'));
+    return _abort.apply(this, arguments);
+  });
+
+  // Requests which fail are completed without being validated
+  var _onComplete = _package.overrideBase('onComplete', function () {
+    if (!this.error && !this.isSuccess()) {
+      var status = this.xhr ? this.xhr.status : undefined;
+      this.error = this.timedOut
+        ? new _package.CommandError('Error::Timeout', 'The request timed out',
+            this.getParameter('target'))
+        : new _package.CommandError('Error',
+            status ? 'Request failed with status ' + status : 'No response',
+            this.getParameter('target'), status);
+    }
+    return _onComplete.apply(this, arguments);
+  });
+
+  /**
+   * @function getError
+   * The L<CommandError> of a command which has failed, otherwise undefined.
+   */
+
+  _package.overrideBase('getError', function () {
+    return this.error;
+  });
+
+  /**
+   * @function isSuccess
+   * True when the response was processed without error. Commands such as
+   * C<remove> and C<rename> succeed without a result.
+   */
+
+  _package.overrideBase('isSuccess', function () {
+    if (this.error) return false;
+    return this.isProcessed || ecma.util.defined(this.result) ? true : false;
+  });
+
+  /**
+   * @function isConflict
+   * True when the server refused to write because the storage has been
+   * modified since the C<mtime> we sent.
+   */
+
+  _package.overrideBase('isConflict', function () {
+    return this.error && this.error.type == 'Error::Logical'
+      && /File has been modified/.test(this.error.message) ? true : false;
+  });
+
+});
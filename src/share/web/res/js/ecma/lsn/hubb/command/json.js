@@ -0,0 +1,88 @@
+/** @namespace lsn.hubb.command */
+ECMAScript.Extend('lsn.hubb.command', function (ecma) {
+
+  var _package = this;
+
+  /**
+   * @function setWireFormat
+   * Receive the response as C<json> rather than C<xfr> (base64 encoded XFR,
+   * the default). Commands which belong to a bridge take its format (see
+   * L<ecma.hubb.DataBridge.wireFormat>).
+   *
+   *  xcmd.setWireFormat('json');
+   *
+   * The response is mapped to nodes (see L<ecma.hubb.JSONMapper>), so the
+   * C<responseHash> and result are as they would be with XFR.
+   *
+   * Parameters are sent as JSON too, unless they hold hashes or arrays (as
+   * those of a batch do). The server does not keep the order of keys in
+   * JSON, so these are sent as XFR.
+   */
+
+  _package.overrideBase('setWireFormat', function (format) {
+    if (format != 'json' && format != 'xfr') {
+      throw new Error('Unknown wire format: ' + format);
+    }
+    this.wireFormat = format;
+    if (format == 'json') {
+      this.setHeader('Accept', 'application/json');
+      delete this.headers['X-Accept-Content-Encoding'];
+    } else {
+      this.setHeader('Accept', 'text/data-xfr');
+      this.setHeader('X-Accept-Content-Encoding', 'base64');
+    }
+  });
+
+  _package.overrideBase('getWireFormat', function () {
+    return this.wireFormat || 'xfr';
+  });
+
+  /**
+   * @function parseContent
+   * Parse response text of the given C<X-Content-Format> (and
+   * C<X-Content-Encoding>) into nodes.
+   */
+
+  _package.overrideBase('parseContent', function (text, format, encoding) {
+    if (_isJSON(format)) return this.getMapper().parse(text);
+    return this.getXFR(encoding).parse(text);
+  });
+
+  _package.overrideBase('getMapper', function () {
+    return new ecma.hubb.JSONMapper();
+  });
+
+  var _parseBody = _package.overrideBase('parseBody', function (body) {
+    if (this.getWireFormat() != 'json' || !_isFlat(body)) {
+      this.setHeader('X-Content-Format', 'text/data-xfr');
+      this.setHeader('X-Content-Encoding', 'base64');
+      this.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return _parseBody.apply(this, arguments);
+    }
+    this.setHeader('X-Content-Format', 'application/json');
+    this.setHeader('Content-Type', 'application/json; charset=utf-8');
+    delete this.headers['X-Content-Encoding'];
+    // The server URL-decodes JSON request bodies
+    return this.getMapper().format(body).replace(/%/g, '%25');
+  });
+
+  var _parseResponse = _package.overrideBase('parseResponse', function () {
+    var format = this.xhr.getResponseHeader('X-Content-Format');
+    if (!_isJSON(format)) return _parseResponse.apply(this, arguments);
+    this.responseHash = this.parseContent(this.xhr.responseText, format);
+  });
+
+  function _isJSON (format) {
+    return format ? /^(application|text)\/json$/.test(format) : false;
+  }
+
+  function _isFlat (body) {
+    if (!body || ecma.util.isArray(body)) return false;
+    for (var k in body) {
+      var value = body[k];
+      if (value !== null && typeof(value) == 'object') return false;
+    }
+    return true;
+  }
+
+});
@@ -0,0 +1,64 @@
+/** @namespace lsn.hubb.command */
+ECMAScript.Extend('lsn.hubb.command', function (ecma) {
+
+  var _createInstance = this.createInstance;
+  var _verbToClass = {};
+
+  /**
+   * @function register
+   * Register the implementation for a verb which is not built in.
+   *
+   *  ecma.lsn.hubb.command.register('subscribe', ecma.lsn.hubb.command.Subscribe);
+   *
+   * Registered verbs are then created with L<createInstance> like any other.
+   */
+
+  this.register = function (verb, ctor) {
+    if (!verb) throw new ecma.error.MissingArg('verb');
+    if (!ecma.util.isFunction(ctor)) throw new ecma.error.IllegalArg('ctor');
+    _verbToClass[verb] = ctor;
+  };
+
+  this.createInstance = function (verb) {
+    var ctor = _verbToClass[verb];
+    if (!ctor) return _createInstance.apply(this, arguments);
+    return ecma.lang.createObject(ctor);
+  };
+
+  /**
+   * @function overrideBase
+   * Replace a method (or other member) of L<Base> and return the one it
+   * replaces.
+   *
+   *  var _submit = ecma.lsn.hubb.command.overrideBase('submit', function (cb) {
+   *    ...
+   *    return _submit.apply(this, arguments);
+   *  });
+   *
+   * Command classes copy the base methods when they are defined, so those
+   * copies are replaced too. Methods which a class overrides are left alone.
+   */
+
+  this.overrideBase = function (name, func) {
+    var CBase = this.Base;
+    var prev = CBase.prototype[name];
+    CBase.prototype[name] = func;
+    for (var k in this) {
+      var ctor = this[k];
+      if (ctor === CBase || !ecma.util.isFunction(ctor) || !ctor.prototype) continue;
+      var methods = ctor.prototype;
+      if (!_inherits(methods, CBase)) continue;
+      if (methods[name] === prev) methods[name] = func;
+    }
+    return prev;
+  };
+
+  function _inherits (methods, ctor) {
+    var ctors = methods.__constructors__ || [];
+    for (var i = 0; i < ctors.length; i++) {
+      if (ctors[i] === ctor) return true;
+    }
+    return false;
+  }
+
+});
@@ -0,0 +1,47 @@
+/** @namespace lsn.hubb.command */
+ECMAScript.Extend('lsn.hubb.command', function (ecma) {
+
+  /**
+   * @member idempotent
+   * Commands which only read may be retried (see
+   * L<ecma.http.Request.defaults>): C<fetch>, C<search> and C<subscribe>.
+   * Those which write are sent once.
+   */
+
+  this.Fetch.prototype.idempotent = true;
+  this.Search.prototype.idempotent = true;
+  this.Subscribe.prototype.idempotent = true;
+
+  /**
+   * @member Base.timeout
+   * Commands time out after a minute (where L<ecma.http.Request.defaults>
+   * would have them wait forever), so that a hub which does not answer
+   * fails the command rather than leaving it pending. One which only reads
+   * is sent again as many times as C<retries> allows.
+   *
+   *  ecma.lsn.hubb.command.overrideBase('timeout', 120000);
+   */
+
+  this.overrideBase('timeout', 60000);
+
+  /**
+   * @member Subscribe.timeout
+   * The server holds a C<subscribe> for as long as its C<timeout> parameter
+   * (in seconds), so the request waits that long and C<timeoutMargin>
+   * (milliseconds) more before it times out.
+   *
+   *  xcmd.setParameter('timeout', 10);   // the request times out after 25s
+   */
+
+  var Subscribe = this.Subscribe.prototype;
+  var _resubmit = Subscribe.resubmit;
+
+  Subscribe.timeoutMargin = 15000;
+
+  Subscribe.resubmit = function () {
+    var wait = ecma.util.asInt(this.getParameter('timeout')) || 0;
+    this.timeout = wait * 1000 + this.timeoutMargin;
+    return _resubmit.apply(this, arguments);
+  };
+
+});
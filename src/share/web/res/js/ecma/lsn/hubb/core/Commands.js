@@ -0,0 +1,130 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  var DataBridge = ecma.hubb.DataBridge.prototype;
+  var _createInstance = ecma.lsn.hubb.command.createInstance;
+  var _frames = [];
+  var _owners = [];
+
+  /**
+   * Data-bridge methods which create and submit a command. While one of these
+   * is running, the first command it creates belongs to the bridge: its C<db>
+   * member is set and it is passed to L<initCommand>. The method returns what
+   * submitting that command returned (see L<ecma.hubb.Thenable>).
+   */
+
+  var _verbs = [
+    'fetch', 'store', 'update', 'create', 'insert', 'remove', 'rename',
+    'copy', 'move', 'download', 'reorder', 'batch'
+  ];
+
+  for (var i = 0, verb; verb = _verbs[i]; i++) {
+    DataBridge[verb] = _ownCommand(DataBridge[verb]);
+  }
+
+  function _ownCommand (func) {
+    return function () {
+      var frame = {'db': this, 'xcmd': null};
+      _frames.push(frame);
+      try {
+        var result = func.apply(this, arguments);
+      } finally {
+        _frames.pop();
+      }
+      if (ecma.util.defined(result) || !frame.xcmd) return result;
+      return frame.xcmd.thenable;
+    };
+  }
+
+  ecma.lsn.hubb.command.createInstance = function (verb) {
+    var xcmd = _createInstance.apply(this, arguments);
+    if (_owners.length) xcmd.owner = _owners[_owners.length - 1];
+    var frame = _frames[_frames.length - 1];
+    if (frame && !frame.xcmd) {
+      frame.xcmd = xcmd;
+      xcmd.db = frame.db;
+      frame.db.initCommand(xcmd);
+    }
+    return xcmd;
+  };
+
+  /**
+   * @function withOwner
+   * Call C<func> with the bridge. The commands created meanwhile belong to
+   * C<owner>, so that they are aborted with its other requests (see
+   * L<ecma.http.abortAll>). Returns what C<func> returns.
+   *
+   *  db.withOwner(this.dlg, function (db) {
+   *    db.search(addr, text, [this.onSearch, this]);
+   *  }, this);
+   */
+
+  DataBridge.withOwner = function (owner, func, scope) {
+    _owners.push(owner);
+    try {
+      return func.call(scope || this, this);
+    } finally {
+      _owners.pop();
+    }
+  };
+
+  /**
+   * @function initCommand
+   * Called with each command the bridge creates, before its parameters are
+   * set and before it is submitted. Sets its L<wireFormat> and executes the
+   * C<command> action.
+   *
+   *  db.addActionListener('command', function (action, xcmd) {
+   *    if (xcmd.verb == 'store') xcmd.addActionListener('error', ...);
+   *  });
+   *
+   * Extensions wrap this method to attach their own listeners.
+   */
+
+  DataBridge.initCommand = function (xcmd) {
+    xcmd.setWireFormat(this.wireFormat);
+    this.executeAction('command', xcmd);
+  };
+
+  /**
+   * @member wireFormat
+   * The format of the responses to the bridge's commands: C<xfr> (the
+   * default) or C<json> (see L<ecma.lsn.hubb.command.Base.setWireFormat>).
+   *
+   *  ecma.hubb.getInstance('/').wireFormat = 'json';
+   */
+
+  DataBridge.wireFormat = 'xfr';
+
+  /**
+   * @function prepareCommand
+   * Called as a command which belongs to the bridge is submitted, once its
+   * parameters are set and before it is intercepted (see L<interceptCommand>).
+   * Extensions wrap this method to complete the parameters.
+   */
+
+  DataBridge.prepareCommand = function (xcmd) {
+  };
+
+  /**
+   * @function interceptCommand
+   * Called as a command which belongs to the bridge is submitted. Returns
+   * true when the command has been taken care of otherwise, in which case it
+   * is not sent and the extension which took it calls its C<onComplete>
+   * (which invokes the callbacks). Extensions wrap this method.
+   */
+
+  DataBridge.interceptCommand = function (xcmd, cb) {
+    return false;
+  };
+
+  var _submit = ecma.lsn.hubb.command.overrideBase('submit', function (cb) {
+    if (this.db) this.db.prepareCommand(this);
+    if (this.db && this.db.interceptCommand(this, cb)) {
+      if (cb) this.cbList.push(cb);
+      return;
+    }
+    return _submit.apply(this, arguments);
+  });
+
+});
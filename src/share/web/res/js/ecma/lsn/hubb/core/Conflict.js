@@ -0,0 +1,269 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  var CActionDispatcher = ecma.action.ActionDispatcher;
+
+  /**
+   * @class Conflict
+   * A C<store> or C<update> which the server refused because the storage
+   * was modified by someone else.
+   *
+   *  db.addActionListener('conflict', function (action, conflict) {
+   *    conflict.addActionListener('resolve', ...);
+   *  });
+   *
+   * The callbacks of the refused command are taken over and are invoked when
+   * the conflict is resolved (with the stored node) or cancelled (with
+   * nothing).
+   *
+   * Members, once L<load> completes:
+   *
+   *  origin      The value the local edit started from (undefined when it is
+   *              not known)
+   *  mine        The local value which was refused
+   *  theirs      The current value on the server
+   *  merged      Result of the three-way merge (see L<ecma.hubb.merge3>)
+   *  conflicts   Regions which could not be merged
+   */
+
+  this.Conflict = function (db, xcmd) {
+    CActionDispatcher.apply(this);
+    this.db = db;
+    this.verb = xcmd.verb;
+    this.addr = xcmd.getParameter('target');
+    this.callbacks = xcmd.cbList;
+    xcmd.cbList = [];
+    if (this.verb == 'update') {
+      this.mine = xcmd.getParameter('values');
+      this.origin = _subset(xcmd.getParameter('origins'), this.mine);
+    } else {
+      this.mine = xcmd.getParameter('value');
+      this.origin = xcmd.getParameter('origin');
+    }
+    if (ecma.util.equals(this.origin, this.mine)) {
+      // Taken from a node which already held the edit
+      this.origin = undefined;
+    }
+    this.theirs = undefined;
+    this.merged = undefined;
+    this.conflicts = [];
+  };
+
+  var Conflict = this.Conflict.prototype = ecma.lang.createPrototype(
+    CActionDispatcher
+  );
+
+  /**
+   * @function load
+   * Fetch the current value from the server and merge.
+   */
+
+  Conflict.load = function (cb) {
+    this.db.fetch(this.addr, [function (node) {
+      var theirs = _valueOf(node, this.mine);
+      if (this.verb == 'update') theirs = _subset(theirs, this.mine);
+      this.theirs = theirs;
+      if (ecma.util.defined(this.origin)) {
+        var result = ecma.hubb.merge3(this.origin, this.mine, this.theirs);
+        this.merged = result.value;
+        this.conflicts = result.conflicts;
+      } else {
+        // Without the origin, mine and theirs cannot be merged
+        this.merged = this.mine;
+        this.conflicts = ecma.util.equals(this.mine, this.theirs) ? [] : [{
+          'addr': '',
+          'origin': undefined,
+          'mine': this.mine,
+          'theirs': this.theirs
+        }];
+      }
+      this.executeAction('load', this);
+      if (cb) ecma.lang.callback(cb, null, [this]);
+    }, this]);
+  };
+
+  Conflict.hasConflicts = function () {
+    return this.conflicts.length > 0;
+  };
+
+  /**
+   * @function isMine
+   * True when the merged value is the local value, that is when writing it
+   * keeps the local edit as it was made.
+   */
+
+  Conflict.isMine = function () {
+    return ecma.util.equals(this.merged, this.mine);
+  };
+
+  /**
+   * @function resolve
+   * Write the resolved value, overriding the server's modification check.
+   *
+   *  conflict.resolve(conflict.mine);    // keep mine
+   *  conflict.resolve(conflict.theirs);  // keep theirs
+   *  conflict.resolve(conflict.merged);  // accept the merge
+   */
+
+  Conflict.resolve = function (value) {
+    var params = {'target': this.addr, 'force': 1};
+    if (this.verb == 'update') {
+      params.values = value;
+      params.origins = this.theirs;
+    } else {
+      params.value = value;
+      params.origin = this.theirs;
+    }
+    this.db[this.verb](params, [this.onResolve, this]);
+  };
+
+  Conflict.cancel = function () {
+    this.executeAction('cancel', this);
+    this.invokeCallbacks();
+  };
+
+  Conflict.onResolve = function (result) {
+    this.executeAction('resolve', this, result);
+    this.invokeCallbacks(result);
+  };
+
+  Conflict.invokeCallbacks = function (result) {
+    var callbacks = this.callbacks;
+    this.callbacks = [];
+    for (var i = 0; i < callbacks.length; i++) {
+      try {
+        ecma.lang.callback(callbacks[i], null, [result]);
+      } catch (ex) {
+        ecma.error.reportError(ex);
+      }
+    }
+  };
+
+  function _valueOf (node, mine) {
+    if (!node) return undefined;
+    if (node instanceof ecma.hubb.ScalarNode) return node.getValue();
+    if (typeof(mine) == 'string') return node.getContent();
+    return node.toObject();
+  }
+
+  // The values at the keys, which may be addresses (as C<0/name>)
+  function _subset (values, keys) {
+    if (!ecma.util.isAssociative(values) || !ecma.util.isAssociative(keys)) {
+      return values;
+    }
+    var result = {};
+    for (var k in keys) {
+      result[k] = k in values ? values[k] : _valueAt(values, k);
+    }
+    return result;
+  }
+
+  function _valueAt (value, addr) {
+    var names = addr.split('/');
+    for (var i = 0; i < names.length; i++) {
+      if (value === null || typeof(value) != 'object') return undefined;
+      if (names[i] !== '') value = value[names[i]];
+    }
+    return value;
+  }
+
+  var DataBridge = ecma.hubb.DataBridge.prototype;
+
+  /**
+   * @function resolveConflict
+   * Called when a write is refused as stale, after the current value has
+   * been fetched and merged. Without conflicting regions the merged value is
+   * written, otherwise the write is cancelled. Replaced by
+   * L<ecma.hubb.ui.ConflictDialog> to ask the user.
+   */
+
+  DataBridge.resolveConflict = function (conflict) {
+    if (conflict.hasConflicts()) {
+      conflict.cancel();
+    } else {
+      conflict.resolve(conflict.merged);
+    }
+  };
+
+  /**
+   * @function store
+   * The C<origin> sent with a C<store> is the value which the edit started
+   * from. It is the value of the node unless given, as it must be when the
+   * node has been changed before it is stored:
+   *
+   *  var origin = node.getValue();
+   *  node.setValue(value);
+   *  db.store({'target': node.getAddress(), 'value': value, 'origin': origin});
+   *
+   * Likewise the C<origins> of an C<update>, which are the values at the keys
+   * being updated (which may be addresses, as C<0/name>).
+   */
+
+  var _given = [];
+
+  var _store = DataBridge.store;
+
+  DataBridge.store = function (params) {
+    return _withOrigin.call(this, _store, arguments, 'origin');
+  };
+
+  var _update = DataBridge.update;
+
+  DataBridge.update = function (params) {
+    return _withOrigin.call(this, _update, arguments, 'origins');
+  };
+
+  function _withOrigin (func, args, name) {
+    var params = args[0];
+    _given.push(ecma.util.isAssociative(params) ? params[name] : undefined);
+    try {
+      return func.apply(this, args);
+    } finally {
+      _given.pop();
+    }
+  }
+
+  var _initCommand = DataBridge.initCommand;
+
+  DataBridge.initCommand = function (xcmd) {
+    if (xcmd.verb == 'store' || xcmd.verb == 'update') {
+      if (_given.length) xcmd.givenOrigin = _given[_given.length - 1];
+      xcmd.addActionListener('error', _onError, this);
+    }
+    return _initCommand.apply(this, arguments);
+  };
+
+  var _prepareCommand = DataBridge.prepareCommand;
+
+  DataBridge.prepareCommand = function (xcmd) {
+    if (xcmd.verb == 'store' && ecma.util.defined(xcmd.givenOrigin)) {
+      xcmd.setParameter('origin', xcmd.givenOrigin);
+    } else if (xcmd.verb == 'update' && ecma.util.defined(xcmd.getParameter('origins'))) {
+      xcmd.setParameter('origins', _subset(
+        ecma.util.defined(xcmd.givenOrigin)
+          ? xcmd.givenOrigin
+          : xcmd.getParameter('origins'),
+        xcmd.getParameter('values')
+      ));
+    }
+    return _prepareCommand.apply(this, arguments);
+  };
+
+  function _onError (action, error) {
+    var xcmd = action.dispatcher;
+    if (xcmd.isConflict()) this.handleConflict(xcmd);
+  }
+
+  /**
+   * @function handleConflict
+   * Start resolving the refused C<store> or C<update> command.
+   */
+
+  DataBridge.handleConflict = function (xcmd) {
+    var conflict = new ecma.hubb.Conflict(this, xcmd);
+    this.executeAction('conflict', conflict);
+    conflict.load([this.resolveConflict, this]);
+    return conflict;
+  };
+
+});
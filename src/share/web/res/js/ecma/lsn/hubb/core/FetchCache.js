@@ -0,0 +1,409 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  /**
+   * @class FetchCache
+   * Shares fetches between the widgets of a data bridge, and keeps their
+   * responses so that they may be shown before the server has answered.
+   *
+   *  ecma.hubb.FetchCache.defaults.storage = 'local';
+   *  var db = ecma.hubb.getInstance('/');
+   *
+   * While a fetch of an address is pending, fetching it again adds the
+   * callback to the pending fetch rather than sending another.
+   *
+   * Each response is kept by address, along with the mtime of its storage.
+   * When the bridge fetches an address which it has not yet fetched (as
+   * after the page is reloaded), the kept response is applied while the
+   * request is pending, and the callbacks are called with its node. The
+   * response then revalidates it: the node is merged only when its mtime is
+   * newer, and a node which no longer exists is removed.
+   *
+   * Kept responses belong to the session which fetched them (by its auth
+   * token, which is replaced when the user signs out), so a response is not
+   * shown to another user of the browser. Storage holding those of another
+   * session is cleared when opened. Other storage of the site (such as the
+   * offline journal of L<ecma.hubb.OfflineQueue>) is left as it is.
+   *
+   * Options (see C<defaults>):
+   *
+   *  storage     Where responses are kept: C<memory> (the default, for as
+   *              long as the page), C<local> (L<ecma.dom.LocalStorage>) or
+   *              C<indexeddb>
+   *  maxEntries  Responses kept, beyond which the least recently used are
+   *              dropped (default 200)
+   *  maxSize     Responses larger than this (in characters) are not kept
+   *              (default 256k)
+   */
+
+  this.FetchCache = function (db, opts) {
+    this.db = db;
+    this.opts = ecma.util.overlay(ecma.util.clone(ecma.hubb.FetchCache.defaults), opts);
+    this.pending = {};
+    this.store = _createStore(this.opts, 'hubb.cache:' + db.rootAddress, _owner());
+  };
+
+  this.FetchCache.defaults = {
+    'storage': 'memory',
+    'maxEntries': 200,
+    'maxSize': 256 * 1024
+  };
+
+  var FetchCache = this.FetchCache.prototype = ecma.lang.createPrototype();
+
+  /**
+   * @function getPending
+   * The fetch of C<addr> which is waiting for its response.
+   */
+
+  FetchCache.getPending = function (addr) {
+    return this.pending[addr] || null;
+  };
+
+  /**
+   * @function track
+   * Called as a fetch which belongs to the bridge is submitted.
+   */
+
+  FetchCache.track = function (xcmd) {
+    var addr = xcmd.getParameter('target');
+    if (!addr) return;
+    this.pending[addr] = xcmd;
+    xcmd.addEventListener('onSuccess', this.onResponse, this);
+    xcmd.addEventListener('onNotSuccess', this.onEnd, this);
+    xcmd.addEventListener('onAbort', this.onEnd, this);
+    var node = this.db.getNodeByAddress(addr);
+    if (node && node.hasFetched()) return;
+    this.store.get(addr, [this.onCached, this, [xcmd]]);
+  };
+
+  FetchCache.onCached = function (entry, xcmd) {
+    var addr = xcmd.getParameter('target');
+    if (!entry || this.pending[addr] !== xcmd) return;
+    var node = this.db.getNodeByAddress(addr);
+    if (node && node.hasFetched()) return;
+    try {
+      xcmd.process(xcmd.parseContent(entry.text, entry.format, entry.encoding));
+    } catch (ex) {
+      ecma.error.reportError(ex);
+      this.store.remove(addr);
+      return;
+    }
+    if (!xcmd.result) return;
+    xcmd.isCached = true;
+    // Callbacks are called once, so not again with the response
+    xcmd.callback(xcmd.result);
+  };
+
+  FetchCache.onResponse = function (xcmd) {
+    var addr = xcmd.getParameter('target');
+    this.onEnd(xcmd);
+    var rh = xcmd.responseHash;
+    var error = xcmd.getError();
+    if (error) {
+      if (error.type == 'Error::DoesNotExist' || error.type == 'Error::NotFound') {
+        this.store.remove(addr);
+      }
+      return;
+    }
+    if (!rh || !xcmd.isSuccess()) return;
+    if (rh.getString('/head/struct') == 'branch') return;
+    var text = xcmd.xhr.responseText;
+    if (!text || text.length > this.opts.maxSize) {
+      this.store.remove(addr);
+      return;
+    }
+    this.store.put(addr, {
+      'mtime': rh.getString('/head/meta/mtime'),
+      'format': xcmd.xhr.getResponseHeader('X-Content-Format'),
+      'encoding': xcmd.xhr.getResponseHeader('X-Content-Encoding'),
+      'text': text
+    });
+  };
+
+  FetchCache.onEnd = function (xcmd) {
+    var addr = xcmd.getParameter('target');
+    if (this.pending[addr] === xcmd) delete this.pending[addr];
+  };
+
+  /**
+   * @function clear
+   * Forget every kept response (as when the user logs out).
+   */
+
+  FetchCache.clear = function () {
+    this.store.clear();
+  };
+
+  // The session, without keeping its auth token itself
+  function _owner () {
+    var token = ecma.lsn.auth.getAuthToken();
+    return token ? ecma.crypt.hex_sha1(token) : '';
+  }
+
+  function _createStore (opts, name, owner) {
+    try {
+      if (opts.storage == 'local') return new LocalStore(name, opts.maxEntries, owner);
+      if (opts.storage == 'indexeddb') return new IDBStore(name, opts.maxEntries, owner);
+    } catch (ex) {
+      ecma.error.reportError(ex);
+    }
+    return new MemoryStore(opts.maxEntries);
+  }
+
+  // Stores keep entries by address. Reads are asynchronous, as they are with
+  // IndexedDB, and a failure to read is no entry.
+
+  function MemoryStore (max) {
+    this.max = max;
+    this.entries = {};
+    this.used = [];
+  }
+
+  MemoryStore.prototype = {
+    get: function (addr, cb) {
+      var entry = this.entries[addr];
+      if (entry) _touch(this.used, addr);
+      ecma.dom.setTimeout(function () {
+        ecma.lang.callback(cb, null, [entry || null]);
+      }, 0);
+    },
+    put: function (addr, entry) {
+      this.entries[addr] = entry;
+      _touch(this.used, addr);
+      while (this.used.length > this.max) delete this.entries[this.used.shift()];
+    },
+    remove: function (addr) {
+      delete this.entries[addr];
+      _untouch(this.used, addr);
+    },
+    clear: function () {
+      this.entries = {};
+      this.used = [];
+    }
+  };
+
+  // The index (the owner, and addresses least recently used first) is kept
+  // with the entries
+  function LocalStore (name, max, owner) {
+    this.storage = new ecma.dom.LocalStorage();
+    this.name = name;
+    this.max = max;
+    this.owner = owner;
+    this.used = [];
+    var index = this.storage.getObject(name);
+    if (index && index.owner === owner && ecma.util.isArray(index.used)) {
+      this.used = index.used;
+    } else if (index) {
+      // Kept by another session (or before the owner was kept, as a list)
+      var used = ecma.util.isArray(index) ? index : index.used;
+      this.used = ecma.util.isArray(used) ? used : [];
+      this.clear();
+    }
+  }
+
+  LocalStore.prototype = {
+    get: function (addr, cb) {
+      var entry = null;
+      try {
+        entry = this.storage.getObject(this.name + addr);
+        if (entry) {
+          _touch(this.used, addr);
+          this.save();
+        }
+      } catch (ex) {
+        ecma.error.reportError(ex);
+      }
+      ecma.dom.setTimeout(function () {
+        ecma.lang.callback(cb, null, [entry || null]);
+      }, 0);
+    },
+    put: function (addr, entry) {
+      _touch(this.used, addr);
+      while (this.used.length > this.max) this.drop(this.used.shift());
+      // When the storage is full, make room
+      while (this.used.length) {
+        try {
+          this.storage.setObject(this.name + addr, entry);
+          break;
+        } catch (ex) {
+          if (this.used[0] === addr) {
+            this.used.shift();
+            break;
+          }
+          this.drop(this.used.shift());
+        }
+      }
+      this.save();
+    },
+    remove: function (addr) {
+      _untouch(this.used, addr);
+      this.drop(addr);
+      this.save();
+    },
+    clear: function () {
+      while (this.used.length) this.drop(this.used.shift());
+      this.storage.remove(this.name);
+    },
+    drop: function (addr) {
+      this.storage.remove(this.name + addr);
+    },
+    save: function () {
+      try {
+        this.storage.setObject(this.name, {'owner': this.owner, 'used': this.used});
+      } catch (ex) {
+        ecma.error.reportError(ex);
+      }
+    }
+  };
+
+  // Requests made before the database has opened wait for it. Records are
+  // those of every bridge, and those of other owners are deleted on opening.
+  function IDBStore (name, max, owner) {
+    var idb = ecma.window.indexedDB;
+    if (!idb) throw new Error('IndexedDB is not supported');
+    this.name = name;
+    this.max = max;
+    this.owner = owner;
+    this.db = null;
+    this.waiting = [];
+    var req = idb.open('hubb.cache', 1);
+    req.onupgradeneeded = function () {
+      var os = req.result.createObjectStore('responses', {'keyPath': 'key'});
+      os.createIndex('used', 'used');
+    };
+    req.onsuccess = ecma.lang.createCallback(function () {
+      this.db = req.result;
+      this.purge();
+      this.flush();
+    }, this);
+    req.onerror = ecma.lang.createCallback(function () {
+      ecma.error.reportError(req.error);
+      this.db = false;
+      this.flush();
+    }, this);
+  }
+
+  IDBStore.prototype = {
+    get: function (addr, cb) {
+      this.run('readwrite', function (os) {
+        var req = os.get(this.name + addr);
+        var owner = this.owner;
+        req.onsuccess = function () {
+          var record = req.result;
+          if (record && record.owner !== owner) {
+            os['delete'](record.key);
+            record = null;
+          }
+          if (record) {
+            record.used = new Date().getTime();
+            os.put(record);
+          }
+          ecma.lang.callback(cb, null, [record ? record.entry : null]);
+        };
+      }, function () {
+        ecma.lang.callback(cb, null, [null]);
+      });
+    },
+    put: function (addr, entry) {
+      this.run('readwrite', function (os) {
+        os.put({
+          'key': this.name + addr,
+          'owner': this.owner,
+          'used': new Date().getTime(),
+          'entry': entry
+        });
+        var max = this.max;
+        var count = os.count();
+        count.onsuccess = function () {
+          var excess = count.result - max;
+          if (excess <= 0) return;
+          os.index('used').openCursor().onsuccess = function (event) {
+            var cursor = event.target.result;
+            if (!cursor || excess-- <= 0) return;
+            cursor['delete']();
+            cursor['continue']();
+          };
+        };
+      });
+    },
+    remove: function (addr) {
+      this.run('readwrite', function (os) {
+        os['delete'](this.name + addr);
+      });
+    },
+    clear: function () {
+      this.run('readwrite', function (os) {
+        os.clear();
+      });
+    },
+    purge: function () {
+      this.run('readwrite', function (os) {
+        var owner = this.owner;
+        os.openCursor().onsuccess = function (event) {
+          var cursor = event.target.result;
+          if (!cursor) return;
+          if (cursor.value.owner !== owner) cursor['delete']();
+          cursor['continue']();
+        };
+      });
+    },
+    run: function (mode, func, onFailure) {
+      if (this.db === null) {
+        this.waiting.push([mode, func, onFailure]);
+        return;
+      }
+      try {
+        if (!this.db) throw new Error('IndexedDB is not available');
+        var tx = this.db.transaction('responses', mode);
+        func.call(this, tx.objectStore('responses'));
+      } catch (ex) {
+        ecma.error.reportError(ex);
+        if (onFailure) onFailure.call(this);
+      }
+    },
+    flush: function () {
+      var waiting = this.waiting;
+      this.waiting = [];
+      for (var i = 0; i < waiting.length; i++) {
+        this.run.apply(this, waiting[i]);
+      }
+    }
+  };
+
+  function _touch (used, addr) {
+    _untouch(used, addr);
+    used.push(addr);
+  }
+
+  function _untouch (used, addr) {
+    for (var i = 0; i < used.length; i++) {
+      if (used[i] === addr) return used.splice(i, 1);
+    }
+  }
+
+  var DataBridge = ecma.hubb.DataBridge.prototype;
+
+  DataBridge.getFetchCache = function () {
+    if (!this.fetchCache) this.fetchCache = new ecma.hubb.FetchCache(this);
+    return this.fetchCache;
+  };
+
+  var _fetch = DataBridge.fetch;
+
+  DataBridge.fetch = function (addr, cb) {
+    var xcmd = this.getFetchCache().getPending(this.absoluteAddress(addr));
+    if (!xcmd) return _fetch.apply(this, arguments);
+    if (cb) xcmd.cbList.push(cb);
+    return xcmd.thenable;
+  };
+
+  var _interceptCommand = DataBridge.interceptCommand;
+
+  DataBridge.interceptCommand = function (xcmd, cb) {
+    if (_interceptCommand.apply(this, arguments)) return true;
+    if (xcmd.verb == 'fetch') this.getFetchCache().track(xcmd);
+    return false;
+  };
+
+});
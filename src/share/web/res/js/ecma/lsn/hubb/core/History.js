@@ -0,0 +1,480 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  var CActionDispatcher = ecma.action.ActionDispatcher;
+
+  /**
+   * @class History
+   * Undo and redo for the commands of a data bridge.
+   *
+   *  var history = db.getHistory();
+   *  history.addActionListener('change', function (action, history) {
+   *    undoButton.disabled = !history.canUndo();
+   *  });
+   *  history.attachKeys(document); // ctrl+z, ctrl+y and ctrl+shift+z
+   *  db.undo();
+   *  db.redo();
+   *
+   * Each successful command is recorded along with the commands which revert
+   * it (its inverse), captured from the local nodes as it is submitted:
+   *
+   *  store     store of the origin value
+   *  update    update with the origin values
+   *  create    remove
+   *  insert    remove
+   *  remove    create with the value of the removed node (then reorder,
+   *            to put an entry of a hash back in its place)
+   *  rename    rename back
+   *  move      move back
+   *  copy      remove of the copy
+   *  reorder   reorder to the previous order
+   *
+   * Commands which cannot be reverted (removing directories, items of
+   * arrays, or files whose content has not been fetched) are not recorded,
+   * nor are stores whose origin is not known (see
+   * L<ecma.hubb.DataBridge.store>). Undo and redo are sent as one C<batch>.
+   *
+   * A C<batch> is one step, of those of its commands which succeeded and
+   * can be reverted. The batches which replay the offline journal (whose
+   * commands were recorded as they were queued) or roll back a transaction
+   * are not recorded.
+   *
+   * Several commands become one step with L<beginGroup> and L<endGroup>:
+   *
+   *  history.beginGroup('Move items');
+   *  db.move(...);
+   *  db.move(...);
+   *  history.endGroup();
+   *
+   * Actions:
+   *
+   *  change      The stacks have changed (history)
+   *  undo        A step was undone (step)
+   *  redo        A step was redone (step)
+   *  fail        Undo or redo failed, the step remains (step, commands)
+   */
+
+  this.History = function (db) {
+    CActionDispatcher.apply(this);
+    this.db = db;
+    this.limit = 100;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.group = null;
+    this.depth = 0;
+    this.isBusy = false;
+    this.keys = [];
+  };
+
+  var History = this.History.prototype = ecma.lang.createPrototype(
+    CActionDispatcher
+  );
+
+  History.canUndo = function () {
+    var step = this.undoStack[this.undoStack.length - 1];
+    return !this.isBusy && step && _isDone(step) ? true : false;
+  };
+
+  History.canRedo = function () {
+    return !this.isBusy && this.redoStack.length > 0;
+  };
+
+  History.clear = function () {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.executeAction('change', this);
+  };
+
+  /**
+   * @function beginGroup
+   * Commands submitted until the matching L<endGroup> form one step. Groups
+   * may nest, in which case the outermost group is the step.
+   */
+
+  History.beginGroup = function (label) {
+    if (this.depth++) return;
+    this.group = {'label': label || '', 'entries': []};
+    this.push(this.group);
+  };
+
+  History.endGroup = function () {
+    if (!this.depth) throw new Error('No group has begun');
+    if (--this.depth) return;
+    var group = this.group;
+    this.group = null;
+    if (!group.entries.length) this.drop(group);
+  };
+
+  History.push = function (step) {
+    this.undoStack.push(step);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+    this.executeAction('change', this);
+  };
+
+  History.drop = function (step) {
+    for (var i = this.undoStack.length - 1; i >= 0; i--) {
+      if (this.undoStack[i] === step) this.undoStack.splice(i, 1);
+    }
+    this.executeAction('change', this);
+  };
+
+  /**
+   * @function capture
+   * Called as the bridge submits a command. Records the command (pending
+   * until it completes) when it can be reverted.
+   */
+
+  History.capture = function (xcmd) {
+    if (xcmd.verb == 'batch') return this.captureBatch(xcmd);
+    if (!_inverses[xcmd.verb]) return;
+    var params = xcmd.getParameters();
+    var inverse = ecma.hubb.invertCommand(this.db, xcmd.verb, params);
+    if (!inverse) return;
+    var entry = {
+      'command': _argsOf(xcmd.verb, params),
+      'inverse': inverse,
+      'isDone': false
+    };
+    var step = this.addEntries(xcmd.verb, [entry]);
+    xcmd.addActionListener('complete', this.onCommandComplete, this, [step, entry]);
+  };
+
+  /**
+   * @function captureBatch
+   * Records the commands of a batch as one step. The inverse of each is
+   * taken as its response is processed, when the local nodes hold what the
+   * commands before it did. Those of a transaction are its own (see
+   * L<ecma.hubb.Transaction>).
+   */
+
+  History.captureBatch = function (xcmd) {
+    var db = this.db;
+    var transaction = db.transaction;
+    if (this.isBusy || (db.offlineQueue && db.offlineQueue.isReplaying)) return;
+    if (transaction && transaction.xcmd !== xcmd) return;
+    var entries = [];
+    for (var i = 0, cmd; cmd = xcmd.commands[i]; i++) {
+      if (!_inverses[cmd.verb]) continue;
+      var entry = {
+        'command': _argsOf(cmd.verb, cmd.getParameters()),
+        'inverse': transaction ? transaction.inverses[i] : null,
+        'isDone': false,
+        'xcmd': cmd
+      };
+      if (!transaction) _invertOnProcess(db, cmd, entry);
+      entries.push(entry);
+    }
+    if (!entries.length) return;
+    var step = this.addEntries(xcmd.verb, entries);
+    xcmd.addActionListener('complete', this.onBatchComplete, this, [step, entries]);
+  };
+
+  History.addEntries = function (label, entries) {
+    var step = this.group;
+    if (step) {
+      step.entries = step.entries.concat(entries);
+    } else {
+      step = {'label': label, 'entries': entries};
+      this.push(step);
+    }
+    return step;
+  };
+
+  History.onCommandComplete = function (action, xcmd, step, entry) {
+    if (xcmd.isSuccess()) {
+      entry.isDone = true;
+    } else {
+      this.removeEntry(step, entry);
+    }
+    this.executeAction('change', this);
+  };
+
+  // An atomic batch which did not commit has been rolled back
+  History.onBatchComplete = function (action, xcmd, step, entries) {
+    var isCommitted = !xcmd.isAtomic || xcmd.isCommitted;
+    for (var i = 0, entry; entry = entries[i]; i++) {
+      if (isCommitted && entry.inverse && entry.xcmd.isSuccess()) {
+        entry.isDone = true;
+      } else {
+        this.removeEntry(step, entry);
+      }
+      delete entry.xcmd;
+    }
+    this.executeAction('change', this);
+  };
+
+  History.removeEntry = function (step, entry) {
+    for (var i = 0; i < step.entries.length; i++) {
+      if (step.entries[i] === entry) step.entries.splice(i--, 1);
+    }
+    if (!step.entries.length && step !== this.group) this.drop(step);
+  };
+
+  /**
+   * @function undo
+   * Revert the last step. Returns false when there is nothing to undo.
+   */
+
+  History.undo = function (cb) {
+    if (!this.canUndo()) return false;
+    var step = this.undoStack.pop();
+    var commands = [];
+    for (var i = step.entries.length - 1, entry; entry = step.entries[i]; i--) {
+      if (entry.isDone) commands = commands.concat(entry.inverse);
+    }
+    this.apply('undo', step, commands, cb);
+    return true;
+  };
+
+  /**
+   * @function redo
+   * Apply the last undone step again. Returns false when there is nothing
+   * to redo.
+   */
+
+  History.redo = function (cb) {
+    if (!this.canRedo()) return false;
+    var step = this.redoStack.pop();
+    var commands = [];
+    for (var i = 0, entry; entry = step.entries[i]; i++) {
+      if (entry.isDone) commands.push(entry.command);
+    }
+    this.apply('redo', step, commands, cb);
+    return true;
+  };
+
+  History.apply = function (name, step, commands, cb) {
+    this.isBusy = true;
+    this.executeAction('change', this);
+    this.db.batch(commands, [this.onApply, this, [name, step, cb]]);
+  };
+
+  History.onApply = function (commands, name, step, cb) {
+    this.isBusy = false;
+    var ok = commands ? true : false;
+    for (var i = 0, cmd; ok && (cmd = commands[i]); i++) {
+      if (cmd.getError()) ok = false;
+    }
+    var target = name == 'undo' ? this.redoStack : this.undoStack;
+    var source = name == 'undo' ? this.undoStack : this.redoStack;
+    if (ok) {
+      target.push(step);
+      this.executeAction(name, step);
+    } else {
+      source.push(step);
+      this.executeAction('fail', step, commands);
+    }
+    this.executeAction('change', this);
+    if (cb) ecma.lang.callback(cb, null, [ok]);
+  };
+
+  /**
+   * @function attachKeys
+   * Undo on ctrl+z and redo on ctrl+y or ctrl+shift+z when keys are
+   * pressed within the element (and not within a text field, which has its
+   * own undo).
+   */
+
+  History.attachKeys = function (elem) {
+    var names = {'ctrl+z': 'undo', 'ctrl+y': 'redo', 'ctrl+shift+z': 'redo'};
+    for (var key in names) {
+      this.keys.push(new ecma.dom.KeyListener(elem, key, this.onKey, this,
+        [names[key]]));
+    }
+  };
+
+  History.detachKeys = function () {
+    for (var i = 0, kl; kl = this.keys[i]; i++) {
+      kl.remove();
+    }
+    this.keys = [];
+  };
+
+  History.onKey = function (event, name) {
+    var target = ecma.dom.getEventTarget(event);
+    var tagName = target && target.tagName ? target.tagName.toUpperCase() : '';
+    if (tagName == 'INPUT' || tagName == 'TEXTAREA' || tagName == 'SELECT'
+        || (target && target.isContentEditable)) {
+      return;
+    }
+    ecma.dom.stopEvent(event);
+    this[name]();
+  };
+
+  function _isDone (step) {
+    for (var i = 0, entry; entry = step.entries[i]; i++) {
+      if (entry.isDone) return true;
+    }
+    return false;
+  }
+
+  // Batch arguments: the verb followed by the parameters in argspec order
+  function _argsOf (verb, params) {
+    var xcmd = ecma.lsn.hubb.command.createInstance(verb);
+    var args = [verb];
+    for (var i = 0; i < xcmd.argspec.length; i++) {
+      args.push(params[xcmd.argspec[i]]);
+    }
+    return args;
+  }
+
+  function _invertOnProcess (db, cmd, entry) {
+    var process = cmd.process;
+    cmd.process = function () {
+      entry.inverse = ecma.hubb.invertCommand(db, cmd.verb, cmd.getParameters());
+      return process.apply(this, arguments);
+    };
+  }
+
+  // The value of the scalar at the address beneath the node
+  function _valueAt (node, addr) {
+    var child = node ? node.getValue(addr) : null;
+    return child instanceof ecma.hubb.ScalarNode ? child.getValue() : undefined;
+  }
+
+  function _parentOf (addr) {
+    return ecma.data.addr_parent(addr);
+  }
+
+  function _nameOf (addr) {
+    return ecma.data.addr_name(addr);
+  }
+
+  // Each returns the commands which revert the command, or null
+  var _inverses = {
+
+    'store': function (db, params) {
+      var origin = params.origin;
+      if (!ecma.util.defined(origin)) {
+        var node = db.getNodeByAddress(params.target);
+        origin = node ? node.getContent() : undefined;
+      }
+      // Taken from a node which already held the value
+      if (!ecma.util.defined(origin) || origin === params.value) return null;
+      return [['store', params.target, origin]];
+    },
+
+    'update': function (db, params) {
+      var origins = ecma.util.isAssociative(params.origins) ? params.origins : {};
+      var node = db.getNodeByAddress(params.target);
+      var values = {};
+      for (var k in params.values) {
+        var origin = k in origins ? origins[k] : _valueAt(node, k);
+        if (!ecma.util.defined(origin)) return null;
+        values[k] = origin;
+      }
+      return [['update', params.target, values]];
+    },
+
+    'create': function (db, params) {
+      return [['remove', ecma.data.addr_join(params.target, params.name)]];
+    },
+
+    'insert': function (db, params) {
+      return [['remove', ecma.data.addr_join(params.target, params.index)]];
+    },
+
+    'remove': function (db, params) {
+      var node = db.getNodeByAddress(params.target);
+      if (!node) return null;
+      var parent = node.getParentNode();
+      if (parent && parent.isDataArray && parent.isDataArray()) return null;
+      var type = node.getType();
+      var value;
+      if (node.isData()) {
+        value = node.toObject();
+        // Creating takes the type without the extension (data-scalar-html)
+        if (type.match(/^data-scalar/)) type = 'data-scalar';
+      } else if (type.match(/^file-text/)) {
+        value = node.getContent();
+        type = 'file-text';
+      }
+      if (!ecma.util.defined(value)) return null;
+      var result = [['create', _parentOf(params.target), _nameOf(params.target),
+        type, value]];
+      // Created entries are appended, put it back where it was
+      if (parent && parent.isDataContainer() && parent.keys) {
+        var keys = parent.keys();
+        if (node.getIndex() < keys.length - 1) {
+          result.push(['reorder', _parentOf(params.target), keys]);
+        }
+      }
+      return result;
+    },
+
+    'rename': function (db, params) {
+      var addr = ecma.data.addr_join(_parentOf(params.target), params.name);
+      return [['rename', addr, _nameOf(params.target)]];
+    },
+
+    'move': function (db, params) {
+      if (_nameOf(params.dest) == '<next>') return null;
+      return [['move', params.dest, params.target]];
+    },
+
+    'copy': function (db, params) {
+      if (_nameOf(params.dest) == '<next>') return null;
+      return [['remove', params.dest]];
+    },
+
+    'reorder': function (db, params) {
+      var node = db.getNodeByAddress(params.target);
+      if (!node || !node.keys) return null;
+      var value = [];
+      if (node.isDataArray()) {
+        for (var i = 0; i < params.value.length; i++) {
+          value[params.value[i]] = i;
+        }
+      } else {
+        value = node.keys();
+      }
+      return [['reorder', params.target, value]];
+    }
+
+  };
+
+  /**
+   * @function invertCommand
+   * Commands which revert the given command, as C<batch> arguments, or null
+   * when it cannot be reverted. Must be called before the command is applied
+   * to the local nodes.
+   *
+   *  ecma.hubb.invertCommand(db, 'rename', {'target': '/web/a', 'name': 'b'});
+   *  // [['rename', '/web/b', 'a']]
+   */
+
+  this.invertCommand = function (db, verb, params) {
+    var invert = _inverses[verb];
+    if (!invert) return null;
+    try {
+      return invert(db, params);
+    } catch (ex) {
+      ecma.error.reportError(ex);
+      return null;
+    }
+  };
+
+  var DataBridge = ecma.hubb.DataBridge.prototype;
+
+  DataBridge.getHistory = function () {
+    if (!this.history) this.history = new ecma.hubb.History(this);
+    return this.history;
+  };
+
+  DataBridge.undo = function (cb) {
+    return this.getHistory().undo(cb);
+  };
+
+  DataBridge.redo = function (cb) {
+    return this.getHistory().redo(cb);
+  };
+
+  var _interceptCommand = DataBridge.interceptCommand;
+
+  DataBridge.interceptCommand = function (xcmd, cb) {
+    this.getHistory().capture(xcmd);
+    return _interceptCommand.apply(this, arguments);
+  };
+
+});
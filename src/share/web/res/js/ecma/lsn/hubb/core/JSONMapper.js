@@ -0,0 +1,83 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  /**
+   * @class JSONMapper
+   * Hub data as JSON, where L<ecma.hubb.XFR> has it as XFR.
+   *
+   *  var mapper = new ecma.hubb.JSONMapper();
+   *  var rh = mapper.parse('{"head":{"meta":{"addr":"/web"}},"body":{}}');
+   *  rh.getString('/head/meta/addr');    // '/web'
+   *
+   * Objects become L<ecma.hubb.HashNode>s, arrays L<ecma.hubb.ArrayNode>s,
+   * and other values L<ecma.hubb.ScalarNode>s of their text (as XFR values
+   * are), null being empty. This is the tree XFR gives for the same response,
+   * so a command gives its nodes the same attributes (C<type>, C<mtime>,
+   * C<addr>, C<prev>, ...) from its C</head/meta> and directory entries.
+   *
+   * Browsers order the keys of an object which look like indexes (as C<"2">)
+   * before the others, so such keys of a hash may not keep their order.
+   */
+
+  this.JSONMapper = function () {
+  };
+
+  var proto = this.JSONMapper.prototype = ecma.lang.createPrototype();
+
+  /**
+   * @function parse
+   * Parse JSON text into nodes.
+   */
+
+  proto.parse = function (str) {
+    if (!ecma.util.defined(str)) return;
+    return this.toNode(ecma.data.json.parse(str));
+  };
+
+  /**
+   * @function format
+   * JSON text of a value, which may be (or contain) nodes.
+   */
+
+  proto.format = function (value) {
+    return ecma.data.json.format(this.toJSON(value));
+  };
+
+  proto.toNode = function (value) {
+    if (ecma.util.isArray(value)) {
+      var array = new ecma.hubb.ArrayNode();
+      for (var i = 0; i < value.length; i++) {
+        array.push(this.toNode(value[i]));
+      }
+      return array;
+    }
+    if (value !== null && typeof(value) == 'object') {
+      var hash = new ecma.hubb.HashNode();
+      for (var k in value) {
+        if (value.hasOwnProperty(k)) hash.setValue(k, this.toNode(value[k]));
+      }
+      return hash;
+    }
+    return new ecma.hubb.ScalarNode(ecma.util.defined(value) && value !== null
+      ? String(value) : '');
+  };
+
+  proto.toJSON = function (value) {
+    if (value === null || typeof(value) != 'object') return value;
+    if (typeof(value.toObject) == 'function') return value.toObject();
+    var result;
+    if (ecma.util.isArray(value)) {
+      result = [];
+      for (var i = 0; i < value.length; i++) {
+        result.push(this.toJSON(value[i]));
+      }
+      return result;
+    }
+    result = {};
+    for (var k in value) {
+      if (value.hasOwnProperty(k)) result[k] = this.toJSON(value[k]);
+    }
+    return result;
+  };
+
+});
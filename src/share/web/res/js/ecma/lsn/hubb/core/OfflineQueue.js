@@ -0,0 +1,363 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  var CActionDispatcher = ecma.action.ActionDispatcher;
+
+  // Verbs which modify data, and are queued while offline
+  var _mutating = {
+    'store': true,
+    'update': true,
+    'create': true,
+    'insert': true,
+    'remove': true,
+    'rename': true,
+    'copy': true,
+    'move': true,
+    'reorder': true
+  };
+
+  /**
+   * @class OfflineQueue
+   * Write journal of a data bridge for when the network is down. Every
+   * bridge creates its queue when it is created.
+   *
+   *  var queue = db.getOfflineQueue();
+   *  queue.isOffline();
+   *  queue.getLength();
+   *
+   * While offline, mutating commands are not sent. Their parameters (which
+   * carry the C<mtime> and C<origin> preconditions) are journaled in local
+   * storage and the change is applied to the local nodes, as if it had
+   * succeeded. The callbacks are invoked with the local node.
+   *
+   * The bridge goes offline when the browser says so, or when a mutating
+   * command fails for want of a connection (that command is queued as
+   * well). Commands which time out or are aborted are not queued, as the
+   * server may have applied them. When the connection returns the journal is
+   * replayed as a single C<batch>. Stale writes in the batch are handed to
+   * L<ecma.hubb.DataBridge.handleConflict>.
+   *
+   * Batches are not journaled. While offline they fail with an
+   * C<Error::Offline> error.
+   *
+   * Actions executed on the bridge:
+   *
+   *  offline     The network is down
+   *  online      The network is back (before replaying)
+   *  queue       A command was journaled (entry)
+   *  replay      The journal was replayed (commands, errors)
+   */
+
+  this.OfflineQueue = function (db) {
+    CActionDispatcher.apply(this);
+    this.db = db;
+    this.key = 'hubb.queue:' + db.rootAddress;
+    this.retryDelay = 30000;
+    this.isReplaying = false;
+    this.xcmd = null;
+    this.timeout = null;
+    try {
+      this.storage = new ecma.dom.LocalStorage();
+    } catch (ex) {
+      this.storage = null;
+    }
+    this.entries = this.load();
+    this.offline = ecma.window.navigator.onLine === false;
+    ecma.dom.addEventListener(ecma.window, 'online', this.onOnline, this);
+    ecma.dom.addEventListener(ecma.window, 'offline', this.onOffline, this);
+    if (this.entries.length && !this.offline) this.scheduleReplay(0);
+  };
+
+  var OfflineQueue = this.OfflineQueue.prototype = ecma.lang.createPrototype(
+    CActionDispatcher
+  );
+
+  OfflineQueue.load = function () {
+    var entries = null;
+    try {
+      entries = this.storage ? this.storage.getObject(this.key) : null;
+    } catch (ex) {
+      ecma.error.reportError(ex);
+    }
+    return ecma.util.isArray(entries) ? entries : [];
+  };
+
+  OfflineQueue.save = function () {
+    if (!this.storage) return;
+    if (this.entries.length) {
+      this.storage.setObject(this.key, this.entries);
+    } else {
+      this.storage.remove(this.key);
+    }
+  };
+
+  OfflineQueue.isOffline = function () {
+    return this.offline;
+  };
+
+  OfflineQueue.getLength = function () {
+    return this.entries.length;
+  };
+
+  /**
+   * @function isQueued
+   * True when a journaled command targets the address.
+   */
+
+  OfflineQueue.isQueued = function (addr) {
+    for (var i = 0, entry; entry = this.entries[i]; i++) {
+      if (entry.params.target == addr || entry.params.dest == addr) return true;
+    }
+    return false;
+  };
+
+  OfflineQueue.setOffline = function (bOffline) {
+    if (this.offline == bOffline) return;
+    this.offline = bOffline;
+    this.db.executeAction(bOffline ? 'offline' : 'online', this);
+  };
+
+  OfflineQueue.onOnline = function (event) {
+    this.setOffline(false);
+    this.scheduleReplay(0);
+  };
+
+  OfflineQueue.onOffline = function (event) {
+    this.setOffline(true);
+  };
+
+  /**
+   * @function intercept
+   * See L<ecma.hubb.DataBridge.interceptCommand>.
+   */
+
+  OfflineQueue.intercept = function (xcmd) {
+    if (this.isReplaying && xcmd.verb == 'batch') {
+      this.xcmd = xcmd;
+      return false;
+    }
+    if (xcmd.verb == 'batch' && this.offline) {
+      // A batch stands or falls as a whole, it is not journaled
+      xcmd.error = new ecma.lsn.hubb.command.CommandError('Error::Offline',
+        'Batches cannot be sent while offline', xcmd.getParameter('target'));
+      ecma.dom.setTimeout(xcmd.onComplete, 0, xcmd);
+      return true;
+    }
+    if (!_mutating[xcmd.verb]) return false;
+    if (this.offline) {
+      this.enqueue(xcmd);
+      ecma.dom.setTimeout(xcmd.onComplete, 0, xcmd);
+      return true;
+    }
+    xcmd.addEventListener('onNotSuccess', this.onNotSuccess, this);
+    return false;
+  };
+
+  OfflineQueue.onNotSuccess = function (xcmd) {
+    if (!_isNetworkDown(xcmd)) return;
+    this.setOffline(true);
+    this.enqueue(xcmd);
+  };
+
+  OfflineQueue.enqueue = function (xcmd) {
+    var params = ecma.util.clone(xcmd.getParameters());
+    delete params.branch;
+    var node = this.db.getNodeByAddress(params.target);
+    var entry = {
+      'verb': xcmd.verb,
+      'params': params,
+      'mtime': node ? node.getTimestamp() : undefined
+    };
+    var last = this.entries[this.entries.length - 1];
+    if (last && last.verb == 'store' && entry.verb == 'store'
+        && last.params.target == params.target) {
+      // Keep the preconditions of the first write
+      last.params.value = params.value;
+    } else {
+      this.entries.push(entry);
+    }
+    this.save();
+    xcmd.result = _applyLocally(this.db, entry.verb, params);
+    this.db.executeAction('queue', entry);
+    this.scheduleReplay(this.retryDelay);
+    return entry;
+  };
+
+  OfflineQueue.scheduleReplay = function (delay) {
+    if (this.timeout) ecma.dom.clearTimeout(this.timeout);
+    this.timeout = ecma.dom.setTimeout(this.replay, delay, this);
+  };
+
+  /**
+   * @function replay
+   * Send the journal as one C<batch>.
+   */
+
+  OfflineQueue.replay = function () {
+    this.timeout = null;
+    if (this.isReplaying || !this.entries.length) return;
+    var values = [];
+    for (var i = 0, entry; entry = this.entries[i]; i++) {
+      var xcmd = ecma.lsn.hubb.command.createInstance(entry.verb);
+      var args = [entry.verb];
+      for (var j = 0; j < xcmd.argspec.length; j++) {
+        args.push(entry.params[xcmd.argspec[j]]);
+      }
+      values.push(args);
+    }
+    this.isReplaying = true;
+    this.xcmd = null;
+    try {
+      this.db.batch(values, [this.onReplay, this, [values.length]]);
+    } catch (ex) {
+      this.isReplaying = false;
+      throw ex;
+    }
+  };
+
+  OfflineQueue.onReplay = function (commands, count) {
+    var xcmd = this.xcmd;
+    this.isReplaying = false;
+    this.xcmd = null;
+    if (!commands) {
+      if (xcmd && _isNetworkDown(xcmd)) {
+        this.setOffline(true);
+        this.scheduleReplay(this.retryDelay);
+      } else {
+        this.db.executeAction('replay', null, []);
+      }
+      return;
+    }
+    this.entries.splice(0, count);
+    this.save();
+    this.setOffline(false);
+    var errors = [];
+    for (var i = 0, cmd; cmd = commands[i]; i++) {
+      if (!cmd.getError()) continue;
+      if (cmd.isConflict()) {
+        this.db.handleConflict(cmd);
+      } else {
+        errors.push(cmd.getError());
+      }
+    }
+    this.db.executeAction('replay', commands, errors);
+    if (this.entries.length) this.scheduleReplay(0);
+  };
+
+  // No response at all. A request which timed out (or was aborted) may have
+  // been applied by the server, so is not sent again.
+  function _isNetworkDown (xcmd) {
+    if (xcmd.timedOut || xcmd.isAborted) return false;
+    return xcmd.xhr && xcmd.xhr.status === 0 ? true : false;
+  }
+
+  // Make the local nodes look as if the command had succeeded
+  function _applyLocally (db, verb, params) {
+    var node = db.getNodeByAddress(params.target);
+    try {
+      switch (verb) {
+        case 'store':
+          if (node instanceof ecma.hubb.ScalarNode) {
+            node.setValue(params.value);
+            node.dispatchAction('change', node);
+          }
+          break;
+        case 'update':
+          if (!node) break;
+          for (var k in params.values) {
+            var child = node.getValue(k);
+            if (child instanceof ecma.hubb.ScalarNode) {
+              child.setValue(params.values[k]);
+              child.dispatchAction('change', child);
+            }
+          }
+          break;
+        case 'create':
+          if (!node || node.getValue(params.name)) break;
+          var child = _createNode(db, params);
+          node = node.createValue(params.name, child);
+          break;
+        case 'remove':
+        case 'move':
+          if (!node) break;
+          try {
+            node.getParentNode().removeValue(node.getKey());
+          } finally {
+            db.executeAction('remove', node);
+          }
+          break;
+        case 'rename':
+          if (!node) break;
+          var parentAddr = ecma.data.addr_parent(params.target);
+          try {
+            node.mergeRename({
+              'old_name': node.getKey(),
+              'old_addr': params.target,
+              'new_name': params.name,
+              'new_addr': ecma.data.addr_join(parentAddr, params.name)
+            });
+          } finally {
+            db.executeAction('rename', node);
+          }
+          break;
+        case 'reorder':
+          if (node) node.sortByKey(params.value);
+          break;
+      }
+    } catch (ex) {
+      ecma.error.reportError(ex);
+    }
+    return node;
+  }
+
+  function _createNode (db, params) {
+    var addr = ecma.data.addr_join(params.target, params.name);
+    var node;
+    switch (params.type) {
+      case 'data-hash':
+        node = new ecma.hubb.HashNode();
+        break;
+      case 'data-array':
+        node = new ecma.hubb.ArrayNode();
+        break;
+      case 'data-scalar':
+        node = new ecma.hubb.ScalarNode();
+        node.setValue(ecma.util.defined(params.value) ? params.value : '');
+        break;
+      default:
+        return db.createStubNode(addr, params.type);
+    }
+    node.setAttribute('addr', addr);
+    node.setAttribute('type', params.type);
+    return node;
+  }
+
+  var CDataBridge = ecma.hubb.DataBridge;
+  var DataBridge = CDataBridge.prototype;
+
+  // The queue is created with the bridge, so that it listens for the network
+  // and replays what was journaled in an earlier session from the start.
+  this.DataBridge = function (addr) {
+    CDataBridge.apply(this, arguments);
+    this.offlineQueue = new ecma.hubb.OfflineQueue(this);
+  };
+
+  this.DataBridge.prototype = DataBridge;
+
+  DataBridge.getOfflineQueue = function () {
+    if (!this.offlineQueue) this.offlineQueue = new ecma.hubb.OfflineQueue(this);
+    return this.offlineQueue;
+  };
+
+  DataBridge.isQueued = function (addr) {
+    return this.offlineQueue ? this.offlineQueue.isQueued(addr) : false;
+  };
+
+  var _interceptCommand = DataBridge.interceptCommand;
+
+  DataBridge.interceptCommand = function (xcmd, cb) {
+    if (this.getOfflineQueue().intercept(xcmd)) return true;
+    return _interceptCommand.apply(this, arguments);
+  };
+
+});
@@ -0,0 +1,331 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  /**
+   * @class Query
+   * Select nodes by a path expression.
+   *
+   *  var nodes = db.query('/web/**\/*.html[mtime>1700000000]');
+   *  db.queryAndFetch('/web/*[type=directory]').then(function (nodes) {
+   *    ...
+   *  });
+   *
+   * The expression is a path whose segments are matched against the keys of
+   * the nodes:
+   *
+   *  name        Exact key
+   *  *.html      Wildcards, C<*> matches any run of characters, C<?> one
+   *  **          Any number of levels (including none)
+   *
+   * A segment may be followed by predicates, all of which must hold:
+   *
+   *  [type=data-hash]          Type (C<=> matches wildcards, so C<file-*>)
+   *  [mtime>1700000000]        Compared as numbers when both are numbers
+   *  [name!=index.html]        Other operators are C<!=>, C<<>, C<<=>, C<>=>
+   *  [value~^http]             Regular expression
+   *  [content]                 The attribute is defined
+   *
+   * Attributes are those of the node, besides C<name> (its key) and
+   * C<value> (of scalars). The C<mtime> of a node which is only known from
+   * its directory listing is the one listed. Values may be quoted.
+   *
+   * L<select> looks at the nodes which have been fetched. L<load> fetches
+   * the directories and files it needs to look within, where C<**> only
+   * expands directories.
+   */
+
+  this.Query = function (db, expr) {
+    this.db = db;
+    this.expr = expr;
+    this.steps = _parse(expr);
+    this.isAbsolute = expr.charAt(0) == '/';
+  };
+
+  var Query = this.Query.prototype = {};
+
+  /**
+   * @function select
+   * Matching nodes beneath the given node (the root of the bridge for
+   * absolute expressions) which have been fetched.
+   */
+
+  Query.select = function (node) {
+    var result = [];
+    var start = this.getStart(node);
+    if (start.node) _select(start.node, this.steps, start.index, result, {}, null);
+    return result;
+  };
+
+  /**
+   * @function load
+   * Like L<select>, but fetches what is needed first. Returns a
+   * L<ecma.hubb.Thenable>, the callback is invoked with the nodes.
+   */
+
+  Query.load = function (cb, node) {
+    var thenable = new ecma.hubb.Thenable();
+    var fetched = {};
+    var start = this.getStart(node);
+    var round = function () {
+      var needed = [];
+      var result = [];
+      if (start.node) {
+        start.node = this.db.getNodeByAddress(start.addr) || start.node;
+        _select(start.node, this.steps, start.index, result, {}, needed);
+      } else {
+        needed.push(start.addr);
+      }
+      var commands = [];
+      for (var i = 0; i < needed.length; i++) {
+        if (fetched[needed[i]]) continue;
+        fetched[needed[i]] = true;
+        commands.push(['fetch', needed[i]]);
+      }
+      if (!commands.length) {
+        if (cb) ecma.lang.callback(cb, null, [result]);
+        thenable.resolve(result);
+        return;
+      }
+      this.db.batch(commands, [function () {
+        if (!start.node) start.node = this.db.getNodeByAddress(start.addr);
+        round.call(this);
+      }, this]);
+    };
+    round.call(this);
+    return thenable;
+  };
+
+  // Where to begin: the node of the leading literal segments
+  Query.getStart = function (node) {
+    var segments = [];
+    var i = 0;
+    for (var step; step = this.steps[i]; i++) {
+      if (!step.isLiteral) break;
+      segments.push(step.name);
+    }
+    var addr;
+    if (this.isAbsolute || !node) {
+      addr = this.db.absoluteAddress('/' + segments.join('/'));
+    } else {
+      addr = segments.length
+        ? ecma.data.addr_join(node.getAddress(), segments.join('/'))
+        : node.getAddress();
+    }
+    addr = ecma.data.addr_normalize(addr);
+    return {'addr': addr, 'node': this.db.getNodeByAddress(addr), 'index': i};
+  };
+
+  function _select (node, steps, index, result, seen, needed) {
+    if (index == steps.length) {
+      var iid = node.getInstanceId();
+      if (!seen[iid]) {
+        seen[iid] = true;
+        result.push(node);
+      }
+      return;
+    }
+    var step = steps[index];
+    var children = _children(node, step.isRecursive, needed);
+    if (step.isRecursive) {
+      _select(node, steps, index + 1, result, seen, needed);
+      for (var i = 0; i < children.length; i++) {
+        _select(children[i], steps, index, result, seen, needed);
+      }
+    } else {
+      for (var i = 0; i < children.length; i++) {
+        if (_matches(children[i], step)) {
+          _select(children[i], steps, index + 1, result, seen, needed);
+        }
+      }
+    }
+  }
+
+  // Fetched child nodes. Unfetched nodes are added to the needed list (when
+  // there is one), under recursive descent only directories.
+  function _children (node, isRecursive, needed) {
+    if (!node.hasFetched()) {
+      if (needed && (node.isDirectory() || (!isRecursive && node.isFile()))) {
+        needed.push(node.getAddress());
+      }
+      return [];
+    }
+    if (!ecma.util.isFunction(node.keys)) return [];
+    var result = [];
+    var keys = node.keys();
+    for (var i = 0; i < keys.length; i++) {
+      var child = node.getValue(keys[i]);
+      if (child && ecma.util.isFunction(child.getInstanceId)) result.push(child);
+    }
+    return result;
+  }
+
+  function _matches (node, step) {
+    if (!step.pattern.test(String(node.getKey()))) return false;
+    for (var i = 0, pred; pred = step.predicates[i]; i++) {
+      if (!_test(node, pred)) return false;
+    }
+    return true;
+  }
+
+  function _attribute (node, name) {
+    switch (name) {
+      case 'name':
+      case 'key':
+        return node.getKey();
+      case 'type':
+        return node.getType();
+      case 'value':
+        return node instanceof ecma.hubb.ScalarNode ? node.getValue() : undefined;
+      case 'mtime':
+        // Entries of a directory listing keep theirs in mtime2 (their mtime
+        // is 0 until they are fetched)
+        var mtime = node.getAttribute('mtime');
+        if (!Number(mtime) && ecma.util.defined(node.getAttribute('mtime2'))) {
+          mtime = node.getAttribute('mtime2');
+        }
+        return ecma.util.defined(mtime) && mtime !== null ? String(mtime) : mtime;
+    }
+    return node.getAttribute(name);
+  }
+
+  function _test (node, pred) {
+    var value = _attribute(node, pred.name);
+    if (!pred.op) return ecma.util.defined(value);
+    if (!ecma.util.defined(value)) return pred.op == '!=';
+    switch (pred.op) {
+      case '=':
+        return pred.pattern.test(String(value));
+      case '!=':
+        return !pred.pattern.test(String(value));
+      case '~':
+        return pred.regexp.test(String(value));
+    }
+    var a = value;
+    var b = pred.value;
+    if (!isNaN(Number(a)) && !isNaN(Number(b))) {
+      a = Number(a);
+      b = Number(b);
+    } else {
+      a = String(a);
+    }
+    switch (pred.op) {
+      case '>': return a > b;
+      case '>=': return a >= b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+    }
+    return false;
+  }
+
+  // Parse the expression into steps
+  function _parse (expr) {
+    if (!expr) throw new ecma.error.MissingArg('expr');
+    var steps = [];
+    var pos = 0;
+    while (pos < expr.length) {
+      if (expr.charAt(pos) == '/') {
+        pos++;
+        continue;
+      }
+      var name = '';
+      while (pos < expr.length && !/[\/\[]/.test(expr.charAt(pos))) {
+        name += expr.charAt(pos++);
+      }
+      var step = {
+        'name': name,
+        'isRecursive': name == '**',
+        'isLiteral': !/[*?]/.test(name),
+        'pattern': _glob(name),
+        'predicates': []
+      };
+      while (expr.charAt(pos) == '[') {
+        var end = _closing(expr, pos);
+        step.predicates.push(_predicate(expr.substring(pos + 1, end)));
+        pos = end + 1;
+      }
+      if (step.predicates.length) step.isLiteral = false;
+      if (step.isRecursive && step.predicates.length) {
+        throw new Error('Query syntax error: predicates on ** in ' + expr);
+      }
+      if (pos < expr.length && expr.charAt(pos) != '/') {
+        throw new Error('Query syntax error at ' + pos + ' in ' + expr);
+      }
+      if (name == '.') continue;
+      if (!name) throw new Error('Query syntax error at ' + pos + ' in ' + expr);
+      steps.push(step);
+    }
+    return steps;
+  }
+
+  function _closing (expr, pos) {
+    var quote = null;
+    for (var i = pos + 1; i < expr.length; i++) {
+      var c = expr.charAt(i);
+      if (quote) {
+        if (c == quote) quote = null;
+      } else if (c == '"' || c == "'") {
+        quote = c;
+      } else if (c == ']') {
+        return i;
+      }
+    }
+    throw new Error('Query syntax error: unclosed [ in ' + expr);
+  }
+
+  function _predicate (text) {
+    var m = text.match(/^\s*([\w\-.]+)\s*(?:(!=|>=|<=|=|>|<|~)\s*(.*?)\s*)?$/);
+    if (!m) throw new Error('Query syntax error: [' + text + ']');
+    var value = m[3];
+    if (value && /^(["']).*\1$/.test(value)) value = value.substr(1, value.length - 2);
+    var pred = {'name': m[1], 'op': m[2], 'value': value};
+    if (pred.op == '=' || pred.op == '!=') pred.pattern = _glob(value);
+    if (pred.op == '~') pred.regexp = new RegExp(value);
+    return pred;
+  }
+
+  function _glob (text) {
+    var re = String(text).replace(/[\\^$.+(){}|\[\]]/g, '\\$&')
+      .replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp('^' + re + '$');
+  }
+
+  var DataBridge = ecma.hubb.DataBridge.prototype;
+
+  /**
+   * @function query
+   * Fetched nodes which match the expression (see L<ecma.hubb.Query>).
+   */
+
+  DataBridge.query = function (expr) {
+    return new ecma.hubb.Query(this, expr).select();
+  };
+
+  /**
+   * @function queryAndFetch
+   * Nodes which match the expression, fetching what is needed.
+   *
+   *  db.queryAndFetch('/web/**\/*.html', [this.onFound, this]);
+   */
+
+  DataBridge.queryAndFetch = function (expr, cb) {
+    return new ecma.hubb.Query(this, expr).load(cb);
+  };
+
+  /**
+   * @function query
+   * Nodes beneath this node which match the (relative) expression.
+   *
+   *  dir.query('*[type=file-text*]');
+   */
+
+  function _query (expr) {
+    var db = this.getDataBridge();
+    return new ecma.hubb.Query(db, expr).select(this);
+  }
+
+  // Array and hash nodes hold copies of the node methods
+  ecma.hubb.Node.prototype.query = _query;
+  ecma.hubb.ArrayNode.prototype.query = _query;
+  ecma.hubb.HashNode.prototype.query = _query;
+
+});
@@ -0,0 +1,233 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  var CActionDispatcher = ecma.action.ActionDispatcher;
+
+  /**
+   * @class Subscription
+   * Server-push channel for a data bridge.
+   *
+   *  var sub = new ecma.hubb.Subscription(db);
+   *  sub.addActionListener('fallback', function () { ... });
+   *  sub.start();
+   *
+   * A long-poll C<subscribe> command is kept open for the addresses which
+   * the bridge has fetched. Change records which the server sends back are
+   * merged into the local nodes with L<ecma.hubb.DataBridge.applyChange>.
+   *
+   * The server holds each poll for at most C<timeout> seconds (and at most
+   * what it is configured to). Polls which bring no changes are sent no more
+   * often than every C<minInterval> milliseconds, as when the server answers
+   * at once.
+   *
+   * After C<maxFailures> consecutive failed polls (the server does not
+   * support the command, or is not reachable) the subscription stops and
+   * dispatches the C<fallback> action.
+   */
+
+  this.Subscription = function (db) {
+    CActionDispatcher.apply(this);
+    this.db = db;
+    this.seq = null;
+    this.timeout = 10;
+    this.minInterval = 5000;
+    this.retryDelay = 5000;
+    this.maxFailures = 3;
+    this.failures = 0;
+    this.isActive = false;
+  };
+
+  var proto = ecma.lang.createPrototype(CActionDispatcher);
+  this.Subscription.prototype = proto;
+
+  proto.start = function () {
+    if (this.isActive) return;
+    this.isActive = true;
+    this.failures = 0;
+    this.poll();
+  };
+
+  proto.stop = function () {
+    this.isActive = false;
+  };
+
+  /**
+   * @function getTargets
+   * Addresses of every directory and file which has been fetched. These are
+   * the same nodes which L<ecma.hubb.DataBridge.autoRefresh> would re-fetch.
+   */
+
+  proto.getTargets = function () {
+    var targets = [];
+    this.db.getRoot().walk(function (key, node) {
+      if (node.hasFetched() && (node.isDirectory() || node.isFile())) {
+        targets.push(node.getAddress());
+      }
+    });
+    return targets;
+  };
+
+  proto.poll = function () {
+    if (!this.isActive) return;
+    var xcmd = ecma.lsn.hubb.command.createInstance('subscribe');
+    xcmd.setParameter('targets', this.getTargets());
+    xcmd.setParameter('timeout', this.timeout);
+    if (this.seq !== null) xcmd.setParameter('since', this.seq);
+    this.polledAt = new Date().getTime();
+    xcmd.submit([this.onResponse, this]);
+  };
+
+  proto.onResponse = function (result) {
+    if (!this.isActive) return;
+    if (!result) {
+      if (++this.failures >= this.maxFailures) {
+        this.stop();
+        this.dispatchAction('fallback', this);
+      } else {
+        ecma.dom.setTimeout(this.poll, this.retryDelay, this);
+      }
+      return;
+    }
+    this.failures = 0;
+    // The first response only establishes where the journal is at
+    var changes = this.seq === null ? [] : result.changes;
+    this.seq = result.seq;
+    for (var i = 0; i < changes.length; i++) {
+      try {
+        this.db.applyChange(changes[i]);
+      } catch (ex) {
+        ecma.error.reportError(ex);
+      }
+    }
+    var elapsed = new Date().getTime() - this.polledAt;
+    var delay = changes.length ? 0 : Math.max(0, this.minInterval - elapsed);
+    ecma.dom.setTimeout(this.poll, delay, this);
+  };
+
+  var DataBridge = ecma.hubb.DataBridge.prototype;
+
+  /**
+   * @function startAutoRefresh
+   * Keep fetched nodes current. Server-push (L<ecma.hubb.Subscription>) is
+   * used when available, otherwise the monitor polls with L<autoRefresh>.
+   */
+
+  DataBridge.startAutoRefresh = function () {
+    if (!this.subscription) {
+      this.subscription = new ecma.hubb.Subscription(this);
+      this.subscription.addActionListener('fallback', function () {
+        this.monitor.start(true);
+      }, this);
+    }
+    this.subscription.start();
+  };
+
+  DataBridge.stopAutoRefresh = function () {
+    if (this.subscription) this.subscription.stop();
+    this.monitor.stop();
+  };
+
+  /**
+   * @function getClientId
+   * Identifies the bridge to the server, which tags the change records of the
+   * bridge's commands with it (see the C<X-Hub-Client> header).
+   */
+
+  DataBridge.getClientId = function () {
+    if (!this.clientId) this.clientId = ecma.util.randomId('hubb', 1000000000000);
+    return this.clientId;
+  };
+
+  var _initCommand = DataBridge.initCommand;
+
+  DataBridge.initCommand = function (xcmd) {
+    xcmd.setHeader('X-Hub-Client', this.getClientId());
+    return _initCommand.apply(this, arguments);
+  };
+
+  /**
+   * @function applyChange
+   * Merge a server change record into the local nodes.
+   *
+   *  db.applyChange({type: 'remove', addr: '/web/old.html'});
+   *
+   * Record types are C<create>, C<store>, C<remove>, C<rename> and
+   * C<reorder>. Created and stored nodes are fetched (and merged) only when
+   * they, or their parent, have been fetched. Changes to nodes which are
+   * not loaded are ignored, as are those made by the bridge's own commands
+   * (which it has merged already).
+   *
+   * Removals, renames and reorders are merged as the bridge merges the
+   * responses to those commands, and it executes the same C<remove>,
+   * C<rename> and C<reorder> actions. No command is created for them.
+   */
+
+  DataBridge.applyChange = function (change) {
+    var addr = change.addr;
+    if (!addr || addr.indexOf(this.rootAddress) != 0) return;
+    if (change.client && change.client == this.getClientId()) return;
+    switch (change.type) {
+      case 'create':
+      case 'store':
+        var node = this.getNodeByAddress(addr);
+        var parentNode = this.getNodeByAddress(ecma.data.addr_parent(addr));
+        if (node ? node.hasFetched() : parentNode && parentNode.hasFetched()) {
+          this.fetch(addr);
+        }
+        break;
+      case 'remove':
+        _mergeRemove(this, change);
+        break;
+      case 'rename':
+        _mergeRename(this, change);
+        break;
+      case 'reorder':
+        var node = this.getNodeByAddress(addr);
+        if (!node || !node.hasFetched()) break;
+        _mergeReorder(this, node, change);
+        break;
+      default:
+        throw new Error('Unknown change type: ' + change.type);
+    }
+  };
+
+  // The storage of a file is reloaded when something within it has changed
+  function _reloadStorage (node) {
+    var storage = node && node.getStorage();
+    if (storage && storage.isFile()) storage.reload();
+  }
+
+  function _mergeRemove (db, change) {
+    if (change.mtime) {
+      _reloadStorage(db.getNodeByAddress(ecma.data.addr_parent(change.addr)));
+    }
+    var node = db.getNodeByAddress(change.addr);
+    if (!node) return;
+    try {
+      node.getParentNode().removeValue(node.getKey());
+    } finally {
+      db.executeAction('remove', node);
+    }
+  }
+
+  function _mergeRename (db, change) {
+    var node = db.getNodeByAddress(change.old_addr);
+    if (node) {
+      try {
+        node.mergeRename(change);
+      } finally {
+        db.executeAction('rename', node);
+      }
+    }
+    if (change.storage_addr) {
+      _reloadStorage(db.getNodeByAddress(change.storage_addr));
+    }
+  }
+
+  function _mergeReorder (db, node, change) {
+    node.sortByKey(change.keys);
+    node.getStorage().setAttribute('mtime', change.mtime);
+    db.executeAction('reorder', node);
+  }
+
+});
@@ -0,0 +1,173 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  /**
+   * @class Thenable
+   * The eventual outcome of a command, in the manner of a Promise.
+   *
+   *  db.fetch('/web/data.hf').then(function (node) {
+   *    return db.store('/web/data.hf/title', 'Hello');
+   *  }).then(function (node) {
+   *    ...
+   *  })['catch'](function (error) {
+   *    // error.type, error.message (see L<ecma.lsn.hubb.command.CommandError>)
+   *  });
+   *
+   * Handlers are invoked asynchronously, in the order they were added. A
+   * handler which returns a thenable delays the next in the chain until it
+   * settles; one which throws rejects it.
+   */
+
+  this.Thenable = function () {
+    this.state = 'pending';
+    this.value = undefined;
+    this.handlers = [];
+  };
+
+  var Thenable = this.Thenable.prototype = {};
+
+  Thenable.then = function (onFulfilled, onRejected) {
+    var next = new ecma.hubb.Thenable();
+    this.handlers.push([onFulfilled, onRejected, next]);
+    if (this.state != 'pending') this.flush();
+    return next;
+  };
+
+  Thenable['catch'] = function (onRejected) {
+    return this.then(null, onRejected);
+  };
+
+  Thenable.resolve = function (value) {
+    if (this.state != 'pending') return;
+    if (value === this) {
+      return this.reject(new TypeError('Cannot resolve with itself'));
+    }
+    var then = _thenOf(value);
+    if (then) {
+      _follow(this, value, then);
+    } else {
+      this.settle('fulfilled', value);
+    }
+  };
+
+  Thenable.reject = function (reason) {
+    if (this.state != 'pending') return;
+    this.settle('rejected', reason);
+  };
+
+  Thenable.settle = function (state, value) {
+    this.state = state;
+    this.value = value;
+    this.flush();
+  };
+
+  Thenable.flush = function () {
+    if (!this.handlers.length) return;
+    var handlers = this.handlers;
+    this.handlers = [];
+    ecma.dom.setTimeout(function () {
+      for (var i = 0; i < handlers.length; i++) {
+        _handle(this, handlers[i]);
+      }
+    }, 0, this);
+  };
+
+  function _handle (thenable, handler) {
+    var func = thenable.state == 'fulfilled' ? handler[0] : handler[1];
+    var next = handler[2];
+    if (!ecma.util.isFunction(func)) {
+      if (thenable.state == 'fulfilled') {
+        next.resolve(thenable.value);
+      } else {
+        next.reject(thenable.value);
+      }
+      return;
+    }
+    try {
+      next.resolve(func(thenable.value));
+    } catch (ex) {
+      next.reject(ex);
+    }
+  }
+
+  function _thenOf (value) {
+    if (!value || (typeof(value) != 'object' && typeof(value) != 'function')) {
+      return null;
+    }
+    var then = value.then;
+    return ecma.util.isFunction(then) ? then : null;
+  }
+
+  function _follow (thenable, value, then) {
+    var isCalled = false;
+    try {
+      then.call(value, function (result) {
+        if (isCalled) return;
+        isCalled = true;
+        thenable.resolve(result);
+      }, function (reason) {
+        if (isCalled) return;
+        isCalled = true;
+        thenable.reject(reason);
+      });
+    } catch (ex) {
+      if (!isCalled) {
+        isCalled = true;
+        thenable.reject(ex);
+      }
+    }
+  }
+
+  /**
+   * @function submit
+   * Commands return a L<ecma.hubb.Thenable> from C<submit>, as do the
+   * data-bridge methods which submit them. It settles when the callbacks are
+   * invoked: fulfilled with the result, or rejected with the
+   * L<ecma.lsn.hubb.command.CommandError>.
+   *
+   *  db.store(addr, value, [this.onStore, this]);  // still works
+   *  db.store(addr, value).then(...);
+   */
+
+  var _submit = ecma.lsn.hubb.command.overrideBase('submit', function (cb) {
+    var thenable = this.thenable = new ecma.hubb.Thenable();
+    this.cbList.push([_settle, this, [thenable]]);
+    _submit.apply(this, arguments);
+    return thenable;
+  });
+
+  function _settle (result, thenable) {
+    if (result || this.isSuccess()) return thenable.resolve(result);
+    thenable.reject(this.getError());
+  }
+
+  var DataBridge = ecma.hubb.DataBridge.prototype;
+
+  DataBridge.get = function (addr, cb) {
+    var node = this.getNodeByAddress(addr);
+    if (node && node.hasFetched()) {
+      ecma.lang.callback(cb, null, [node]);
+      return _resolved(node);
+    } else {
+      return this.fetch(addr, cb);
+    }
+  };
+
+  DataBridge.getAndFetch = function (addr, cb) {
+    var node = this.getNodeByAddress(addr);
+    if (node && node.hasFetched()) {
+      if (cb) ecma.lang.callback(cb, null, [node]);
+      this.fetch(addr);
+      return _resolved(node);
+    } else {
+      return this.fetch(addr, cb);
+    }
+  };
+
+  function _resolved (value) {
+    var thenable = new ecma.hubb.Thenable();
+    thenable.resolve(value);
+    return thenable;
+  }
+
+});
@@ -0,0 +1,374 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  var CBatch = ecma.lsn.hubb.command.Batch;
+  var CCommandError = ecma.lsn.hubb.command.CommandError;
+
+  /**
+   * @class Transaction
+   * A C<batch> which is applied entirely or not at all.
+   *
+   *  db.batch([
+   *    ['rename', '/web/a', 'b'],
+   *    ['store', '/web/data.hf/title', 'Hello']
+   *  ], [this.onBatch, this], {'atomic': true});
+   *
+   * The commands which would revert each command are captured from the local
+   * nodes before the batch is sent (see L<ecma.hubb.invertCommand>), and
+   * the batch is refused when a command cannot be reverted. Each command is
+   * reverted to the state left by those before it, so later commands may
+   * depend on earlier ones (as storing into a node which the batch renamed).
+   * When any command in the batch fails, those which succeeded are reverted
+   * with a second batch. Until every command has succeeded the local nodes
+   * are left untouched.
+   *
+   * Rolling back is best-effort. The state before each command is known
+   * only from the local nodes and the commands before it, so a command which
+   * depends on what the batch has changed beneath it (as removing a hash
+   * whose values the batch stored) is refused, and the server may have been
+   * changed by others meanwhile.
+   *
+   * On failure the callbacks are invoked with nothing, and the thenable is
+   * rejected with a single L<ecma.lsn.hubb.command.CommandError> whose
+   * C<errors> lists the errors of the failed commands, and where
+   * C<isRolledBack> tells whether reverting succeeded. When there was no
+   * response at all the state of the server is unknown.
+   */
+
+  this.Transaction = function (db, values) {
+    this.db = db;
+    this.values = values;
+    this.inverses = [];
+    this.xcmd = null;
+    this.callbacks = [];
+    this.thenable = new ecma.hubb.Thenable();
+    this.error = undefined;
+    var state = new Simulation(db);
+    for (var i = 0, args; args = values[i]; i++) {
+      if (!ecma.util.isArray(args)) throw new Error('provide an array of arrays');
+      var verb = args[0];
+      var params = _paramsOf(args);
+      var inverse = verb == 'fetch' ? [] : state.invert(verb, params);
+      if (!inverse) throw new Error('Cannot roll back: ' + verb + ' ' + params.target);
+      this.inverses.push(inverse);
+      state.apply(verb, params);
+    }
+  };
+
+  var Transaction = this.Transaction.prototype = {};
+
+  Transaction.submit = function (cb) {
+    if (cb) this.callbacks.push(cb);
+    this.db.transaction = this;
+    try {
+      _batch.call(this.db, this.values, [this.onBatch, this]);
+    } finally {
+      this.db.transaction = null;
+    }
+    return this.thenable;
+  };
+
+  Transaction.onBatch = function (commands) {
+    var xcmd = this.xcmd;
+    if (commands && xcmd.isCommitted) {
+      this.invokeCallbacks(commands);
+      this.thenable.resolve(commands);
+      return;
+    }
+    var errors = [];
+    var compensation = [];
+    if (commands) {
+      for (var i = 0, cmd; cmd = commands[i]; i++) {
+        if (cmd.isSuccess()) {
+          compensation = this.inverses[i].concat(compensation);
+        } else if (cmd.getError()) {
+          errors.push(cmd.getError());
+        }
+      }
+    }
+    var status = xcmd && xcmd.xhr ? xcmd.xhr.status : undefined;
+    var message = errors.length
+      ? errors.length + ' of ' + this.values.length + ' commands failed: ' + errors[0].message
+      : status ? 'Request failed with status ' + status : 'No response';
+    this.error = new CCommandError('Error::Transaction', message, undefined, status);
+    this.error.errors = errors;
+    this.error.isRolledBack = false;
+    if (!commands) return this.fail();
+    if (!compensation.length) {
+      this.error.isRolledBack = true;
+      return this.fail();
+    }
+    // The rollback belongs to the transaction as well
+    this.db.transaction = this;
+    try {
+      _batch.call(this.db, compensation, [this.onRollback, this]);
+    } finally {
+      this.db.transaction = null;
+    }
+  };
+
+  Transaction.onRollback = function (commands) {
+    var ok = commands ? true : false;
+    for (var i = 0, cmd; ok && (cmd = commands[i]); i++) {
+      if (!cmd.isSuccess()) ok = false;
+    }
+    this.error.isRolledBack = ok;
+    this.fail();
+  };
+
+  Transaction.fail = function () {
+    this.db.executeAction('rollback', this.error);
+    this.invokeCallbacks();
+    this.thenable.reject(this.error);
+  };
+
+  Transaction.invokeCallbacks = function (result) {
+    var callbacks = this.callbacks;
+    this.callbacks = [];
+    for (var i = 0; i < callbacks.length; i++) {
+      try {
+        ecma.lang.callback(callbacks[i], null, [result]);
+      } catch (ex) {
+        ecma.error.reportError(ex);
+      }
+    }
+  };
+
+  function _paramsOf (args) {
+    var xcmd = ecma.lsn.hubb.command.createInstance(args[0]);
+    return ecma.util.associateArrays(args.slice(1), xcmd.argspec);
+  }
+
+  // The local nodes as they would be after the commands applied so far. It
+  // keeps, by address, what those commands did there: removed, created, moved
+  // from (the original address), stored (the content), changed beneath
+  // (dirty), given other keys (keyed) or other indexes (reindexed). Inverses
+  // are computed against it in place of the bridge.
+  function Simulation (db) {
+    this.db = db;
+    this.entries = {};
+  }
+
+  Simulation.prototype = {
+
+    invert: function (verb, params) {
+      var state = params.target ? this.lookup(params.target) : {};
+      if (state.created) return []; // removing what was created reverts it
+      if (state.removed) return null;
+      if (verb == 'store' && ecma.util.defined(state.content)
+          && !ecma.util.defined(params.origin)) {
+        params = ecma.util.overlay(ecma.util.clone(params), {'origin': state.content});
+      }
+      if (verb == 'remove') {
+        if (state.dirty || state.keyed || ecma.util.defined(state.content)) return null;
+        var parentAddr = ecma.data.addr_parent(this.absolute(params.target));
+        if (this.lookup(parentAddr).keyed) return null;
+      }
+      if (verb == 'reorder' && state.keyed) return null;
+      return ecma.hubb.invertCommand(this, verb, params);
+    },
+
+    apply: function (verb, params) {
+      var target = params.target ? this.absolute(params.target) : null;
+      switch (verb) {
+        case 'store':
+          this.entry(target).content = params.value;
+          this.touch(target);
+          break;
+        case 'update':
+          this.entry(target).dirty = true;
+          this.touch(target);
+          break;
+        case 'create':
+          this.create(ecma.data.addr_join(target, params.name));
+          break;
+        case 'insert':
+          this.entry(target).reindexed = true;
+          this.entry(target).keyed = true;
+          this.touch(ecma.data.addr_join(target, params.index));
+          break;
+        case 'reorder':
+          var node = this.getNodeByAddress(target);
+          if (!node || (node.isDataArray && node.isDataArray())) {
+            this.entry(target).reindexed = true;
+          }
+          this.entry(target).keyed = true;
+          this.touch(target);
+          break;
+        case 'remove':
+          this.clear(target);
+          this.entries[target] = {'removed': true};
+          this.touch(target, true);
+          break;
+        case 'rename':
+          this.move(target, ecma.data.addr_join(ecma.data.addr_parent(target), params.name));
+          break;
+        case 'move':
+          this.move(target, this.absolute(params.dest));
+          break;
+        case 'copy':
+          this.create(this.absolute(params.dest));
+          break;
+      }
+    },
+
+    // What the commands did to the node now at addr, where C<addr> is its
+    // address among the local nodes
+    lookup: function (addr) {
+      addr = this.absolute(addr);
+      var result = {'addr': addr};
+      var rest = '';
+      var at = addr;
+      while (at) {
+        var entry = this.entries[at];
+        if (entry) {
+          if (entry.removed) return {'removed': true};
+          if (entry.created) return {'created': true};
+          if (at === addr) {
+            result.content = entry.content;
+            result.dirty = entry.dirty;
+            result.keyed = entry.keyed;
+          } else if (entry.reindexed) {
+            return {'removed': true};
+          }
+          if (entry.from) {
+            result.addr = entry.from + rest;
+            return result;
+          }
+        }
+        if (at == '/') break;
+        rest = '/' + ecma.data.addr_name(at) + rest;
+        at = ecma.data.addr_parent(at);
+      }
+      return result;
+    },
+
+    getNodeByAddress: function (addr) {
+      var state = this.lookup(addr);
+      return state.removed || state.created ? null : this.db.getNodeByAddress(state.addr);
+    },
+
+    create: function (addr) {
+      this.clear(addr);
+      this.entries[addr] = {'created': true};
+      this.touch(addr, true);
+    },
+
+    move: function (src, dest) {
+      var state = this.lookup(src);
+      var moved = {};
+      for (var k in this.entries) {
+        if (k == src || k.indexOf(src + '/') == 0) {
+          moved[dest + k.substr(src.length)] = this.entries[k];
+          delete this.entries[k];
+        }
+      }
+      this.clear(dest);
+      if (state.created || state.removed) {
+        moved[dest] = state;
+      } else {
+        moved[dest] = moved[dest] || {};
+        moved[dest].from = state.addr;
+      }
+      for (var k in moved) {
+        this.entries[k] = moved[k];
+      }
+      this.entries[src] = {'removed': true};
+      this.touch(src, true);
+      this.touch(dest, true);
+    },
+
+    entry: function (addr) {
+      return this.entries[addr] || (this.entries[addr] = {});
+    },
+
+    // Forget what was done at and beneath addr
+    clear: function (addr) {
+      for (var k in this.entries) {
+        if (k == addr || k.indexOf(addr + '/') == 0) delete this.entries[k];
+      }
+    },
+
+    // Mark the parents of addr as changed beneath, and its parent as having
+    // other keys when addr was added or taken away
+    touch: function (addr, isKey) {
+      while (addr && addr != '/') {
+        addr = ecma.data.addr_parent(addr);
+        var entry = this.entries[addr];
+        if (entry && (entry.removed || entry.created)) return;
+        entry = this.entry(addr);
+        entry.dirty = true;
+        if (isKey) entry.keyed = true;
+        isKey = false;
+      }
+    },
+
+    absolute: function (addr) {
+      return this.db.absoluteAddress(addr);
+    }
+
+  };
+
+  /**
+   * An atomic batch holds back the actions of its commands (which update
+   * the local nodes) until it has seen that every command succeeded.
+   */
+
+  var _process = CBatch.prototype.process;
+
+  CBatch.prototype.process = function (rh) {
+    if (!this.isAtomic) return _process.apply(this, arguments);
+    var held = [];
+    for (var i = 0, cmd; cmd = this.commands[i]; i++) {
+      cmd.executeAction = _holdAction(cmd, held);
+    }
+    try {
+      _process.apply(this, arguments);
+    } finally {
+      for (var i = 0, cmd; cmd = this.commands[i]; i++) {
+        delete cmd.executeAction;
+      }
+    }
+    this.isCommitted = true;
+    for (var i = 0, cmd; cmd = this.commands[i]; i++) {
+      if (!cmd.isSuccess()) this.isCommitted = false;
+    }
+    if (!this.isCommitted) return;
+    for (var i = 0; i < held.length; i++) {
+      held[i][0].executeAction.apply(held[i][0], held[i][1]);
+    }
+  };
+
+  function _holdAction (cmd, held) {
+    return function () {
+      held.push([cmd, ecma.util.args(arguments)]);
+    };
+  }
+
+  var DataBridge = ecma.hubb.DataBridge.prototype;
+  var _batch = DataBridge.batch;
+
+  /**
+   * @function batch
+   * With the C<atomic> option the batch is a L<ecma.hubb.Transaction>.
+   *
+   *  db.batch(values, cb, {'atomic': true});
+   */
+
+  DataBridge.batch = function (values, cb, options) {
+    if (!options || !options.atomic) return _batch.apply(this, arguments);
+    return new ecma.hubb.Transaction(this, values).submit(cb);
+  };
+
+  var _initCommand = DataBridge.initCommand;
+
+  DataBridge.initCommand = function (xcmd) {
+    var transaction = this.transaction;
+    if (transaction && xcmd.verb == 'batch' && !transaction.xcmd) {
+      transaction.xcmd = xcmd;
+      xcmd.isAtomic = true;
+    }
+    return _initCommand.apply(this, arguments);
+  };
+
+});
@@ -0,0 +1,321 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  var CActionDispatcher = ecma.action.ActionDispatcher;
+
+  /**
+   * @class Upload
+   * Upload of a file in chunks, each posted with C<XMLHttpRequest> to
+   * C</api/hub/upload_chunk>.
+   *
+   *  var upload = db.upload('/web/images', 'logo.png', file, false, cb);
+   *  upload.cancel();
+   *
+   * Options:
+   *
+   *  replace     Replace an existing file (default false)
+   *  chunkSize   Bytes posted per request (default 1Mb)
+   *  retries     Times a chunk is posted again when it fails (default 3)
+   *  retryDelay  Milliseconds before the first retry, doubled for each
+   *              following one (default 1000)
+   *
+   * The upload id is kept in local storage (by the address of the new file)
+   * until the upload completes. When the same file (by name, size and
+   * modification time) is uploaded to the same address again, as after the
+   * page is reloaded, the server is asked how much of it was received and
+   * the upload resumes from there.
+   *
+   * Actions:
+   *
+   *  status      Bytes sent (the stats of L<ecma.lsn.hubb.command.Progress>)
+   *  complete    The file was created
+   *  error       The server refused a chunk, or a chunk could not be sent
+   *              after its retries (message)
+   *  cancel      The upload was cancelled
+   */
+
+  this.Upload = function (addr, name, file, opts) {
+    CActionDispatcher.apply(this);
+    this.addr = addr;
+    this.name = name;
+    this.file = file;
+    this.target = ecma.data.addr_join(addr, name);
+    this.opts = ecma.util.overlay({
+      'replace': false,
+      'chunkSize': 1024 * 1024,
+      'retries': 3,
+      'retryDelay': 1000
+    }, opts);
+    this.key = 'hubb.upload:' + this.target;
+    this.id = null;
+    this.offset = 0;
+    this.attempts = 0;
+    this.req = null;
+    this.timeout = null;
+    this.isRunning = false;
+    try {
+      this.storage = new ecma.dom.LocalStorage();
+    } catch (ex) {
+      this.storage = null;
+    }
+  };
+
+  var Upload = this.Upload.prototype = ecma.lang.createPrototype(
+    CActionDispatcher
+  );
+
+  /**
+   * @function isSupported
+   * True when the browser can post parts of a file (otherwise the whole file
+   * is submitted with a form).
+   */
+
+  this.Upload.isSupported = function () {
+    var win = ecma.window;
+    return !!(win.XMLHttpRequest && win.FormData && win.Blob
+      && win.Blob.prototype.slice);
+  };
+
+  /**
+   * @function start
+   * Start (or resume) sending the file.
+   */
+
+  Upload.start = function () {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    var entry = this.load();
+    if (entry && entry.size == this.file.size && entry.name == this.file.name
+        && entry.mtime == this.file.lastModified) {
+      this.id = entry.id;
+      this.resync();
+    } else {
+      this.id = ecma.util.randomId('upl', 1000000000);
+      this.offset = 0;
+      this.save();
+      this.sendChunk();
+    }
+  };
+
+  /**
+   * @function cancel
+   * Stop sending and forget the upload (it cannot be resumed).
+   */
+
+  Upload.cancel = function () {
+    if (!this.isRunning) return;
+    this.stop();
+    this.clear();
+    this.executeAction('cancel', this);
+  };
+
+  Upload.stop = function () {
+    this.isRunning = false;
+    if (this.timeout) ecma.dom.clearTimeout(this.timeout);
+    this.timeout = null;
+    if (this.req) {
+      var req = this.req;
+      this.req = null;
+      req.abort();
+    }
+  };
+
+  Upload.load = function () {
+    var entry = null;
+    try {
+      entry = this.storage ? this.storage.getObject(this.key) : null;
+    } catch (ex) {
+      ecma.error.reportError(ex);
+    }
+    return ecma.util.isObject(entry) ? entry : null;
+  };
+
+  Upload.save = function () {
+    if (!this.storage) return;
+    this.storage.setObject(this.key, {
+      'id': this.id,
+      'name': this.file.name,
+      'size': this.file.size,
+      'mtime': this.file.lastModified
+    });
+  };
+
+  Upload.clear = function () {
+    if (this.storage) this.storage.remove(this.key);
+  };
+
+  /**
+   * @function resync
+   * Ask the server how much of the file it has received, and continue from
+   * there (or from the start when it knows nothing of the upload).
+   */
+
+  Upload.resync = function () {
+    var req = this.createRequest('/api/hub/upload_progress', 'GET');
+    req.addEventListener('onSuccess', this.onResync, this);
+    req.addEventListener('onNotSuccess', this.onChunkFailure, this);
+    req.submit();
+  };
+
+  Upload.onResync = function (req) {
+    if (req !== this.req) return;
+    this.req = null;
+    var result = _bodyOf(req);
+    this.offset = result && result.state == 'uploading'
+      ? ecma.util.asInt(result.received) || 0
+      : 0;
+    if (this.offset > this.file.size) this.offset = 0;
+    this.sendChunk();
+  };
+
+  Upload.sendChunk = function () {
+    this.timeout = null;
+    if (!this.isRunning) return;
+    var end = Math.min(this.offset + this.opts.chunkSize, this.file.size);
+    var data = new ecma.window.FormData();
+    data.append('file', this.file.slice(this.offset, end), this.name);
+    var uri = '/api/hub/upload_chunk?' +
+      'target=' + encodeURIComponent(this.addr) +
+      '&name=' + encodeURIComponent(this.name) +
+      '&replace=' + (this.opts.replace ? 1 : 0) +
+      '&offset=' + this.offset +
+      '&size=' + this.file.size;
+    var req = this.createRequest(uri, 'POST');
+    // The browser sets the multipart boundary
+    delete req.headers['Content-Type'];
+    delete req.headers['X-Content-Format'];
+    delete req.headers['X-Content-Encoding'];
+    req.parseBody = function (body) { return body; };
+    req.addEventListener('onCreate', this.onCreate, this);
+    req.addEventListener('onSuccess', this.onChunkSuccess, this);
+    req.addEventListener('onNotSuccess', this.onChunkFailure, this);
+    req.submit(data);
+  };
+
+  Upload.createRequest = function (uri, method) {
+    var req = this.req = new ecma.http.JSONRequest(uri, {'method': method});
+    req.setHeader('X-Progress-ID', this.id);
+    return req;
+  };
+
+  Upload.onCreate = function (req) {
+    if (!req.xhr.upload) return;
+    var offset = this.offset;
+    var self = this;
+    req.xhr.upload.onprogress = function (event) {
+      if (event.lengthComputable) self.updateStatus(offset + event.loaded);
+    };
+  };
+
+  Upload.onChunkSuccess = function (req) {
+    if (req !== this.req) return;
+    this.req = null;
+    var error = _errorOf(req);
+    if (error) {
+      // The server has a different idea of where we are
+      if (error.match(/^Offset mismatch/) && this.attempts++ < this.opts.retries) {
+        return this.resync();
+      }
+      return this.fail(error);
+    }
+    var result = _bodyOf(req) || {};
+    this.attempts = 0;
+    this.offset = ecma.util.asInt(result.received) || 0;
+    this.updateStatus(this.offset);
+    if (result.state == 'done') {
+      this.isRunning = false;
+      this.clear();
+      this.executeAction('complete', this);
+    } else {
+      this.sendChunk();
+    }
+  };
+
+  Upload.onChunkFailure = function (req) {
+    if (req !== this.req) return;
+    this.req = null;
+    if (this.attempts++ < this.opts.retries) {
+      var delay = this.opts.retryDelay * Math.pow(2, this.attempts - 1);
+      var next = req.method == 'GET' ? this.resync : this.sendChunk;
+      this.timeout = ecma.dom.setTimeout(next, delay, this);
+      return;
+    }
+    this.fail('Upload failed (' + req.xhr.status + ')');
+  };
+
+  // The stored id is kept, so the upload may be resumed
+  Upload.fail = function (error) {
+    this.isRunning = false;
+    this.executeAction('error', error);
+  };
+
+  Upload.updateStatus = function (rec) {
+    var sz = this.file.size;
+    var percent = sz ? Math.round((rec / sz) * 100) : 100;
+    var msg = percent + '% (' + rec + ' / ' + sz + ')';
+    this.executeAction('status', {
+      'addr': this.target,
+      'size': sz,
+      'transfered': rec,
+      'percent': percent,
+      'display': {
+        'size': sz,
+        'transfered': rec,
+        'message': msg
+      }
+    });
+  };
+
+  function _bodyOf (req) {
+    var result = req.responseJSON;
+    return result && result.body ? result.body : result;
+  }
+
+  function _errorOf (req) {
+    var result = req.responseJSON;
+    var error = result && result.head ? result.head.error : null;
+    return error ? error.message || error.type || 'Error' : null;
+  }
+
+  var DataBridge = ecma.hubb.DataBridge.prototype;
+
+  /**
+   * @function upload
+   * Upload a L<File> into the directory at C<addr>, as C<name>.
+   *
+   *  db.upload(addr, name, file, bReplace, cb);
+   *
+   * Like L<download>, a C<loading> node stands in for the new file, and its
+   * C<status> actions report progress. When the upload ends (or fails, or is
+   * cancelled) the new address is fetched and passed to the callback.
+   * Returns the L<ecma.hubb.Upload>.
+   */
+
+  DataBridge.upload = function (addr, name, file, bReplace, cb) {
+    addr = this.absoluteAddress(addr);
+    this.validateAddress(addr);
+    var addr2 = ecma.data.addr_join(addr, name);
+    this.validateAddress(addr2);
+    if (ecma.data.addr_parent(addr2) != addr) throw new Error('Invalid name');
+    if (this.getNodeByAddress(addr2) && !bReplace) {
+      throw new Error('Node already exists');
+    }
+    var upload = new ecma.hubb.Upload(addr, name, file, {'replace': bReplace});
+    var pnode = this.getNodeByAddress(addr);
+    var stub = this.createStubNode(addr2, 'loading');
+    if (pnode) pnode.replaceValue(name, stub);
+    upload.addActionListener('status', function (action, stats) {
+      var node = stub || this;
+      node.dispatchAction(action, stats);
+    }, this);
+    var onEnd = function (action) {
+      this.fetch(addr2, cb);
+    };
+    upload.addActionListener('complete', onEnd, this);
+    upload.addActionListener('error', onEnd, this);
+    upload.addActionListener('cancel', onEnd, this);
+    upload.start();
+    return upload;
+  };
+
+});
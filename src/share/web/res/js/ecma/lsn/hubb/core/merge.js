@@ -0,0 +1,242 @@
+/** @namespace hubb */
+ECMAScript.Extend('hubb', function (ecma) {
+
+  // Above this many cells the line diff gives up and replaces the whole
+  // (differing) middle section.
+  var _maxCells = 4000000;
+
+  /**
+   * @function diffLines
+   * Line-by-line difference of two strings.
+   *
+   *  var ops = ecma.hubb.diffLines(before, after);
+   *  // [{'op': '=', 'text': '...'}, {'op': '-', ...}, {'op': '+', ...}]
+   *
+   * Where C<=> lines are in both, C<-> lines are only in C<before> and C<+>
+   * lines are only in C<after>.
+   */
+
+  this.diffLines = function (a, b) {
+    return _diff(_lines(a), _lines(b));
+  };
+
+  /**
+   * @function merge3
+   * Three-way merge of an C<origin> value with the C<mine> and C<theirs>
+   * values which were both derived from it.
+   *
+   *  var result = ecma.hubb.merge3(origin, mine, theirs);
+   *  result.value;     // merged value
+   *  result.conflicts; // [{'addr': 'a/b', 'origin': ..., 'mine': ..., 'theirs': ...}]
+   *
+   * Hashes are merged key by key and arrays (of the same length) index by
+   * index. Strings are merged line by line, where each conflicting region
+   * is written out between markers:
+   *
+   *  <<<<<<< mine
+   *  ...
+   *  =======
+   *  ...
+   *  >>>>>>> theirs
+   *
+   * Other conflicting values are left as C<mine>.
+   *
+   * An C<undefined> value is one which does not exist (or was removed).
+   */
+
+  this.merge3 = function (origin, mine, theirs) {
+    var conflicts = [];
+    var value = _merge(origin, mine, theirs, '', conflicts);
+    return {'value': value, 'conflicts': conflicts};
+  };
+
+  function _merge (origin, mine, theirs, addr, conflicts) {
+    if (ecma.util.equals(mine, theirs)) return mine;
+    if (ecma.util.equals(origin, mine)) return theirs;
+    if (ecma.util.equals(origin, theirs)) return mine;
+    var conflict = {
+      'addr': addr,
+      'origin': origin,
+      'mine': mine,
+      'theirs': theirs
+    };
+    if (ecma.util.isAssociative(mine) && ecma.util.isAssociative(theirs)) {
+      var base = ecma.util.isAssociative(origin) ? origin : {};
+      var result = {};
+      var keys = {};
+      for (var key in mine) keys[key] = true;
+      for (var key in theirs) keys[key] = true;
+      for (var key in base) keys[key] = true;
+      for (var key in keys) {
+        var value = _merge(base[key], mine[key], theirs[key],
+          _join(addr, key), conflicts);
+        if (ecma.util.defined(value)) result[key] = value;
+      }
+      return result;
+    }
+    if (ecma.util.isArray(mine) && ecma.util.isArray(theirs)
+        && ecma.util.isArray(origin) && mine.length == theirs.length
+        && mine.length == origin.length) {
+      var result = [];
+      for (var i = 0; i < mine.length; i++) {
+        result.push(_merge(origin[i], mine[i], theirs[i],
+          _join(addr, i), conflicts));
+      }
+      return result;
+    }
+    if (typeof(mine) == 'string' && typeof(theirs) == 'string') {
+      var base = typeof(origin) == 'string' ? origin : '';
+      var merged = _mergeText(base, mine, theirs);
+      if (merged.conflicted) conflicts.push(conflict);
+      return merged.text;
+    }
+    conflicts.push(conflict);
+    return mine;
+  }
+
+  function _join (addr, key) {
+    return addr ? addr + '/' + key : '' + key;
+  }
+
+  function _mergeText (origin, mine, theirs) {
+    var o = _lines(origin);
+    var a = _hunks(o, _lines(mine));
+    var b = _hunks(o, _lines(theirs));
+    var out = [];
+    var conflicted = false;
+    var pos = 0;
+    var i = 0;
+    var j = 0;
+    while (i < a.length || j < b.length) {
+      // Gather the overlapping hunks (from both sides) into one region
+      var start = i < a.length && (j >= b.length || a[i].start <= b[j].start)
+        ? a[i].start : b[j].start;
+      var end = start;
+      var mineHunks = [];
+      var theirHunks = [];
+      var more = true;
+      while (more) {
+        more = false;
+        if (i < a.length && (a[i].start < end || a[i].start == start)) {
+          end = Math.max(end, a[i].end);
+          mineHunks.push(a[i++]);
+          more = true;
+        }
+        if (j < b.length && (b[j].start < end || b[j].start == start)) {
+          end = Math.max(end, b[j].end);
+          theirHunks.push(b[j++]);
+          more = true;
+        }
+      }
+      out = out.concat(o.slice(pos, start));
+      var mineRegion = _apply(o, start, end, mineHunks);
+      var theirRegion = _apply(o, start, end, theirHunks);
+      if (!theirHunks.length || ecma.util.equals(mineRegion, theirRegion)) {
+        out = out.concat(mineRegion);
+      } else if (!mineHunks.length) {
+        out = out.concat(theirRegion);
+      } else {
+        conflicted = true;
+        out.push('<<<<<<< mine');
+        out = out.concat(mineRegion);
+        out.push('=======');
+        out = out.concat(theirRegion);
+        out.push('>>>>>>> theirs');
+      }
+      pos = end;
+    }
+    out = out.concat(o.slice(pos));
+    return {'text': out.join('\n'), 'conflicted': conflicted};
+  }
+
+  // Apply hunks to the origin lines between start and end
+  function _apply (o, start, end, hunks) {
+    var out = [];
+    var pos = start;
+    for (var i = 0, hunk; hunk = hunks[i]; i++) {
+      out = out.concat(o.slice(pos, hunk.start), hunk.lines);
+      pos = hunk.end;
+    }
+    return out.concat(o.slice(pos, end));
+  }
+
+  // Changes from o to x as {start, end, lines} where origin lines
+  // [start, end) are replaced with lines
+  function _hunks (o, x) {
+    var ops = _diff(o, x);
+    var hunks = [];
+    var hunk = null;
+    var pos = 0;
+    for (var i = 0, op; op = ops[i]; i++) {
+      if (op.op == '=') {
+        if (hunk) hunks.push(hunk);
+        hunk = null;
+        pos++;
+        continue;
+      }
+      if (!hunk) hunk = {'start': pos, 'end': pos, 'lines': []};
+      if (op.op == '-') {
+        hunk.end = ++pos;
+      } else {
+        hunk.lines.push(op.text);
+      }
+    }
+    if (hunk) hunks.push(hunk);
+    return hunks;
+  }
+
+  function _lines (text) {
+    if (!ecma.util.defined(text) || text === '') return [];
+    return new String(text).split(/\r?\n/);
+  }
+
+  function _diff (a, b) {
+    var head = [];
+    var tail = [];
+    var ops = [];
+    var n = a.length;
+    var m = b.length;
+    var s = 0;
+    while (s < n && s < m && a[s] === b[s]) {
+      head.push({'op': '=', 'text': a[s++]});
+    }
+    while (n > s && m > s && a[n - 1] === b[m - 1]) {
+      tail.unshift({'op': '=', 'text': a[--n]});
+      m--;
+    }
+    if ((n - s) * (m - s) > _maxCells) {
+      for (var i = s; i < n; i++) ops.push({'op': '-', 'text': a[i]});
+      for (var j = s; j < m; j++) ops.push({'op': '+', 'text': b[j]});
+      return head.concat(ops, tail);
+    }
+    // Longest common subsequence lengths, lcs[i][j] for a[s+i..n), b[s+j..m)
+    var rows = n - s;
+    var cols = m - s;
+    var lcs = [];
+    for (var i = rows; i >= 0; i--) {
+      lcs[i] = [];
+      for (var j = cols; j >= 0; j--) {
+        lcs[i][j] = i == rows || j == cols
+          ? 0
+          : a[s + i] === b[s + j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    var i = 0;
+    var j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && a[s + i] === b[s + j]) {
+        ops.push({'op': '=', 'text': a[s + i]});
+        i++;
+        j++;
+      } else if (i < rows && (j == cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({'op': '-', 'text': a[s + i++]});
+      } else {
+        ops.push({'op': '+', 'text': b[s + j++]});
+      }
+    }
+    return head.concat(ops, tail);
+  }
+
+});
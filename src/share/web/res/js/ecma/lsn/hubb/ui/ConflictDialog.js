@@ -0,0 +1,181 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var _dlgUri = '/res/hub/dlg/conflict.html';
+  var _dialog = null;
+  var proto = {};
+
+  /**
+   * @class ConflictDialog
+   * Ask the user how to resolve a L<ecma.hubb.Conflict>.
+   *
+   * Mine and theirs are shown side by side, differing lines highlighted. The
+   * text area holds the value which will be written and is prefilled with
+   * the merge, where conflicting lines are between markers. The user may
+   * keep mine, keep theirs, or edit the text by hand. Structured values are
+   * edited as JSON.
+   *
+   * Conflicts which arrive while the dialog is showing are queued.
+   */
+
+  this.ConflictDialog = function (dlgUri) {
+    this.ui = {};
+    this.queue = [];
+    this.conflict = null;
+    this.dlg = new ecma.lsn.Dialog(dlgUri || _dlgUri, {
+      refetch: false
+    });
+    this.dlg.addEvent('load', [this.onLoad, this]);
+    this.dlg.addEvent('show', [this.onShow, this]);
+    this.dlg.addEvent('ok', [this.onOk, this]);
+    this.dlg.addEvent('cancel', [this.onCancel, this]);
+  };
+  this.ConflictDialog.prototype = proto;
+
+  proto.show = function (conflict) {
+    if (!conflict) throw new ecma.error.MissingArg('conflict');
+    if (this.conflict) {
+      this.queue.push(conflict);
+      return;
+    }
+    this.conflict = conflict;
+    this.dlg.show();
+  };
+
+  proto.hide = function () {
+    this.dlg.hide();
+  };
+
+  proto.onLoad = function () {
+    this.ui.toaddr = this.dlg.getElementById('toaddr');
+    this.ui.summary = this.dlg.getElementById('summary');
+    this.ui.diff = this.dlg.getElementById('diff');
+    this.ui.merged = this.dlg.getElementById('merged');
+    this.ui.btnOk = this.dlg.getElementById('btn_ok');
+    var choices = {
+      'btn_mine': 'mine',
+      'btn_theirs': 'theirs',
+      'btn_merged': 'merged'
+    };
+    for (var id in choices) {
+      var btn = this.dlg.getElementById(id);
+      ecma.dom.addEventListener(btn, 'click', this.onChoose, this, [choices[id]]);
+    }
+  };
+
+  proto.onShow = function () {
+    var conflict = this.conflict;
+    var count = conflict.conflicts.length;
+    ecma.dom.setValue(this.ui.toaddr, conflict.addr);
+    ecma.dom.setValue(this.ui.summary, count
+      ? count + ' change(s) could not be merged'
+      : 'Your changes were merged with theirs');
+    ecma.dom.replaceChildren(this.ui.diff, [
+      _diffTable(this.format(conflict.mine), this.format(conflict.theirs))
+    ]);
+    this.choose('merged');
+  };
+
+  proto.onChoose = function (event, name) {
+    ecma.dom.stopEvent(event);
+    this.choose(name);
+  };
+
+  proto.choose = function (name) {
+    ecma.dom.setValue(this.ui.merged, this.format(this.conflict[name]));
+    ecma.dom.removeClassName(this.ui.merged, 'invalid');
+  };
+
+  proto.format = function (value) {
+    if (!ecma.util.defined(value)) return '';
+    if (typeof(value) == 'string') return value;
+    return ecma.data.json.format(value, null, 2);
+  };
+
+  proto.parse = function (text) {
+    if (typeof(this.conflict.mine) == 'string') return text;
+    return ecma.data.json.parse(text);
+  };
+
+  proto.onOk = function () {
+    var value;
+    try {
+      value = this.parse(ecma.dom.getValue(this.ui.merged));
+    } catch (ex) {
+      ecma.dom.addClassName(this.ui.merged, 'invalid');
+      this.dlg.stopEvent();
+      return;
+    }
+    var conflict = this.conflict;
+    this.conflict = null;
+    conflict.resolve(value);
+    this.next();
+  };
+
+  proto.onCancel = function () {
+    var conflict = this.conflict;
+    this.conflict = null;
+    conflict.cancel();
+    this.next();
+  };
+
+  proto.next = function () {
+    var conflict = this.queue.shift();
+    if (conflict) ecma.dom.setTimeout(this.show, 0, this, [conflict]);
+  };
+
+  function _diffTable (mine, theirs) {
+    var ops = ecma.hubb.diffLines(theirs, mine);
+    var tbody = ecma.dom.createElement('tbody', [
+      'tr', ['th=Mine', 'th=Theirs']
+    ]);
+    var left = [];
+    var right = [];
+    function flush () {
+      var len = Math.max(left.length, right.length);
+      for (var i = 0; i < len; i++) {
+        tbody.appendChild(_diffRow('changed', left[i], right[i]));
+      }
+      left = [];
+      right = [];
+    }
+    for (var i = 0, op; op = ops[i]; i++) {
+      if (op.op == '=') {
+        flush();
+        tbody.appendChild(_diffRow('same', op.text, op.text));
+      } else if (op.op == '+') {
+        left.push(op.text);
+      } else {
+        right.push(op.text);
+      }
+    }
+    flush();
+    return ecma.dom.createElement('table', [tbody]);
+  }
+
+  function _diffRow (className, mine, theirs) {
+    return ecma.dom.createElement('tr.' + className, [
+      'td.mine', [
+        '#text', {'nodeValue': ecma.util.defined(mine) ? mine : ''}
+      ],
+      'td.theirs', [
+        '#text', {'nodeValue': ecma.util.defined(theirs) ? theirs : ''}
+      ]
+    ]);
+  }
+
+  /**
+   * @function resolveConflict
+   * Replaces L<ecma.hubb.DataBridge.resolveConflict> such that the user
+   * decides, unless the merge is clean and keeps the local edit as it was.
+   */
+
+  ecma.hubb.DataBridge.prototype.resolveConflict = function (conflict) {
+    if (!conflict.hasConflicts() && conflict.isMine()) {
+      return conflict.resolve(conflict.merged);
+    }
+    if (!_dialog) _dialog = new ecma.hubb.ui.ConflictDialog();
+    _dialog.show(conflict);
+  };
+
+});
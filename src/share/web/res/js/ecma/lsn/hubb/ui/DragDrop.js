@@ -0,0 +1,290 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var CAction = ecma.action.ActionDispatcher;
+  var _instance = null;
+  var _css = null;
+  var _classNames = ['drop-into', 'drop-before', 'drop-after', 'drop-invalid'];
+
+  function _initStyles () {
+    if (_css) return;
+    _css = new ecma.dom.StyleSheet();
+    _css.createRule('table.hublist tr.drop-into, div.item.drop-into', {
+      'background-color': '#def'
+    });
+    _css.createRule('div.filelist.drop-into', {
+      'outline': '2px dashed #69c'
+    });
+    _css.createRule('table.hublist tr.drop-invalid, div.item.drop-invalid', {
+      'background-color': '#f4e4e4'
+    });
+    _css.createRule('table.hublist tr.drop-before th, div.item.drop-before', {
+      'border-top': '2px solid #69c'
+    });
+    _css.createRule('table.hublist tr.drop-after th, div.item.drop-after', {
+      'border-bottom': '2px solid #69c'
+    });
+  }
+
+  /**
+   * @function getDragDrop
+   * The L<ecma.hubb.ui.DragDrop> which is shared by the views of this page.
+   */
+
+  this.getDragDrop = function () {
+    return _instance || (_instance = new ecma.hubb.ui.DragDrop());
+  };
+
+  /**
+   * @class DragDrop
+   * Moves, copies and reorders nodes which are dragged and dropped (natively)
+   * between the tree views and file lists of the page.
+   *
+   * Views call L<start> when a node is dragged, and L<over>, L<leave> and
+   * L<drop> as it is dragged over their elements. Where it is dropped
+   * depends on the pointer position within the element:
+   *
+   *  into      Middle of the element, C<move> (or C<copy> when the Ctrl or
+   *            Alt key is held) into a directory or data container
+   *  before    Top of the element, C<reorder> among siblings
+   *  after     Bottom of the element, C<reorder> among siblings
+   *
+   * Drops are refused into the node itself or its descendants, into the
+   * container which holds it already (unless copying), onto an existing name,
+   * into a container of the wrong sort (data into directories and files into
+   * data), where the destination has not been fetched (see
+   * L<ecma.hubb.DataBridge.isContiguous>), and when reordering other than
+   * the children of a data container (a hash or array node). The element
+   * under the pointer is given the class C<drop-into>, C<drop-before>,
+   * C<drop-after> or C<drop-invalid>.
+   *
+   * Files (and folders) dragged from the desktop may be dropped into a
+   * directory, and are queued for upload (see L<ecma.hubb.ui.UploadQueue>).
+   *
+   * Actions:
+   *
+   *  start   (dnode)   A node is being dragged
+   *  drop    (drop)    The command was sent, where drop is:
+   *                      {verb: 'move', target: '/a/b', dest: '/c/b'}
+   *                      {verb: 'reorder', target: '/a', value: ['y', 'x']}
+   *  end     ()        The drag has ended
+   *  upload  (dnode)   Files were dropped into the directory
+   */
+
+  this.DragDrop = function () {
+    CAction.apply(this);
+    this.source = null;
+    this.indicator = null;
+    _initStyles();
+  };
+
+  var proto = this.DragDrop.prototype = ecma.lang.createPrototype(CAction);
+
+  proto.start = function (event, dnode) {
+    this.source = dnode;
+    var dt = event.dataTransfer;
+    if (dt) {
+      dt.effectAllowed = 'copyMove';
+      try {
+        dt.setData('text/plain', dnode.getAddress());
+      } catch (ex) {
+      }
+    }
+    this.dispatchAction('start', dnode);
+  };
+
+  /**
+   * @function over
+   * Show where the node would be dropped and allow the drop when it is valid.
+   * Returns the drop (see L<getDrop>) or null. When files are dragged, see
+   * L<overFiles>.
+   */
+
+  proto.over = function (event, dnode, elem) {
+    if (!this.source) return this.overFiles(event, dnode, elem);
+    var position = this.getPosition(event, dnode, elem);
+    var drop = this.getDrop(dnode, position, _isCopy(event));
+    this.showIndicator(elem, drop ? 'drop-' + position : 'drop-invalid');
+    if (event.dataTransfer) {
+      event.dataTransfer.dropEffect = drop ? drop.verb == 'copy' ? 'copy' : 'move' : 'none';
+    }
+    if (drop) ecma.dom.stopEvent(event);
+    return drop;
+  };
+
+  /**
+   * @function leave
+   * Clear the indicator when the pointer has left the element (and not just
+   * moved onto one of its children). Returns true when it has.
+   */
+
+  proto.leave = function (event, elem) {
+    var related = event.relatedTarget;
+    if (related && elem.contains && elem.contains(related)) return false;
+    if (this.indicator === elem) this.hideIndicator();
+    return true;
+  };
+
+  proto.drop = function (event, dnode, elem) {
+    if (!this.source) return this.dropFiles(event, dnode, elem);
+    ecma.dom.stopEvent(event);
+    var position = this.getPosition(event, dnode, elem);
+    var drop = this.getDrop(dnode, position, _isCopy(event));
+    this.hideIndicator();
+    this.source = null;
+    if (!drop) return;
+    var db = dnode.getDataBridge();
+    switch (drop.verb) {
+      case 'move':
+        db.move(drop.target, drop.dest);
+        break;
+      case 'copy':
+        db.copy(drop.target, drop.dest);
+        break;
+      case 'reorder':
+        db.reorder(drop.target, drop.value);
+        break;
+    }
+    this.dispatchAction('drop', drop);
+  };
+
+  proto.end = function () {
+    this.hideIndicator();
+    if (!this.source) return;
+    this.source = null;
+    this.dispatchAction('end');
+  };
+
+  /**
+   * @function hasFiles
+   * True when files are being dragged (from outside the page).
+   */
+
+  proto.hasFiles = function (event) {
+    var types = event.dataTransfer ? event.dataTransfer.types : null;
+    if (!types) return false;
+    for (var i = 0; i < types.length; i++) {
+      if (types[i] == 'Files') return true;
+    }
+    return false;
+  };
+
+  /**
+   * @function overFiles
+   * Like L<over>, for files, which may only be dropped into a directory.
+   * Returns true when they may be dropped.
+   */
+
+  proto.overFiles = function (event, dnode, elem) {
+    if (!this.hasFiles(event)) return false;
+    var isValid = dnode.isDirectory();
+    this.showIndicator(elem, isValid ? 'drop-into' : 'drop-invalid');
+    event.dataTransfer.dropEffect = isValid ? 'copy' : 'none';
+    if (isValid) ecma.dom.stopEvent(event);
+    return isValid;
+  };
+
+  proto.dropFiles = function (event, dnode, elem) {
+    if (!this.hasFiles(event)) return;
+    ecma.dom.stopEvent(event);
+    this.hideIndicator();
+    if (!dnode.isDirectory()) return;
+    ecma.hubb.ui.getUploadQueue().addDataTransfer(event.dataTransfer,
+      dnode.getAddress());
+    this.dispatchAction('upload', dnode);
+  };
+
+  /**
+   * @function getPosition
+   * Where, relative to the node, the pointer would drop: C<into>, C<before>
+   * or C<after>.
+   */
+
+  proto.getPosition = function (event, dnode, elem) {
+    var y = event.pageY - ecma.dom.getTop(elem);
+    var h = ecma.dom.getHeight(elem);
+    if (_canContain(dnode, this.source)) {
+      return y < h / 4 ? 'before' : y > h * 3 / 4 ? 'after' : 'into';
+    }
+    return y < h / 2 ? 'before' : 'after';
+  };
+
+  /**
+   * @function getDrop
+   * The command for dropping the dragged node at the position relative to
+   * the node, or null when it cannot be dropped there.
+   */
+
+  proto.getDrop = function (dnode, position, isCopy) {
+    var src = this.source;
+    if (!src) return null;
+    var db = dnode.getDataBridge();
+    var srcAddr = src.getAddress();
+    var addr = dnode.getAddress();
+    if (position == 'into') {
+      if (addr == srcAddr || addr.indexOf(srcAddr + '/') == 0) return null;
+      if (!_canContain(dnode, src)) return null;
+      if (!isCopy && ecma.data.addr_parent(srcAddr) == addr) return null;
+      var dest = ecma.data.addr_normalize(addr + '/' + src.getKey());
+      if (db.getNodeByAddress(dest)) return null;
+      if (!db.isContiguous(dest)) return null;
+      return {'verb': isCopy ? 'copy' : 'move', 'target': srcAddr, 'dest': dest};
+    }
+    var pnode = dnode.getParentNode();
+    if (!pnode || pnode !== src.getParentNode()) return null;
+    if (!_canReorder(pnode)) return null;
+    if (!db.isContiguous(srcAddr)) return null;
+    var keys = pnode.keys();
+    var srcKey = src.getKey();
+    var value = [];
+    for (var i = 0; i < keys.length; i++) {
+      if (keys[i] != srcKey) value.push(keys[i]);
+    }
+    for (var i = 0; i < value.length; i++) {
+      if (value[i] != dnode.getKey()) continue;
+      value.splice(position == 'after' ? i + 1 : i, 0, srcKey);
+      break;
+    }
+    if (value.join('/') == keys.join('/')) return null;
+    return {'verb': 'reorder', 'target': pnode.getAddress(), 'value': value};
+  };
+
+  proto.showIndicator = function (elem, className) {
+    if (this.indicator !== elem) this.hideIndicator();
+    for (var i = 0; i < _classNames.length; i++) {
+      if (_classNames[i] == className) {
+        ecma.dom.addClassName(elem, className);
+      } else {
+        ecma.dom.removeClassName(elem, _classNames[i]);
+      }
+    }
+    this.indicator = elem;
+  };
+
+  proto.hideIndicator = function () {
+    if (!this.indicator) return;
+    for (var i = 0; i < _classNames.length; i++) {
+      ecma.dom.removeClassName(this.indicator, _classNames[i]);
+    }
+    this.indicator = null;
+  };
+
+  // Ordered data (directories are not)
+  function _canReorder (dnode) {
+    return (ecma.util.isa(dnode, ecma.hubb.HashNode) ||
+      ecma.util.isa(dnode, ecma.hubb.ArrayNode)) && dnode.isDataContainer();
+  }
+
+  function _isCopy (event) {
+    return event.ctrlKey || event.altKey ? true : false;
+  }
+
+  // Data goes into data hashes and data files, directories and files into
+  // directories
+  function _canContain (dnode, src) {
+    if (!src) return false;
+    if (src.isData()) return dnode.isDataContainer() && !dnode.isDataArray();
+    return dnode.isDirectory();
+  }
+
+});
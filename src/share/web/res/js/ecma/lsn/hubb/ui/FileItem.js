@@ -0,0 +1,98 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var proto = ecma.hubb.ui.FileItem.prototype;
+
+  /**
+   * Displayed files may be dragged onto the nodes of a tree view, and onto
+   * each other (see L<ecma.hubb.ui.DragDrop>).
+   */
+
+  var _createDisplayUI = proto.createDisplayUI;
+
+  proto.createDisplayUI = function () {
+    _createDisplayUI.apply(this, arguments);
+    if (this.ui.dragEvents) return;
+    var root = this.ui.root;
+    ecma.dom.setAttribute(root, 'draggable', 'true');
+    this.ui.dragEvents = [
+      new ecma.dom.EventListener(root, 'dragstart', this.onDragStart, this),
+      new ecma.dom.EventListener(root, 'dragover', this.onDragOver, this),
+      new ecma.dom.EventListener(root, 'dragleave', this.onDragLeave, this),
+      new ecma.dom.EventListener(root, 'drop', this.onDrop, this),
+      new ecma.dom.EventListener(root, 'dragend', this.onDragEnd, this)
+    ];
+  };
+
+  proto.onDragStart = function (event) {
+    if (!this.dnode || this.isUploading() || this.hasCancelled) {
+      return ecma.dom.stopEvent(event);
+    }
+    ecma.hubb.ui.getDragDrop().start(event, this.dnode);
+  };
+
+  // Files dragged from the desktop are left to the list, which uploads them
+  // into its directory
+
+  proto.onDragOver = function (event) {
+    var dd = ecma.hubb.ui.getDragDrop();
+    if (!this.dnode || dd.hasFiles(event)) return;
+    dd.over(event, this.dnode, this.ui.root);
+  };
+
+  proto.onDragLeave = function (event) {
+    ecma.hubb.ui.getDragDrop().leave(event, this.ui.root);
+  };
+
+  proto.onDrop = function (event) {
+    var dd = ecma.hubb.ui.getDragDrop();
+    if (!this.dnode || dd.hasFiles(event)) return;
+    dd.drop(event, this.dnode, this.ui.root);
+  };
+
+  proto.onDragEnd = function (event) {
+    ecma.hubb.ui.getDragDrop().end();
+  };
+
+  /**
+   * Where the browser can post parts of a file, the chosen file is sent in
+   * chunks (see L<ecma.hubb.Upload>), and cancelling stops the upload.
+   */
+
+  var _doUploadFile = proto.doUploadFile;
+  var _doRemoveFile = proto.doRemoveFile;
+
+  proto.doUploadFile = function (event) {
+    var files = this.ui.ctrl.files;
+    if (!files || !files.length || !ecma.hubb.Upload.isSupported()) {
+      return _doUploadFile.apply(this, arguments);
+    }
+    var fileName = this.getFilename();
+    if (!fileName) return;
+    var addr = this.rootAddr + '/' + fileName;
+    if (this.db.getNodeByAddress(addr)) {
+      alert(fileName + ' already exists!');
+      this.ui.form.reset();
+      return;
+    }
+    this.fileAddr = addr;
+    this.fileName = fileName;
+    this.upload = this.db.upload(this.rootAddr, fileName, files[0], false,
+      [this.onUploaded, this]);
+  };
+
+  proto.doRemoveFile = function (event) {
+    if (!this.upload || !this.isUploading()) {
+      return _doRemoveFile.apply(this, arguments);
+    }
+    ecma.dom.stopEvent(event);
+    if (confirm('Really cancel the upload of: ' + this.fileName)) {
+      this.hasCancelled = true;
+      ecma.dom.removeElement(this.ui.iframe);
+      this.ui.iframe = null;
+      ecma.dom.removeElement(this.ui.actions);
+      this.upload.cancel();
+    }
+  };
+
+});
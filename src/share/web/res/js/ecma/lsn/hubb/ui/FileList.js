@@ -0,0 +1,172 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var CFileItem = ecma.hubb.ui.FileItem;
+
+  var proto = ecma.hubb.ui.FileList.prototype;
+
+  /**
+   * A file list with more files than C<virtualThreshold> renders only those
+   * which are in view (see L<ecma.hubb.ui.VirtualRows>). Files which are
+   * created, removed or reordered in the directory are reflected in the list
+   * whether or not they are in view.
+   */
+
+  proto.virtualThreshold = 100;
+
+  var _onFetch = proto.onFetch;
+
+  proto.onFetch = function (dnode) {
+    if (!dnode) return;
+    if (this.vrows) return this.vrows.setItems(this.getFileNodes(dnode));
+    var items = this.getFileNodes(dnode);
+    if (items.length <= this.virtualThreshold) {
+      return _onFetch.apply(this, arguments);
+    }
+    if (!this.ui.root) this.createUI();
+    this.files = {};
+    this.uploads = [];
+    this.vrows = new ecma.hubb.ui.VirtualRows({
+      'spacer': function () {
+        return ecma.dom.createElement('div.spacer');
+      },
+      'show': [this.showFile, this],
+      'hide': [this.hideFile, this],
+      'last': [this.getFileElement, this],
+      'scrollable': [this.getScrollableParent, this]
+    });
+    this.vrows.setItems(items);
+    this.vrows.appendTo(this.ui.items);
+    this.db.addActionListener('create', this.onListChange, this);
+    this.db.addActionListener('remove', this.onListChange, this);
+    this.db.addActionListener('update', this.onListChange, this);
+    this.updateUI();
+  };
+
+  /**
+   * @function getFileNodes
+   * The data nodes of the directory which pass the filters, less those which
+   * are being uploaded (and so displayed apart).
+   */
+
+  proto.getFileNodes = function (dnode) {
+    var result = [];
+    var uploads = {};
+    if (this.uploads) {
+      for (var i = 0, file; file = this.uploads[i]; i++) {
+        if (file.fileAddr) uploads[file.fileAddr] = true;
+      }
+    }
+    var values = dnode.values();
+    for (var i = 0, value; value = values[i]; i++) {
+      if (uploads[value.getAddress()]) continue;
+      if (!this.applyFilters(value.getKey())) continue;
+      result.push(value);
+    }
+    return result;
+  };
+
+  var _createFile = proto.createFile;
+
+  proto.createFile = function (dnode) {
+    if (!this.vrows || dnode) return _createFile.apply(this, arguments);
+    var file = this.createFileItem(dnode);
+    this.uploads.push(file);
+    this.ui.items.appendChild(file.getRootElement());
+  };
+
+  proto.createFileItem = function (dnode) {
+    var file = new CFileItem(this.rootAddr, dnode, this.canvasURL);
+    file.addActionListener('updateUI', this.updateUI, this);
+    file.addActionListener('click', this.doClick, this);
+    return file;
+  };
+
+  proto.showFile = function (dnode, precedingElement) {
+    var id = dnode.getInstanceId();
+    var file = this.files[id];
+    if (!file) {
+      file = this.files[id] = this.createFileItem(dnode);
+      file.getRootElement();
+    }
+    ecma.dom.insertAfter(file.ui.root, precedingElement);
+    return file.ui.root;
+  };
+
+  proto.getFileElement = function (dnode) {
+    var file = this.files[dnode.getInstanceId()];
+    return file ? file.ui.root : null;
+  };
+
+  proto.hideFile = function (dnode) {
+    var file = this.files[dnode.getInstanceId()];
+    if (file) ecma.dom.removeElement(file.ui.root);
+  };
+
+  /**
+   * Files and folders dragged from the desktop may be dropped onto the list,
+   * and are uploaded into its directory (see L<ecma.hubb.ui.UploadQueue>).
+   * Files which the queue has uploaded are added to the list.
+   */
+
+  var _createUI = proto.createUI;
+
+  proto.createUI = function () {
+    _createUI.apply(this, arguments);
+    var root = this.ui.root;
+    ecma.dom.addClassName(root, 'filelist');
+    this.ui.dropEvents = [
+      new ecma.dom.EventListener(root, 'dragover', this.onDragOver, this),
+      new ecma.dom.EventListener(root, 'dragleave', this.onDragLeave, this),
+      new ecma.dom.EventListener(root, 'drop', this.onDrop, this)
+    ];
+    ecma.hubb.ui.getUploadQueue().addActionListener('status',
+      this.onQueueStatus, this);
+  };
+
+  proto.onDragOver = function (event) {
+    var dnode = this.db.getNodeByAddress(this.rootAddr);
+    if (dnode) ecma.hubb.ui.getDragDrop().overFiles(event, dnode, this.ui.root);
+  };
+
+  proto.onDragLeave = function (event) {
+    ecma.hubb.ui.getDragDrop().leave(event, this.ui.root);
+  };
+
+  proto.onDrop = function (event) {
+    var dnode = this.db.getNodeByAddress(this.rootAddr);
+    if (dnode) ecma.hubb.ui.getDragDrop().dropFiles(event, dnode, this.ui.root);
+  };
+
+  proto.onQueueStatus = function (action, entry) {
+    if (entry.state != 'done' || !entry.file || entry.replaced) return;
+    if (entry.dir != this.rootAddr || !this.applyFilters(entry.name)) return;
+    var dnode = this.db.getNodeByAddress(ecma.data.addr_join(entry.dir, entry.name));
+    if (!dnode) return;
+    if (this.vrows) {
+      var pnode = this.db.getNodeByAddress(this.rootAddr);
+      if (pnode) this.vrows.setItems(this.getFileNodes(pnode));
+    } else {
+      _createFile.call(this, dnode);
+    }
+  };
+
+  proto.getScrollableParent = function () {
+    return ecma.dom.getScrollableParent(this.ui.root);
+  };
+
+  proto.onListChange = function (action, dnode) {
+    var addr = dnode.getAddress();
+    if (addr == this.rootAddr) {
+      if (action.name != 'update' || !action.updated || !action.updated.order) return;
+    } else if (ecma.data.addr_parent(addr) != this.rootAddr) {
+      return;
+    } else if (action.name == 'update') {
+      return;
+    }
+    if (action.name == 'remove') delete this.files[dnode.getInstanceId()];
+    var pnode = this.db.getNodeByAddress(this.rootAddr);
+    if (pnode) this.vrows.setItems(this.getFileNodes(pnode));
+  };
+
+});
@@ -0,0 +1,414 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var CAction = ecma.action.ActionDispatcher;
+
+  // Toolbar commands. Those which exec are passed to the content controller,
+  // the others are methods. Only source and save are available while the
+  // source is shown.
+  var _commands = {
+    'bold':   {'label': 'B', 'title': 'Bold', 'exec': 'bold'},
+    'italic': {'label': 'I', 'title': 'Italic', 'exec': 'italic'},
+    'ul':     {'label': '•', 'title': 'Bulleted list', 'exec': 'insertUnorderedList'},
+    'ol':     {'label': '1.', 'title': 'Numbered list', 'exec': 'insertOrderedList'},
+    'link':   {'label': 'Link', 'title': 'Link', 'method': 'createLink'},
+    'image':  {'label': 'Image', 'title': 'Insert image', 'method': 'browseImage'},
+    'source': {'label': 'HTML', 'title': 'Edit source', 'method': 'toggleSource', 'source': true},
+    'save':   {'label': 'Save', 'title': 'Save', 'method': 'save', 'source': true}
+  };
+
+  var _imageTypes = /^file-(png|gif|jpe?g|bmp)/;
+
+  /**
+   * @class HTMLEditor
+   * Edits the markup of an html node (C<data-scalar-html> or C<file-html>)
+   * in place, with a toolbar of commands which are carried out by a
+   * L<ecma.lsn.ContentController>.
+   *
+   *  var editor = new ecma.hubb.ui.HTMLEditor('/web/index.html');
+   *  elem.appendChild(editor.getRootElement());
+   *
+   * Options:
+   *
+   *  toolbar       Names of the commands (default all, in the order below)
+   *  browseRoot    Root address of the image browser (default C</>)
+   *  browseUri     Dialog of the image browser (see L<BrowseDialog>)
+   *  profile       Profile with which pasted markup is cleaned (default
+   *                C<page>, see L<ecma.dom.Scrubber>)
+   *
+   * Commands:
+   *
+   *  bold          Bold
+   *  italic        Italic
+   *  ul            Bulleted list
+   *  ol            Numbered list
+   *  link          Link the selection to a URL (no URL removes the link)
+   *  image         Insert an image which is picked from the hub
+   *  source        Toggle between the content and its source
+   *  save          Save the markup (see L<save>)
+   *
+   * Markup is cleaned by L<ecma.dom.Scrubber> before it is placed in the
+   * content, whether it is loaded, pasted or comes back from the source view,
+   * and the user is warned of what was removed.
+   *
+   * Actions:
+   *
+   *  load    (dnode)   The node has been fetched and its markup displayed
+   *  save    (value)   The markup has been written
+   *  scrub   (report)  Markup has been cleaned of something (see
+   *                    L<ecma.dom.Scrubber.getReport>)
+   */
+
+  this.HTMLEditor = function (addr, opts) {
+    CAction.apply(this);
+    this.opts = ecma.util.overlay({
+      'toolbar': ['bold', 'italic', 'ul', 'ol', 'link', 'image', 'source', 'save'],
+      'browseRoot': '/',
+      'profile': 'page'
+    }, opts);
+    this.db = ecma.hubb.getInstance();
+    this.addr = addr;
+    this.dnode = null;
+    this.original = undefined;
+    this.isSource = false;
+    this.cc = new ecma.lsn.ContentController();
+    this.browser = null;
+    this.range = null;
+    this.buttons = {};
+    this.evtPaste = null;
+    this.ui = {};
+    this.createUI();
+    this.db.fetch(this.addr, [this.onLoad, this]);
+  };
+
+  var proto = this.HTMLEditor.prototype = ecma.lang.createPrototype(CAction);
+
+  proto.getRootElement = function () {
+    return this.ui.root;
+  };
+
+  proto.createUI = function () {
+    var toolbar = ecma.dom.createElement('div.toolbar');
+    for (var i = 0, name; name = this.opts.toolbar[i]; i++) {
+      var cmd = _commands[name];
+      if (!cmd) throw new Error('Unknown command: ' + name);
+      toolbar.appendChild(this.buttons[name] = ecma.dom.createElement('button', {
+        'type': 'button',
+        'title': cmd.title,
+        'onMouseDown': [this.onButtonMouseDown, this],
+        'onClick': [this.onCommandClick, this, [name]]
+      }, ['#text', {'nodeValue': cmd.label}]));
+    }
+    this.ui.status = new ecma.hubb.ui.input.StatusIcon();
+    ecma.dom.appendChildren(toolbar, this.ui.status.getElements());
+    this.ui.content = ecma.dom.createElement('div.content');
+    this.ui.source = ecma.dom.createElement('textarea.source', {
+      'rows': 12,
+      'style': {'display': 'none'}
+    });
+    this.ui.root = ecma.dom.createElement('div.htmleditor', [
+      toolbar, this.ui.content, this.ui.source
+    ]);
+    this.evtPaste = new ecma.dom.EventListener(this.ui.content, 'paste',
+      this.onPaste, this);
+    this.disable();
+  };
+
+  proto.onLoad = function (dnode) {
+    if (!dnode) return;
+    if (!ecma.hubb.ui.isHTMLNode(dnode)) {
+      throw new Error('Not an html node: ' + this.addr);
+    }
+    this.dnode = dnode;
+    this.setValue(dnode.getValue());
+    this.original = this.getValue();
+    this.enable();
+    this.dispatchAction('load', dnode);
+  };
+
+  /**
+   * @function getValue
+   * The markup of the content (or the source, while it is shown).
+   */
+
+  proto.getValue = function () {
+    return this.isSource
+      ? ecma.dom.getValue(this.ui.source)
+      : this.ui.content.innerHTML;
+  };
+
+  /**
+   * @function setValue
+   * Set the markup of the content (or the source, while it is shown). The
+   * content is given the markup only once it is scrubbed (see L<scrub>).
+   */
+
+  proto.setValue = function (html) {
+    html = ecma.util.defined(html) && html !== null ? String(html) : '';
+    if (this.isSource) {
+      ecma.dom.setValue(this.ui.source, html);
+    } else {
+      this.ui.content.innerHTML = this.scrub(html);
+    }
+  };
+
+  proto.hasChanged = function () {
+    return this.dnode ? this.getValue() !== this.original : false;
+  };
+
+  /**
+   * @function save
+   * Write the markup with L<ecma.hubb.DataBridge.store>. Returns false when
+   * it has not changed.
+   */
+
+  proto.save = function (cb) {
+    if (!this.hasChanged()) return false;
+    var value = this.getValue();
+    this.disable();
+    this.ui.status.showActive();
+    this.db.store(this.addr, value, [this.onSaveComplete, this, [value, cb]]);
+    return true;
+  };
+
+  proto.onSaveComplete = function (result, value, cb) {
+    this.enable();
+    if (result) {
+      this.original = value;
+      this.ui.status.showComplete();
+      this.dispatchAction('save', value);
+    } else {
+      this.ui.status.showError();
+    }
+    if (cb) ecma.lang.callback(cb, null, [result]);
+  };
+
+  proto.enable = function () {
+    ecma.dom.setAttribute(this.ui.content, 'contentEditable', 'true');
+    ecma.dom.removeAttribute(this.ui.source, 'disabled');
+    this.updateUI();
+  };
+
+  proto.disable = function () {
+    ecma.dom.setAttribute(this.ui.content, 'contentEditable', 'false');
+    ecma.dom.setAttribute(this.ui.source, 'disabled', 'disabled');
+    for (var name in this.buttons) {
+      ecma.dom.setAttribute(this.buttons[name], 'disabled', 'disabled');
+    }
+  };
+
+  /**
+   * @function updateUI
+   * Show the content or the source, and enable the commands which apply.
+   */
+
+  proto.updateUI = function () {
+    ecma.dom.setStyle(this.ui.content, 'display', this.isSource ? 'none' : '');
+    ecma.dom.setStyle(this.ui.source, 'display', this.isSource ? '' : 'none');
+    for (var name in this.buttons) {
+      var button = this.buttons[name];
+      if (this.isSource && !_commands[name].source) {
+        ecma.dom.setAttribute(button, 'disabled', 'disabled');
+      } else {
+        ecma.dom.removeAttribute(button, 'disabled');
+      }
+    }
+    if (this.buttons.source) {
+      if (this.isSource) {
+        ecma.dom.addClassName(this.buttons.source, 'active');
+      } else {
+        ecma.dom.removeClassName(this.buttons.source, 'active');
+      }
+    }
+  };
+
+  /**
+   * @function exec
+   * Carry out the command (see above) as though its button were clicked.
+   */
+
+  proto.exec = function (name) {
+    var cmd = _commands[name];
+    if (!cmd) throw new Error('Unknown command: ' + name);
+    if (this.isSource && !cmd.source) return;
+    if (cmd.exec) {
+      this.cc.attach(this.ui.content);
+      this.cc.exec(cmd.exec);
+      this.cc.detach();
+    } else {
+      this[cmd.method]();
+    }
+  };
+
+  // Keep the selection within the content
+  proto.onButtonMouseDown = function (event) {
+    ecma.dom.stopEvent(event);
+  };
+
+  proto.onCommandClick = function (event, name) {
+    ecma.dom.stopEvent(event);
+    this.exec(name);
+  };
+
+  proto.toggleSource = function () {
+    var html = this.getValue();
+    this.isSource = !this.isSource;
+    this.setValue(html);
+    this.updateUI();
+    (this.isSource ? this.ui.source : this.ui.content).focus();
+  };
+
+  proto.createLink = function () {
+    var a = _getAncestor(this.getFocusElement(), 'A', this.ui.content);
+    var href = ecma.window.prompt('Link to (leave empty to remove the link):',
+      a ? ecma.dom.getAttribute(a, 'href') : 'http://');
+    if (href === null) return;
+    this.cc.attach(this.ui.content);
+    if (href.match(/\S/) && !href.match(/^\s*javascript:/i)) {
+      this.cc.exec('createLink', href.replace(/^\s+|\s+$/g, ''));
+    } else {
+      this.cc.exec('unlink');
+    }
+    this.cc.detach();
+  };
+
+  /**
+   * @function browseImage
+   * Pick an image from the hub with a L<BrowseDialog>, which is inserted
+   * where the cursor was.
+   */
+
+  proto.browseImage = function () {
+    this.range = _getRange(this.ui.content);
+    if (!this.browser) {
+      this.browser = new ecma.hubb.ui.BrowseDialog(this.opts.browseRoot,
+        this.opts.browseUri);
+      this.browser.dlg.addEvent('ok', [this.onBrowseOk, this]);
+    }
+    this.browser.show();
+  };
+
+  proto.onBrowseOk = function () {
+    var target = this.browser.getTarget();
+    if (!target || !target.getType().match(_imageTypes)) return;
+    this.insertElement(ecma.dom.createElement('img', {
+      'src': target.getAddress(),
+      'alt': ecma.data.addr_name(target.getAddress())
+    }));
+  };
+
+  /**
+   * @function insertElement
+   * Insert the element at the cursor, or at the end of the content when it
+   * does not have the focus.
+   */
+
+  proto.insertElement = function (elem) {
+    this.ui.content.focus();
+    if (_setRange(this.range)) {
+      this.cc.attach(this.ui.content);
+      try {
+        this.cc.insertElement(elem);
+      } catch (ex) {
+        this.ui.content.appendChild(elem);
+      }
+      this.cc.detach();
+    } else {
+      this.ui.content.appendChild(elem);
+    }
+    this.range = null;
+  };
+
+  proto.getFocusElement = function () {
+    try {
+      this.cc.attach(this.ui.content);
+      return this.cc.getFocusElement();
+    } catch (ex) {
+      return null;
+    } finally {
+      this.cc.detach();
+    }
+  };
+
+  /**
+   * @function scrub
+   * Clean markup with L<ecma.dom.Scrubber>. It is parsed within a document
+   * of its own so that its scripts and images are not loaded. When anything
+   * is removed the C<scrub> action is dispatched with the report.
+   */
+
+  proto.scrub = function (html) {
+    var impl = ecma.document.implementation;
+    var doc = impl && impl.createHTMLDocument
+      ? impl.createHTMLDocument('')
+      : ecma.document;
+    var div = doc.createElement('div');
+    div.innerHTML = html;
+    var scrubber = new ecma.dom.Scrubber(ecma, this.opts.profile);
+    scrubber.scrub(div);
+    var report = scrubber.getReport();
+    if (report.count) this.dispatchAction('scrub', report);
+    return div.innerHTML;
+  };
+
+  // Pasted markup is inserted in place of the native paste. Browsers which
+  // do not give it (IE) paste as they would, after which the content is
+  // scrubbed as a whole.
+  proto.onPaste = function (event) {
+    var data = event.clipboardData;
+    var html = data && data.getData ? data.getData('text/html') : '';
+    if (html) {
+      ecma.dom.stopEvent(event);
+      this.cc.attach(this.ui.content);
+      this.cc.insertHTML(this.scrub(html));
+      this.cc.detach();
+    } else if (!data) {
+      ecma.dom.setTimeout(function () {
+        this.ui.content.innerHTML = this.scrub(this.ui.content.innerHTML);
+      }, 0, this);
+    }
+  };
+
+  proto.destroy = function () {
+    this.evtPaste.remove();
+    if (this.browser) this.browser.hide();
+    ecma.dom.removeElement(this.ui.root);
+  };
+
+  /**
+   * @function isHTMLNode
+   * True when the node holds markup which the L<HTMLEditor> edits.
+   */
+
+  this.isHTMLNode = function (dnode) {
+    return dnode.getType().match(/^(data-scalar-html|file-(text-)?html)/)
+      ? true : false;
+  };
+
+  function _getAncestor (elem, tagName, root) {
+    for (var node = elem; node && node !== root; node = node.parentNode) {
+      if (node.tagName == tagName) return node;
+    }
+    return null;
+  }
+
+  // The selected range, when it is within the element
+  function _getRange (elem) {
+    var sel = ecma.window.getSelection ? ecma.window.getSelection() : null;
+    if (!sel || !sel.rangeCount) return null;
+    var range = sel.getRangeAt(0);
+    var node = range.commonAncestorContainer;
+    return node === elem || (elem.contains && elem.contains(node))
+      ? range.cloneRange()
+      : null;
+  }
+
+  function _setRange (range) {
+    if (!range) return false;
+    var sel = ecma.window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    return true;
+  }
+
+});
@@ -0,0 +1,61 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  /**
+   * @class MarkdownPreview
+   * A pane which displays the Markdown of a textarea as HTML (see
+   * L<ecma.data.markdown.toHTML>), updated as it is edited.
+   *
+   *  var preview = new ecma.hubb.ui.MarkdownPreview(textarea);
+   *  ecma.dom.insertAfter(preview.getElement(), textarea);
+   */
+
+  this.MarkdownPreview = function (textarea, delay) {
+    this.textarea = ecma.dom.getElement(textarea);
+    this.delay = ecma.util.defined(delay) ? delay : 250;
+    this.timeout = null;
+    this.elem = ecma.dom.createElement('div.markdown-preview');
+    this.events = [
+      new ecma.dom.EventListener(this.textarea, 'keyup', this.onEdit, this),
+      new ecma.dom.EventListener(this.textarea, 'change', this.update, this)
+    ];
+    this.update();
+  };
+
+  var _proto = this.MarkdownPreview.prototype = ecma.lang.createPrototype();
+
+  _proto.getElement = function () {
+    return this.elem;
+  };
+
+  _proto.getElements = function () {
+    return [this.elem];
+  };
+
+  _proto.onEdit = function (event) {
+    if (this.timeout) ecma.dom.clearTimeout(this.timeout);
+    this.timeout = ecma.dom.setTimeout(this.update, this.delay, this);
+  };
+
+  /**
+   * @function update
+   * Display the current value of the textarea.
+   */
+
+  _proto.update = function () {
+    if (this.timeout) ecma.dom.clearTimeout(this.timeout);
+    this.timeout = null;
+    this.elem.innerHTML =
+      ecma.data.markdown.toHTML(ecma.dom.getValue(this.textarea));
+  };
+
+  _proto.destroy = function () {
+    if (this.timeout) ecma.dom.clearTimeout(this.timeout);
+    for (var i = 0, evt; evt = this.events[i]; i++) {
+      evt.remove();
+    }
+    this.events = [];
+    ecma.dom.removeElement(this.elem);
+  };
+
+});
@@ -0,0 +1,338 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var CAction = ecma.action.ActionDispatcher;
+
+  /**
+   * @class PropertyEditor
+   * Edits a data hash, or each item of a data array, with typed inputs as
+   * described by a field schema (such as C</res/schemas/webio.input.hf>).
+   *
+   *  var pe = new ecma.hubb.ui.PropertyEditor('/desktop/ext/mainmenu/menu.hf',
+   *    '/res/schemas/desktop.ext.mainmenu.hf');
+   *  elem.appendChild(pe.getRootElement());
+   *
+   * The schema is given by its address or as its (fetched) node:
+   *
+   *  fields        Field definitions (below)
+   *  name_field    The field whose value heads each item of an array
+   *  root_subkey   Key (beneath the address) of the node which is edited
+   *
+   * Each field definition has:
+   *
+   *  name          Key of the value within the hash (or item)
+   *  label         Text of the label
+   *  type          C<text> (default), C<textarea>, C<html>, C<markdown>,
+   *                C<select>, C<boolean>, C<integer>, C<number> or C<hidden>
+   *  options       For C<select>, the options or the address which holds
+   *                them (see L<ecma.lsn.forms.loadOptions>)
+   *  digits        For C<number>, decimal places (default 2)
+   *  spec          A nested schema, for a value which is itself a hash
+   *
+   * Fields without a type are edited according to the type of the value,
+   * as by L<ecma.hubb.ui.createInput>. Hidden fields are neither displayed
+   * nor saved.
+   *
+   * Changed values are written as one L<ecma.hubb.DataBridge.update> of the
+   * hash (for an array, the hash which holds it), keyed by their addresses
+   * relative to it (such as C<modules/0/title>).
+   *
+   * Actions:
+   *
+   *  load    (dnode)   The node has been fetched and its fields displayed
+   *  save    (values)  The changed values have been written
+   */
+
+  this.PropertyEditor = function (addr, schema) {
+    CAction.apply(this);
+    this.db = ecma.hubb.getInstance();
+    this.addr = addr;
+    this.schema = null;
+    this.dnode = null;
+    this.fields = [];
+    this.ui = {};
+    if (typeof(schema) == 'string') {
+      this.db.fetch(schema, [this.onLoadSchema, this]);
+    } else {
+      this.onLoadSchema(schema);
+    }
+  };
+
+  var proto = this.PropertyEditor.prototype = ecma.lang.createPrototype(CAction);
+
+  proto.getRootElement = function () {
+    if (!this.ui.root) this.ui.root = ecma.dom.createElement('div.properties');
+    return this.ui.root;
+  };
+
+  proto.onLoadSchema = function (snode) {
+    if (!snode) return;
+    this.schema = snode.toObject();
+    this.db.fetch(this.addr, [this.onLoad, this]);
+  };
+
+  proto.onLoad = function (dnode) {
+    if (!dnode) return;
+    var subkey = this.schema.root_subkey;
+    var node = subkey ? dnode.get(subkey) : dnode;
+    if (!node || !node.isDataContainer()) {
+      throw new Error('Not a data hash or array: ' +
+        ecma.data.addr_join(this.addr, subkey || ''));
+    }
+    this.dnode = node;
+    this.createUI();
+    this.dispatchAction('load', node);
+  };
+
+  /**
+   * @function getTarget
+   * The node which is updated: the edited hash, or the nearest hash which
+   * holds the edited array.
+   */
+
+  proto.getTarget = function () {
+    var node = this.dnode;
+    while (node.isDataArray() && node.getParentNode()) {
+      node = node.getParentNode();
+    }
+    return node;
+  };
+
+  proto.createUI = function () {
+    var root = this.getRootElement();
+    var tbody = ecma.dom.createElement('tbody');
+    var prefix = '';
+    var target = this.getTarget();
+    for (var node = this.dnode; node !== target; node = node.getParentNode()) {
+      prefix = node.getKey() + '/' + prefix;
+    }
+    this.fields = [];
+    if (this.dnode.isDataArray()) {
+      var items = this.dnode.values();
+      for (var i = 0; i < items.length; i++) {
+        _appendHeading(tbody, this.getItemName(items[i], i), 'h4');
+        this.appendFields(tbody, this.schema, items[i], prefix + i + '/');
+      }
+    } else {
+      this.appendFields(tbody, this.schema, this.dnode, prefix);
+    }
+    this.ui.status = new ecma.hubb.ui.input.StatusIcon();
+    this.ui.btnSave = ecma.dom.createElement('input', {
+      'type': 'submit',
+      'value': 'Save'
+    });
+    this.ui.form = ecma.dom.createElement('form', {
+      'method': 'POST',
+      'autocomplete': 'off',
+      'onSubmit': [this.onFormSubmitEvent, this]
+    }, [
+      'table', [tbody],
+      'div.buttons', [this.ui.btnSave].concat(this.ui.status.getElements())
+    ]);
+    ecma.dom.removeChildren(root);
+    root.appendChild(this.ui.form);
+  };
+
+  /**
+   * @function getItemName
+   * The heading of an item of the edited array, which is the value of its
+   * C<name_field> (or its position).
+   */
+
+  proto.getItemName = function (item, index) {
+    var name = this.schema.name_field
+      ? item.getString(this.schema.name_field)
+      : undefined;
+    return name || ('#' + (index + 1));
+  };
+
+  /**
+   * @function appendFields
+   * Append a row for each field of the schema, whose values are those of the
+   * node. The prefix is the address of the node relative to the target.
+   */
+
+  proto.appendFields = function (tbody, schema, dnode, prefix) {
+    var defs = schema.fields || [];
+    for (var i = 0, def; def = defs[i]; i++) {
+      if (def.type == 'hidden') continue;
+      var vnode = dnode ? dnode.get(def.name) : undefined;
+      var label = def.label || def.name;
+      if (def.spec) {
+        _appendHeading(tbody, label, 'h5');
+        this.appendFields(tbody, def.spec, vnode, prefix + def.name + '/');
+        continue;
+      }
+      var field = this.createField(prefix + def.name, def, vnode);
+      this.fields.push(field);
+      var elems = [field.input.elem];
+      if (field.preview) elems = elems.concat(field.preview.getElements());
+      tbody.appendChild(ecma.dom.createElement('tr', [
+        'th', ['label', {'for': field.id}, ['#text', {'nodeValue': label}]],
+        'td', elems
+      ]));
+    }
+  };
+
+  /**
+   * @function createField
+   * Create the input for the value at the (relative) address.
+   */
+
+  proto.createField = function (name, def, vnode) {
+    var forms = ecma.lsn.forms;
+    var type = def.type || _typeOf(vnode);
+    var id = ecma.util.randomId('prop_');
+    var value = vnode instanceof ecma.hubb.ScalarNode ? vnode.getValue() : '';
+    var input;
+    if (type.match(/^html/)) type = 'textarea';
+    switch (type) {
+      case 'textarea':
+      case 'markdown':
+        input = new forms.InputTextarea(ecma.dom.createElement('textarea', {
+          'id': id,
+          'rows': 4
+        }));
+        break;
+      case 'select':
+        input = new forms.InputSelect(ecma.dom.createElement('select', {
+          'id': id
+        }));
+        break;
+      case 'boolean':
+        input = new forms.InputBoolean(ecma.dom.createElement('select', {
+          'id': id
+        }, [
+          'option', {'value': 0, 'innerHTML': 'False'},
+          'option', {'value': 1, 'innerHTML': 'True'}
+        ]));
+        break;
+      case 'integer':
+        input = new forms.InputInteger(_createText(id, 10));
+        break;
+      case 'number':
+        var digits = ecma.util.defined(def.digits) ? ecma.util.asInt(def.digits) : 2;
+        input = new forms.InputDecimal(_createText(id, 10), digits);
+        break;
+      default:
+        input = new forms.InputText(_createText(id));
+    }
+    var field = {
+      'id': id,
+      'name': name,
+      'type': type,
+      'input': input,
+      'original': undefined
+    };
+    _setValue(field, value);
+    if (type == 'markdown') {
+      field.preview = new ecma.hubb.ui.MarkdownPreview(input.elem);
+    }
+    if (type == 'select') {
+      forms.loadOptions(def.options, [input.setOptions, input]);
+    }
+    return field;
+  };
+
+  proto.onFormSubmitEvent = function (event) {
+    ecma.dom.stopEvent(event);
+    this.save();
+  };
+
+  /**
+   * @function getChangedValues
+   * The values which differ from those loaded (or last saved), keyed by
+   * their addresses relative to the target, or null when none have changed.
+   */
+
+  proto.getChangedValues = function () {
+    var values = null;
+    for (var i = 0, field; field = this.fields[i]; i++) {
+      var value = _getValue(field);
+      if (value === field.original) continue;
+      if (!values) values = {};
+      values[field.name] = value;
+    }
+    return values;
+  };
+
+  proto.hasChanged = function () {
+    return this.getChangedValues() ? true : false;
+  };
+
+  /**
+   * @function save
+   * Write the changed values. Returns false when there are none.
+   */
+
+  proto.save = function (cb) {
+    var values = this.getChangedValues();
+    if (!values) return false;
+    this.disable();
+    this.ui.status.showActive();
+    this.db.update(this.getTarget().getAddress(), values,
+      [this.onSaveComplete, this, [values, cb]]);
+    return true;
+  };
+
+  proto.onSaveComplete = function (result, values, cb) {
+    this.enable();
+    if (result) {
+      for (var i = 0, field; field = this.fields[i]; i++) {
+        if (field.name in values) field.original = values[field.name];
+      }
+      this.ui.status.showComplete();
+      this.dispatchAction('save', values);
+    } else {
+      this.ui.status.showError();
+    }
+    if (cb) ecma.lang.callback(cb, null, [result]);
+  };
+
+  proto.disable = function () {
+    for (var i = 0, field; field = this.fields[i]; i++) {
+      ecma.dom.setAttribute(field.input.elem, 'disabled', 'disabled');
+    }
+    ecma.dom.setAttribute(this.ui.btnSave, 'disabled', 'disabled');
+  };
+
+  proto.enable = function () {
+    for (var i = 0, field; field = this.fields[i]; i++) {
+      ecma.dom.removeAttribute(field.input.elem, 'disabled');
+    }
+    ecma.dom.removeAttribute(this.ui.btnSave, 'disabled');
+  };
+
+  // The original value is as the input serializes it, so that a value which
+  // the input normalizes (such as 1 to 1.00) is not taken as a change
+  function _setValue (field, value) {
+    field.input.deserialize(value);
+    field.original = _getValue(field);
+  }
+
+  function _getValue (field) {
+    var value = field.input.serialize();
+    return ecma.util.defined(value) ? String(value) : '';
+  }
+
+  function _typeOf (vnode) {
+    var type = vnode ? vnode.getType() : '';
+    return type == 'data-scalar-bool' ? 'boolean'
+      : type == 'data-scalar-txt' ? 'textarea'
+      : type == 'data-scalar-md' ? 'markdown'
+      : 'text';
+  }
+
+  function _createText (id, size) {
+    var attrs = {'id': id, 'type': 'text'};
+    if (size) attrs.size = size;
+    return ecma.dom.createElement('input', attrs);
+  }
+
+  function _appendHeading (tbody, text, tag) {
+    tbody.appendChild(ecma.dom.createElement('tr', [
+      'th', {'colspan': 2}, [tag, ['#text', {'nodeValue': text}]]
+    ]));
+  }
+
+});
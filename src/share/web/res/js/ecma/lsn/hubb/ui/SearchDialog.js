@@ -0,0 +1,210 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var CBrowseDialog = ecma.hubb.ui.BrowseDialog;
+  var _dlgUri = '/res/hub/dlg/search.html';
+
+  /**
+   * @class SearchDialog
+   * Browse dialog which finds nodes by name, and optionally by content.
+   *
+   *  var dlg = new ecma.hubb.ui.SearchDialog('/web');
+   *  dlg.onOk = function () {
+   *    var dnode = dlg.getTarget();
+   *  };
+   *  dlg.show();
+   *
+   * Names are matched as the user types, among the nodes which have been
+   * fetched. When I<Contents> is checked the server also searches the
+   * content of text files (see L<ecma.hubb.DataBridge.search>). Choosing a
+   * result reveals and selects it in the tree view.
+   */
+
+  this.SearchDialog = function (rootAddr, dlgUri) {
+    CBrowseDialog.apply(this, [rootAddr, dlgUri || _dlgUri]);
+    this.limit = 100;
+    this.minContentLength = 3;
+    this.results = [];
+    this.rows = [];
+    this.text = '';
+    this.contentTimeout = null;
+  };
+
+  var proto = this.SearchDialog.prototype = ecma.lang.createPrototype(
+    CBrowseDialog
+  );
+
+  proto.onLoad = function () {
+    CBrowseDialog.prototype.onLoad.apply(this, arguments);
+    this.ui.query = this.dlg.getElementById('query');
+    this.ui.content = this.dlg.getElementById('content');
+    this.ui.summary = this.dlg.getElementById('summary');
+    this.ui.results = this.dlg.getElementById('results');
+    this.actQueryChange = new ecma.lsn.InputListener(this.ui.query);
+    this.actQueryChange.addActionListener('change', this.search, this);
+    ecma.dom.addEventListener(this.ui.content, 'click', this.search, this);
+  };
+
+  proto.onShow = function () {
+    CBrowseDialog.prototype.onShow.apply(this, arguments);
+    this.search();
+    this.ui.query.focus();
+  };
+
+  proto.search = function () {
+    var text = ecma.dom.getValue(this.ui.query).replace(/^\s+|\s+$/g, '');
+    this.text = text;
+    this.results = this.findByName(text);
+    this.showResults();
+    if (this.contentTimeout) ecma.dom.clearTimeout(this.contentTimeout);
+    this.contentTimeout = null;
+    if (this.ui.content.checked && text.length >= this.minContentLength) {
+      this.contentTimeout = ecma.dom.setTimeout(this.searchContent, 300, this,
+        [text]);
+    }
+  };
+
+  /**
+   * @function getDataBridge
+   * The bridge of the tree view, whose nodes are searched and revealed.
+   */
+
+  proto.getDataBridge = function () {
+    return this.tview ? this.tview.db : ecma.hubb.getInstance();
+  };
+
+  /**
+   * @function findByName
+   * Fetched nodes beneath the root whose name contains the text.
+   */
+
+  proto.findByName = function (text) {
+    if (!text) return [];
+    var needle = text.toLowerCase();
+    var db = this.getDataBridge();
+    var nodes = new ecma.hubb.Query(db, this.rootAddr + '/**/*').select();
+    var result = [];
+    for (var i = 0, node; node = nodes[i]; i++) {
+      var name = String(node.getKey()).toLowerCase();
+      if (name.indexOf(needle) < 0) continue;
+      result.push({
+        'addr': node.getAddress(),
+        'type': node.getType(),
+        'mtime': node.getDate()
+      });
+      if (result.length >= this.limit) break;
+    }
+    return result;
+  };
+
+  proto.searchContent = function (text) {
+    this.contentTimeout = null;
+    ecma.dom.setValue(this.ui.summary, 'Searching...');
+    // Hiding the dialog aborts the search
+    this.getDataBridge().withOwner(this.dlg, function (db) {
+      db.search(this.rootAddr, text, [this.onSearchContent, this, [text]],
+        this.limit);
+    }, this);
+  };
+
+  proto.onSearchContent = function (result, text) {
+    if (text != this.text) return;
+    if (!result) {
+      this.showResults('Content search failed');
+      return;
+    }
+    var seen = {};
+    for (var i = 0, item; item = this.results[i]; i++) {
+      seen[item.addr] = item;
+    }
+    for (var i = 0, match; match = result.matches[i]; i++) {
+      if (seen[match.addr]) {
+        seen[match.addr].excerpt = match.excerpt;
+        continue;
+      }
+      this.results.push({
+        'addr': match.addr,
+        'type': match.type,
+        'mtime': match.mtime ? new Date(1000 * match.mtime) : null,
+        'excerpt': match.excerpt
+      });
+    }
+    this.showResults(result.more ? 'more not shown' : null);
+  };
+
+  proto.showResults = function (note) {
+    var count = this.results.length;
+    var summary = !this.text
+      ? ''
+      : count == 1 ? '1 match' : count + ' matches';
+    if (note) summary += (summary ? ', ' : '') + note;
+    ecma.dom.setValue(this.ui.summary, summary);
+    this.rows = [];
+    var tbody = ecma.dom.createElement('tbody');
+    for (var i = 0, item; item = this.results[i]; i++) {
+      var tr = _resultRow(item);
+      ecma.dom.addEventListener(tr, 'click', this.onChoose, this, [item, tr]);
+      tbody.appendChild(tr);
+      this.rows.push(tr);
+    }
+    ecma.dom.replaceChildren(this.ui.results, [
+      ecma.dom.createElement('table', [tbody])
+    ]);
+  };
+
+  proto.onChoose = function (event, item, tr) {
+    ecma.dom.stopEvent(event);
+    for (var i = 0, row; row = this.rows[i]; i++) {
+      ecma.dom.removeClassName(row, 'selected');
+    }
+    ecma.dom.addClassName(tr, 'selected');
+    // Nodes which have been fetched are revealed without fetching again
+    var dnode = this.getDataBridge().getNodeByAddress(item.addr);
+    if (dnode) {
+      this.tview.deselect();
+      this.tview.onSelect(dnode);
+    } else {
+      this.tview.select(item.addr);
+    }
+  };
+
+  function _resultRow (item) {
+    var mtime = item.mtime ? ecma.date.format(item.mtime, 'yyyy-mm-dd HH:MM') : '';
+    var detail = ['#text', {'nodeValue': item.addr}];
+    if (item.excerpt) {
+      detail = detail.concat(['div.excerpt', [
+        '#text', {'nodeValue': item.excerpt}
+      ]]);
+    }
+    return ecma.dom.createElement('tr', [
+      'td.icon', [
+        'img', {
+          'src': ecma.hubb.getIconByType(item.type || 'unknown'),
+          'width': 16,
+          'height': 16
+        }
+      ],
+      'td.addr', detail,
+      'td.mtime', [
+        '#text', {'nodeValue': mtime}
+      ]
+    ]);
+  }
+
+  /**
+   * @function search
+   * Ask the server for text files beneath the address which contain the
+   * text (see L<ecma.lsn.hubb.command.Search>).
+   *
+   *  db.search('/web', 'copyright', [this.onSearch, this]);
+   */
+
+  ecma.hubb.DataBridge.prototype.search = function (addr, text, cb, limit) {
+    addr = this.absoluteAddress(addr);
+    this.validateAddress(addr);
+    var xcmd = ecma.lsn.hubb.command.createInstance('search');
+    xcmd.setArguments(addr, text, limit);
+    return xcmd.submit(cb);
+  };
+
+});
@@ -0,0 +1,321 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  // As defined by the tree node
+  var STATE_EXPANDED = 1;
+  var STATE_COLLAPSED = 2;
+
+  var proto = ecma.hubb.ui.TreeNode.prototype;
+
+  /**
+   * A tree node creates its elements when they are first needed, that is when
+   * it is shown (see L<getElement>).
+   *
+   * When a node has more children than the C<virtualThreshold> of the view,
+   * its children are rendered as L<ecma.hubb.ui.VirtualRows>, so that only
+   * those within the viewport have elements in the document.
+   */
+
+  var _createUI = proto.createUI;
+
+  proto.createUI = function () {
+    this.ui = null;
+  };
+
+  /**
+   * @function initUI
+   * Create the elements of this node (when they have not been).
+   */
+
+  proto.initUI = function () {
+    if (this.ui) return;
+    _createUI.apply(this, arguments);
+    if (this.view.isDraggable) _initDrag.call(this);
+    this.updateUI();
+  };
+
+  // Rows are dragged natively, which the mousedown handler (preventing text
+  // selection) would prevent
+  function _initDrag () {
+    var row = this.ui.row;
+    for (var i = 0, evt; evt = this.ui.events[i]; i++) {
+      if (evt.type != 'mousedown') continue;
+      evt.remove();
+      this.ui.events.splice(i--, 1);
+    }
+    ecma.dom.setAttribute(row, 'draggable', 'true');
+    this.ui.events.push(
+      new ecma.dom.EventListener(row, 'dragstart', this.onDragStart, this),
+      new ecma.dom.EventListener(row, 'dragover', this.onDragOver, this),
+      new ecma.dom.EventListener(row, 'dragleave', this.onDragLeave, this),
+      new ecma.dom.EventListener(row, 'drop', this.onDrop, this),
+      new ecma.dom.EventListener(row, 'dragend', this.onDragEnd, this)
+    );
+  }
+
+  proto.onDragStart = function (event) {
+    this.view.onDragStart(event, this);
+  };
+
+  proto.onDragOver = function (event) {
+    this.view.onDragOver(event, this);
+  };
+
+  proto.onDragLeave = function (event) {
+    this.view.onDragLeave(event, this);
+  };
+
+  proto.onDrop = function (event) {
+    this.view.onDrop(event, this);
+  };
+
+  proto.onDragEnd = function (event) {
+    this.view.onDragEnd(event, this);
+  };
+
+  proto.isExpanded = function () {
+    return this.state == STATE_EXPANDED;
+  };
+
+  var _updateUI = proto.updateUI;
+
+  proto.updateUI = function () {
+    if (!this.ui) return;
+    return _updateUI.apply(this, arguments);
+  };
+
+  var _destroyUI = proto.destroyUI;
+
+  proto.destroyUI = function () {
+    if (!this.ui) return;
+    return _destroyUI.apply(this, arguments);
+  };
+
+  var _getElement = proto.getElement;
+
+  proto.getElement = function () {
+    this.initUI();
+    return _getElement.apply(this, arguments);
+  };
+
+  var _setState = proto.setState;
+
+  proto.setState = function (state) {
+    this.initUI();
+    return _setState.apply(this, arguments);
+  };
+
+  proto.reindex = function () {
+    for (var child = this.firstChild; child; child = child.nextSibling) {
+      child.name = ecma.data.addr_name(child.data.getAddress());
+      if (child.ui) ecma.dom.setValue(child.ui.name, child.name);
+      child.reindex();
+    }
+    return this;
+  };
+
+  /**
+   * @function reveal
+   * Render this node when it is scrolled out of view in a virtual list.
+   */
+
+  proto.reveal = function () {
+    var pnode = this.parentNode;
+    if (!pnode) return;
+    pnode.reveal();
+    if (pnode.vrows) pnode.vrows.reveal(this);
+  };
+
+  var _populate = proto.populate;
+
+  proto.populate = function () {
+    _populate.apply(this, arguments);
+    if (this.childNodes.length > this.view.virtualThreshold) {
+      this.vrows = _createRows(this);
+      _syncRows(this);
+    }
+  };
+
+  var _expand = proto.expand;
+
+  proto.expand = function () {
+    if (this.state == STATE_EXPANDED) return;
+    this.reveal();
+    if (!this.isPopulated && this.data.hasFetched()) this.populate();
+    if (!this.vrows) return _expand.apply(this, arguments);
+    this.setState(STATE_EXPANDED);
+    this.vrows.show(this.getElement());
+    this.isVisible = true;
+    this.data.fetch();
+  };
+
+  var _collapse = proto.collapse;
+
+  proto.collapse = function () {
+    if (!this.vrows) return _collapse.apply(this, arguments);
+    this.vrows.hide();
+    this.setState(STATE_COLLAPSED);
+    this.view.onCollapse();
+  };
+
+  var _show = proto.show;
+
+  proto.show = function (precedingElement, bUpdate) {
+    if (!this.vrows) return _show.apply(this, arguments);
+    if (this.isVisible && !bUpdate) return;
+    ecma.dom.insertAfter(this.getElement(), precedingElement);
+    this.isVisible = true;
+    return this.state == STATE_EXPANDED
+      ? this.vrows.show(this.getElement())
+      : this;
+  };
+
+  var _hide = proto.hide;
+
+  proto.hide = function () {
+    if (!this.ui) {
+      this.isVisible = false;
+      return;
+    }
+    if (!this.vrows) return _hide.apply(this, arguments);
+    this.vrows.hide();
+    ecma.dom.removeElement(this.getElement());
+    this.isVisible = false;
+  };
+
+  var _remove = proto.remove;
+
+  proto.remove = function () {
+    var pnode = this.parentNode;
+    if (this.vrows) {
+      this.vrows.hide();
+      this.vrows = null;
+    }
+    _remove.apply(this, arguments);
+    if (pnode && pnode.vrows) pnode.vrows.remove(this);
+  };
+
+  var _createChild = proto.createChild;
+
+  proto.createChild = function (dnode) {
+    if (!this.vrows) return _createChild.apply(this, arguments);
+    var tnode = this.getNodeByAddress(dnode.getAddress());
+    if (tnode) {
+      if (tnode.data.getType() != dnode.getType()) {
+        tnode.replace(dnode);
+      }
+      return tnode;
+    }
+    if (!this.view.canDisplay(dnode)) return;
+    var name = ecma.data.addr_name(dnode.getAddress());
+    tnode = new ecma.hubb.ui.TreeNode(dnode, this.view, name, this.depth + 1);
+    var prevDNode = dnode.getPreviousSibling();
+    var prevTNode = prevDNode ? this.getNodeByAddress(prevDNode.getAddress()) : null;
+    if (prevTNode) {
+      this.insertAfter(tnode, prevTNode);
+    } else if (this.firstChild) {
+      this.insertBefore(tnode, this.firstChild);
+    } else {
+      this.appendChild(tnode);
+    }
+    _syncRows(this);
+    return tnode;
+  };
+
+  var _refreshUI = proto.refreshUI;
+
+  proto.refreshUI = function () {
+    var pnode = this.parentNode;
+    if (!pnode || !pnode.vrows) return _refreshUI.apply(this, arguments);
+    var mdate = this.data.getDate();
+    if ((!this.uiDate && mdate) || (this.uiDate && this.uiDate < mdate)) {
+      this.updateUI();
+    }
+    var prevDNode = this.data.getPreviousSibling();
+    var prevTNode = prevDNode ? pnode.getNodeByAddress(prevDNode.getAddress()) : null;
+    if (prevTNode && prevTNode !== this.previousSibling) {
+      pnode.insertAfter(this, prevTNode);
+      _syncRows(pnode);
+    }
+  };
+
+  /**
+   * @function reorder
+   * Put the child nodes in the order of the data, for when it is sorted.
+   */
+
+  proto.reorder = function () {
+    if (!this.isPopulated) return;
+    var byId = {};
+    for (var child = this.firstChild; child; child = child.nextSibling) {
+      byId[child.data.getInstanceId()] = child;
+    }
+    var values = this.data.values();
+    for (var i = 0; i < values.length; i++) {
+      var child = byId[values[i].getInstanceId()];
+      if (child) this.appendChild(child);
+    }
+    if (ecma.util.isa(this.data, ecma.hubb.ArrayNode)) this.reindex();
+    if (this.vrows) return _syncRows(this);
+    if (this.isVisible && this.state == STATE_EXPANDED) {
+      var y = this;
+      for (var x = this.firstChild; x; x = x.nextSibling) {
+        y = _reshow(x, y.getElement());
+      }
+    }
+  };
+
+  // Show the node after the element, moving it (with its descendants) when
+  // it is already shown
+  function _reshow (tnode, precedingElement) {
+    if (tnode.isVisible) tnode.hide();
+    return tnode.show(precedingElement);
+  }
+
+  function _syncRows (tnode) {
+    tnode.vrows.setItems(tnode.childNodes.slice(0));
+  }
+
+  function _createRows (tnode) {
+    var view = tnode.view;
+    var colspan = 1 + view.detailColumns.length;
+    return new ecma.hubb.ui.VirtualRows({
+      'spacer': function () {
+        return ecma.dom.createElement('tr.spacer', [
+          'td', {
+            'colspan': colspan,
+            'style': {'padding': '0', 'border': 'none'}
+          }
+        ]);
+      },
+      'show': function (child, precedingElement) {
+        return _reshow(child, precedingElement).getElement();
+      },
+      'hide': function (child) {
+        child.hide();
+      },
+      'last': _lastElement,
+      'size': _rowCount,
+      'scrollable': [view.getScrollableParent, view]
+    });
+  }
+
+  // The last row of the node and its expanded descendants
+  function _lastElement (tnode) {
+    if (tnode.state != STATE_EXPANDED) return tnode.getElement();
+    if (tnode.vrows) return tnode.vrows.getElement();
+    return tnode.lastChild ? _lastElement(tnode.lastChild) : tnode.getElement();
+  }
+
+  // Rows taken by the node and its expanded descendants
+  function _rowCount (tnode) {
+    var result = 1;
+    if (tnode.state != STATE_EXPANDED) return result;
+    if (tnode.vrows) return result + tnode.vrows.countRows(0, tnode.vrows.items.length);
+    for (var child = tnode.firstChild; child; child = child.nextSibling) {
+      result += _rowCount(child);
+    }
+    return result;
+  }
+
+});
@@ -0,0 +1,85 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var proto = ecma.hubb.ui.TreeView.prototype;
+
+  // Nodes with more children than this render only those which are in view
+  // (see ecma.hubb.ui.VirtualRows)
+  proto.virtualThreshold = 200;
+
+  var _onUpdate = proto.onUpdate;
+
+  proto.onUpdate = function (action, dnode) {
+    _onUpdate.apply(this, arguments);
+    if (!action.updated || !action.updated.order) return;
+    var tnode = this.getNodeByAddress(dnode.getAddress());
+    if (tnode) tnode.reorder();
+  };
+
+  var _onStatus = proto.onStatus;
+
+  proto.onStatus = function (action, stats, msg) {
+    var tnode = this.getNodeByAddress(stats.addr);
+    if (tnode) tnode.initUI();
+    return _onStatus.apply(this, arguments);
+  };
+
+  var _scrollTo = proto.scrollTo;
+
+  proto.scrollTo = function (tnode) {
+    tnode.reveal();
+    return _scrollTo.apply(this, arguments);
+  };
+
+  /**
+   * Nodes may be dragged onto other nodes (see L<ecma.hubb.ui.DragDrop>).
+   * Collapsed nodes are expanded when the dragged node hovers over them for
+   * C<hoverDelay> milliseconds.
+   */
+
+  proto.isDraggable = true;
+  proto.hoverDelay = 700;
+
+  proto.onDragStart = function (event, tnode) {
+    if (tnode === this.root) return ecma.dom.stopEvent(event);
+    ecma.hubb.ui.getDragDrop().start(event, tnode.data);
+  };
+
+  proto.onDragOver = function (event, tnode) {
+    ecma.hubb.ui.getDragDrop().over(event, tnode.data, tnode.getElement());
+    if (this.hoverNode === tnode) return;
+    this.cancelHover();
+    if (!this.canExpand(tnode) || tnode.isExpanded()) return;
+    this.hoverNode = tnode;
+    this.hoverTimeout = ecma.dom.setTimeout(this.onHover, this.hoverDelay,
+      this, [tnode]);
+  };
+
+  proto.onHover = function (tnode) {
+    this.hoverTimeout = null;
+    if (this.hoverNode === tnode) tnode.expand();
+  };
+
+  proto.cancelHover = function () {
+    if (this.hoverTimeout) ecma.dom.clearTimeout(this.hoverTimeout);
+    this.hoverTimeout = null;
+    this.hoverNode = null;
+  };
+
+  proto.onDragLeave = function (event, tnode) {
+    if (ecma.hubb.ui.getDragDrop().leave(event, tnode.getElement())) {
+      if (this.hoverNode === tnode) this.cancelHover();
+    }
+  };
+
+  proto.onDrop = function (event, tnode) {
+    this.cancelHover();
+    ecma.hubb.ui.getDragDrop().drop(event, tnode.data, tnode.getElement());
+  };
+
+  proto.onDragEnd = function (event, tnode) {
+    this.cancelHover();
+    ecma.hubb.ui.getDragDrop().end();
+  };
+
+});
@@ -0,0 +1,38 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var proto = ecma.hubb.ui.UploadDialog.prototype;
+  var _onOk = proto.onOk;
+  var _onComplete = proto.onComplete;
+
+  /**
+   * Where the browser can post parts of a file, the chosen file is sent in
+   * chunks (see L<ecma.hubb.Upload>), which resume when the same file is
+   * uploaded again after a failure or reload. Otherwise the form in the
+   * frame is submitted as before.
+   */
+
+  proto.getFile = function () {
+    var files = this.ui.uplctrl ? this.ui.uplctrl.files : null;
+    return files && files.length ? files[0] : null;
+  };
+
+  proto.onOk = function () {
+    var file = this.getFile();
+    if (!file || !ecma.hubb.Upload.isSupported()) {
+      return _onOk.apply(this, arguments);
+    }
+    if (!this.isTargetValid()) return;
+    var addr = this.srcNode.getAddress();
+    var replace = ecma.dom.getValue(this.ui.replace) ? true : false;
+    this.isLoading = true;
+    this.upload = ecma.hubb.getInstance().upload(addr, this.getName(), file,
+      replace, [this.onComplete, this]);
+  };
+
+  proto.onComplete = function (dnode) {
+    this.upload = null;
+    return _onComplete.apply(this, arguments);
+  };
+
+});
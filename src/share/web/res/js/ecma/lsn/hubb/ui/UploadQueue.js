@@ -0,0 +1,618 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var CAction = ecma.action.ActionDispatcher;
+  var _instance = null;
+  var _css = null;
+
+  function _initStyles () {
+    if (_css) return;
+    _css = new ecma.dom.StyleSheet();
+    _css.createRule('div.uploadqueue', {
+      'position': 'fixed',
+      'right': '1em',
+      'bottom': '1em',
+      'width': '24em',
+      'max-height': '50%',
+      'overflow': 'auto',
+      'background-color': '#fff',
+      'border': '1px solid #999',
+      'padding': '.5em',
+      'font-size': 'smaller',
+      'z-index': '1000'
+    });
+    _css.createRule('div.uploadqueue div.head', {
+      'margin-bottom': '.5em'
+    });
+    _css.createRule('div.uploadqueue div.bar', {
+      'height': '4px',
+      'background-color': '#eee',
+      'margin': '2px 0'
+    });
+    _css.createRule('div.uploadqueue div.bar div', {
+      'height': '4px',
+      'width': '0',
+      'background-color': '#69c'
+    });
+    _css.createRule('div.uploadqueue div.error div.bar div', {
+      'background-color': '#c66'
+    });
+    _css.createRule('div.uploadqueue div.row', {
+      'padding': '2px 0',
+      'border-top': '1px solid #eee'
+    });
+    _css.createRule('div.uploadqueue span.state', {
+      'float': 'right',
+      'color': '#666'
+    });
+    _css.createRule('div.uploadqueue button', {
+      'border': '0',
+      'background': 'none',
+      'color': '#36c',
+      'cursor': 'pointer',
+      'padding': '0 .25em'
+    });
+  }
+
+  // What each state of an entry displays
+  var _stateText = {
+    'queued': 'Waiting',
+    'checking': 'Checking',
+    'creating': 'Creating',
+    'uploading': 'Uploading',
+    'done': 'Done',
+    'skipped': 'Skipped (exists)',
+    'cancelled': 'Cancelled',
+    'error': 'Failed'
+  };
+
+  /**
+   * @function getUploadQueue
+   * The L<ecma.hubb.ui.UploadQueue> which is shared by the views of this page.
+   */
+
+  this.getUploadQueue = function () {
+    return _instance || (_instance = new ecma.hubb.ui.UploadQueue());
+  };
+
+  /**
+   * @class UploadQueue
+   * Uploads files (and the folders which contain them) which are dropped onto
+   * a file list or a directory of a tree view (see L<ecma.hubb.ui.DragDrop>).
+   *
+   *  var queue = ecma.hubb.ui.getUploadQueue();
+   *  queue.addDataTransfer(event.dataTransfer, '/web/images');
+   *  queue.addFiles([{file: file, path: 'logos/a.png'}], '/web/images');
+   *
+   * Options:
+   *
+   *  concurrency   Files which are uploaded at once (default 2)
+   *  collision     When a file exists: C<skip>, C<replace> or C<rename>
+   *                (default C<rename>, which appends a number to the name)
+   *
+   * Folders are created with L<ecma.hubb.DataBridge.create> (existing ones
+   * are used as they are) before the files within them are uploaded (see
+   * L<ecma.hubb.Upload>). Before a file is uploaded, its address is looked up
+   * with L<ecma.hubb.DataBridge.get> to find whether it exists.
+   *
+   * The queue is displayed in a panel with a row for each entry, in which
+   * its progress is shown and it may be cancelled or (when it has failed or
+   * been cancelled) retried. The panel shows the overall progress and the
+   * collision choice.
+   *
+   * Each entry is:
+   *
+   *  path        Path of the file (or folder) relative to the drop target
+   *  dir         Address of the directory it goes into
+   *  name        Name it is given there (differs from the path when renamed)
+   *  file        The L<File> (null for folders)
+   *  size        Bytes to send
+   *  loaded      Bytes sent
+   *  state       queued, checking, creating, uploading, done, skipped,
+   *              cancelled or error
+   *  replaced    It replaces an existing file
+   *  error       Why it failed
+   *
+   * Actions:
+   *
+   *  add       (entry)   An entry was queued
+   *  status    (entry)   The state or progress of an entry has changed
+   *  done      ()        No entries are waiting or in progress
+   */
+
+  this.UploadQueue = function (opts) {
+    CAction.apply(this);
+    this.opts = ecma.util.overlay({
+      'concurrency': 2,
+      'collision': 'rename'
+    }, opts);
+    this.collision = this.opts.collision;
+    this.db = ecma.hubb.getInstance();
+    this.entries = [];
+    this.dirs = {};
+    this.running = 0;
+    this.ui = {};
+    _initStyles();
+  };
+
+  var proto = this.UploadQueue.prototype = ecma.lang.createPrototype(CAction);
+
+  /**
+   * @function addDataTransfer
+   * Queue the files and folders of a drop. Folders are read (asynchronously)
+   * where the browser supports C<webkitGetAsEntry>, otherwise only the
+   * dropped files are queued.
+   */
+
+  proto.addDataTransfer = function (dt, dirAddr) {
+    var items = dt.items;
+    var entries = [];
+    if (items && items.length && items[0].webkitGetAsEntry) {
+      // Entries must be taken while handling the drop event
+      for (var i = 0; i < items.length; i++) {
+        var entry = items[i].kind == 'file' ? items[i].webkitGetAsEntry() : null;
+        if (entry) entries.push(entry);
+      }
+      var list = [];
+      _walkEntries(entries, 0, '', list, ecma.lang.createCallback(function () {
+        this.addFiles(list, dirAddr);
+      }, this));
+    } else {
+      for (var i = 0; i < dt.files.length; i++) {
+        entries.push({'file': dt.files[i], 'path': dt.files[i].name});
+      }
+      this.addFiles(entries, dirAddr);
+    }
+  };
+
+  /**
+   * @function addFiles
+   * Queue files, each given as C<{file: file, path: 'a/b.txt'}>. Folders
+   * (which are created even when empty) are given without a file and with a
+   * path which ends in a slash.
+   */
+
+  proto.addFiles = function (list, dirAddr) {
+    dirAddr = this.db.absoluteAddress(dirAddr);
+    for (var i = 0, item; item = list[i]; i++) {
+      var path = item.path.replace(/\/+$/, '');
+      var parts = path.split('/');
+      var name = parts.pop();
+      var entry = {
+        'path': item.file ? path : path + '/',
+        'dir': ecma.data.addr_normalize(dirAddr + '/' + parts.join('/')),
+        'name': name,
+        'file': item.file || null,
+        'size': item.file ? item.file.size : 0,
+        'loaded': 0,
+        'state': 'queued',
+        'replaced': false,
+        'error': null,
+        'upload': null,
+        'ui': null
+      };
+      this.entries.push(entry);
+      this.createRow(entry);
+      this.dispatchAction('add', entry);
+    }
+    this.updateUI();
+    this.next();
+  };
+
+  /**
+   * @function next
+   * Start the waiting entries, up to C<concurrency> at once.
+   */
+
+  proto.next = function () {
+    for (var i = 0, entry; entry = this.entries[i]; i++) {
+      if (this.running >= this.opts.concurrency) return;
+      if (entry.state != 'queued') continue;
+      this.running++;
+      this.process(entry);
+    }
+    if (!this.running) this.dispatchAction('done');
+  };
+
+  proto.process = function (entry) {
+    this.setState(entry, 'checking');
+    this.ensureDirectory(entry.dir, [function (dnode, error) {
+      if (entry.state != 'checking') return;
+      if (!dnode) return this.finish(entry, 'error', error || 'Cannot create folder');
+      var addr = ecma.data.addr_join(entry.dir, entry.name);
+      if (!entry.file) {
+        this.setState(entry, 'creating');
+        return this.ensureDirectory(addr, [function (dnode, error) {
+          if (entry.state != 'creating') return;
+          this.finish(entry, dnode ? 'done' : 'error', error);
+        }, this]);
+      }
+      this.db.get(addr, [this.onCheck, this, [entry]]);
+    }, this]);
+  };
+
+  proto.onCheck = function (dnode, entry) {
+    if (entry.state != 'checking') return;
+    if (!dnode) return this.upload(entry, false);
+    switch (this.collision) {
+      case 'skip':
+        return this.finish(entry, 'skipped');
+      case 'replace':
+        if (dnode.isDirectory()) return this.finish(entry, 'error', 'A folder has that name');
+        return this.upload(entry, true);
+      default:
+        this.db.get(entry.dir, [this.onRename, this, [entry]]);
+    }
+  };
+
+  proto.onRename = function (dnode, entry) {
+    if (entry.state != 'checking') return;
+    if (!dnode) return this.finish(entry, 'error', 'Cannot read folder');
+    entry.name = this.getFreeName(dnode, entry.name);
+    this.upload(entry, false);
+  };
+
+  /**
+   * @function getFreeName
+   * The name with a number before its extension, C<a (2).txt>, which is not
+   * that of a child of the directory, nor of another entry being uploaded
+   * into it.
+   */
+
+  proto.getFreeName = function (dnode, name) {
+    var m = name.match(/^(.+?)(\.[^.]*)?$/);
+    var base = m[1];
+    var ext = m[2] || '';
+    for (var n = 2; ; n++) {
+      var candidate = base + ' (' + n + ')' + ext;
+      if (!dnode.getValue(candidate) && !this.isReserved(dnode.getAddress(), candidate)) {
+        return candidate;
+      }
+    }
+  };
+
+  proto.isReserved = function (dirAddr, name) {
+    for (var i = 0, entry; entry = this.entries[i]; i++) {
+      if (entry.state != 'uploading') continue;
+      if (entry.dir == dirAddr && entry.name == name) return true;
+    }
+    return false;
+  };
+
+  proto.upload = function (entry, bReplace) {
+    entry.replaced = bReplace;
+    this.setState(entry, 'uploading');
+    try {
+      entry.upload = this.db.upload(entry.dir, entry.name, entry.file, bReplace,
+        [this.onUploaded, this, [entry]]);
+    } catch (ex) {
+      return this.finish(entry, 'error', ex.message);
+    }
+    entry.upload.addActionListener('status', function (action, stats) {
+      entry.loaded = stats.transfered;
+      this.updateRow(entry);
+    }, this);
+    entry.upload.addActionListener('error', function (action, error) {
+      entry.error = error;
+    }, this);
+  };
+
+  proto.onUploaded = function (dnode, entry) {
+    if (entry.state != 'uploading') return;
+    entry.upload = null;
+    if (dnode && dnode.getType() != 'loading') {
+      entry.loaded = entry.size;
+      this.finish(entry, 'done');
+    } else {
+      this.finish(entry, 'error', entry.error || 'Upload failed');
+    }
+  };
+
+  proto.finish = function (entry, state, error) {
+    entry.error = state == 'error' ? error || null : null;
+    this.setState(entry, state);
+    this.running--;
+    this.next();
+  };
+
+  /**
+   * @function ensureDirectory
+   * Callback with the directory at the address (or null and why not), which
+   * is created, along with those above it, when it does not exist. Callers
+   * which ask for the same directory while it is being created wait for it.
+   */
+
+  proto.ensureDirectory = function (addr, cb) {
+    var dir = this.dirs[addr];
+    if (dir && dir.node && this.db.getNodeByAddress(addr) === dir.node) {
+      return ecma.lang.callback(cb, null, [dir.node]);
+    }
+    if (dir && dir.pending) return dir.pending.push(cb);
+    dir = this.dirs[addr] = {'node': null, 'pending': [cb]};
+    var done = function (dnode, error) {
+      var pending = dir.pending;
+      dir.pending = null;
+      if (dnode && dnode.isDirectory()) {
+        dir.node = dnode;
+      } else {
+        delete this.dirs[addr];
+        if (dnode) error = 'Not a folder: ' + addr;
+        dnode = null;
+      }
+      for (var i = 0; i < pending.length; i++) {
+        ecma.lang.callback(pending[i], null, [dnode, error]);
+      }
+    };
+    this.db.get(addr, [function (dnode) {
+      if (dnode || addr == '/') return done.call(this, dnode);
+      var parentAddr = ecma.data.addr_parent(addr);
+      this.ensureDirectory(parentAddr, [function (pnode, error) {
+        if (!pnode) return done.call(this, null, error);
+        try {
+          this.db.create(parentAddr, ecma.data.addr_name(addr), 'directory',
+            [done, this]);
+        } catch (ex) {
+          done.call(this, null, ex.message);
+        }
+      }, this]);
+    }, this]);
+  };
+
+  /**
+   * @function cancel
+   * Stop an entry which is waiting or in progress.
+   */
+
+  proto.cancel = function (entry) {
+    switch (entry.state) {
+      case 'queued':
+        this.setState(entry, 'cancelled');
+        this.next();
+        break;
+      case 'checking':
+      case 'creating':
+        this.finish(entry, 'cancelled');
+        break;
+      case 'uploading':
+        var upload = entry.upload;
+        entry.upload = null;
+        this.finish(entry, 'cancelled');
+        if (upload) upload.cancel();
+        break;
+    }
+  };
+
+  /**
+   * @function retry
+   * Queue again an entry which failed or was cancelled (a file which was
+   * partly sent resumes, see L<ecma.hubb.Upload>).
+   */
+
+  proto.retry = function (entry) {
+    if (entry.state != 'error' && entry.state != 'cancelled') return;
+    entry.loaded = 0;
+    this.setState(entry, 'queued');
+    this.next();
+  };
+
+  proto.cancelAll = function () {
+    for (var i = this.entries.length - 1, entry; entry = this.entries[i]; i--) {
+      this.cancel(entry);
+    }
+  };
+
+  /**
+   * @function clear
+   * Remove the entries which have ended (and the panel when none remain).
+   */
+
+  proto.clear = function () {
+    for (var i = 0, entry; entry = this.entries[i]; i++) {
+      if (!_isEnded(entry)) continue;
+      if (entry.ui) ecma.dom.removeElement(entry.ui.root);
+      this.entries.splice(i--, 1);
+    }
+    if (!this.entries.length) this.destroyUI();
+    this.updateUI();
+  };
+
+  /**
+   * @function getProgress
+   * Overall progress, of the entries which have not been skipped or
+   * cancelled.
+   *
+   *  {count: 10, ended: 3, size: 2048, loaded: 1024, percent: 50}
+   */
+
+  proto.getProgress = function () {
+    var result = {'count': 0, 'ended': 0, 'size': 0, 'loaded': 0};
+    for (var i = 0, entry; entry = this.entries[i]; i++) {
+      if (entry.state == 'skipped' || entry.state == 'cancelled') continue;
+      result.count++;
+      if (_isEnded(entry)) result.ended++;
+      result.size += entry.size;
+      result.loaded += entry.state == 'done' ? entry.size : entry.loaded;
+    }
+    result.percent = result.size
+      ? Math.round((result.loaded / result.size) * 100)
+      : result.count == result.ended ? 100 : 0;
+    return result;
+  };
+
+  proto.setState = function (entry, state) {
+    entry.state = state;
+    this.updateRow(entry);
+    this.dispatchAction('status', entry);
+  };
+
+  proto.createUI = function () {
+    if (this.ui.root) return;
+    this.ui.collision = ecma.dom.createElement('select', {
+      'onChange': [this.onCollisionChange, this]
+    }, [
+      'option', {'value': 'rename'}, ['#text', {'nodeValue': 'Rename'}],
+      'option', {'value': 'replace'}, ['#text', {'nodeValue': 'Replace'}],
+      'option', {'value': 'skip'}, ['#text', {'nodeValue': 'Skip'}]
+    ]);
+    ecma.dom.setValue(this.ui.collision, this.collision);
+    this.ui.summary = ecma.dom.createElement('span');
+    this.ui.fill = ecma.dom.createElement('div');
+    this.ui.rows = ecma.dom.createElement('div.rows');
+    this.ui.root = ecma.dom.createElement('div.uploadqueue', [
+      'div.head', [
+        this.ui.summary,
+        'button', {'type': 'button', 'onClick': [this.onCancelAllClick, this]},
+          ['#text', {'nodeValue': 'Cancel all'}],
+        'button', {'type': 'button', 'onClick': [this.onClearClick, this]},
+          ['#text', {'nodeValue': 'Clear'}],
+        'div.bar', [this.ui.fill],
+        'label', [
+          '#text', {'nodeValue': 'When a file exists: '},
+          this.ui.collision
+        ]
+      ],
+      this.ui.rows
+    ]);
+    ecma.dom.getBody().appendChild(this.ui.root);
+  };
+
+  proto.destroyUI = function () {
+    if (!this.ui.root) return;
+    ecma.dom.removeElement(this.ui.root);
+    this.ui = {};
+    for (var i = 0, entry; entry = this.entries[i]; i++) {
+      entry.ui = null;
+    }
+  };
+
+  proto.createRow = function (entry) {
+    this.createUI();
+    var ui = entry.ui = {};
+    ui.state = ecma.dom.createElement('span.state');
+    ui.fill = ecma.dom.createElement('div');
+    ui.cancel = ecma.dom.createElement('button', {
+      'type': 'button',
+      'onClick': [this.onCancelClick, this, [entry]]
+    }, ['#text', {'nodeValue': 'Cancel'}]);
+    ui.retry = ecma.dom.createElement('button', {
+      'type': 'button',
+      'onClick': [this.onRetryClick, this, [entry]]
+    }, ['#text', {'nodeValue': 'Retry'}]);
+    ui.root = ecma.dom.createElement('div.row', [
+      ui.state,
+      'span.name', ['#text', {'nodeValue': entry.path}],
+      ui.cancel,
+      ui.retry,
+      'div.bar', [ui.fill]
+    ]);
+    this.ui.rows.appendChild(ui.root);
+    this.updateRow(entry);
+  };
+
+  proto.updateRow = function (entry) {
+    var ui = entry.ui;
+    if (ui) {
+      var text = _stateText[entry.state];
+      if (entry.state == 'uploading' && entry.size) {
+        text = Math.round((entry.loaded / entry.size) * 100) + '%';
+      } else if (entry.state == 'error' && entry.error) {
+        text += ': ' + entry.error;
+      } else if (entry.state == 'done' && entry.file
+          && entry.path.split('/').pop() != entry.name) {
+        text += ' (as ' + entry.name + ')';
+      }
+      ecma.dom.setValue(ui.state, text);
+      var percent = entry.state == 'done' ? 100
+        : entry.size ? Math.round((entry.loaded / entry.size) * 100) : 0;
+      ecma.dom.setStyle(ui.fill, 'width', percent + '%');
+      ecma.dom.setStyle(ui.cancel, 'display', _isEnded(entry) ? 'none' : '');
+      ecma.dom.setStyle(ui.retry, 'display',
+        entry.state == 'error' || entry.state == 'cancelled' ? '' : 'none');
+      if (entry.state == 'error') {
+        ecma.dom.addClassName(ui.root, 'error');
+      } else {
+        ecma.dom.removeClassName(ui.root, 'error');
+      }
+    }
+    this.updateUI();
+  };
+
+  proto.updateUI = function () {
+    if (!this.ui.root) return;
+    var progress = this.getProgress();
+    ecma.dom.setValue(this.ui.summary, progress.ended + ' of ' +
+      progress.count + ' uploaded (' + progress.percent + '%) ');
+    ecma.dom.setStyle(this.ui.fill, 'width', progress.percent + '%');
+  };
+
+  proto.onCollisionChange = function (event) {
+    this.collision = ecma.dom.getValue(this.ui.collision);
+  };
+
+  proto.onCancelClick = function (event, entry) {
+    ecma.dom.stopEvent(event);
+    this.cancel(entry);
+  };
+
+  proto.onRetryClick = function (event, entry) {
+    ecma.dom.stopEvent(event);
+    this.retry(entry);
+  };
+
+  proto.onCancelAllClick = function (event) {
+    ecma.dom.stopEvent(event);
+    this.cancelAll();
+  };
+
+  proto.onClearClick = function (event) {
+    ecma.dom.stopEvent(event);
+    this.clear();
+  };
+
+  function _isEnded (entry) {
+    switch (entry.state) {
+      case 'done':
+      case 'skipped':
+      case 'cancelled':
+      case 'error':
+        return true;
+    }
+    return false;
+  }
+
+  // Read the entries (of the file-system API) in order, files and folders
+  // below the path, into the list
+  function _walkEntries (entries, index, path, list, cb) {
+    var entry = entries[index];
+    if (!entry) return cb();
+    var next = function () {
+      _walkEntries(entries, index + 1, path, list, cb);
+    };
+    if (entry.isFile) {
+      entry.file(function (file) {
+        list.push({'file': file, 'path': path + entry.name});
+        next();
+      }, next);
+    } else if (entry.isDirectory) {
+      var dirPath = path + entry.name + '/';
+      list.push({'file': null, 'path': dirPath});
+      _readDirectory(entry.createReader(), [], function (children) {
+        _walkEntries(children, 0, dirPath, list, next);
+      });
+    } else {
+      next();
+    }
+  }
+
+  // A reader returns the entries of a directory in batches, until it returns
+  // none
+  function _readDirectory (reader, children, cb) {
+    reader.readEntries(function (batch) {
+      if (!batch.length) return cb(children);
+      _readDirectory(reader, children.concat(ecma.util.args(batch)), cb);
+    }, function () {
+      cb(children);
+    });
+  }
+
+});
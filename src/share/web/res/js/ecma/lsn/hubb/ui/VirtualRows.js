@@ -0,0 +1,301 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  /**
+   * @class VirtualRows
+   * Renders only those items of a long list which are within the viewport
+   * of the scrollable parent.
+   *
+   *  var vrows = new ecma.hubb.ui.VirtualRows({
+   *    'spacer': function () { return ecma.dom.createElement('div.spacer'); },
+   *    'show': [this.showItem, this],  // (item, precedingElement)
+   *    'hide': [this.hideItem, this],  // (item)
+   *    'last': [this.lastOf, this],    // (item) its last element
+   *    'size': [this.sizeOf, this],    // (item) optional, number of rows
+   *    'scrollable': [this.getScrollableParent, this]
+   *  });
+   *  vrows.setItems(items);
+   *  vrows.show(precedingElement);
+   *
+   * The C<show> callback inserts the item after the preceding element (or
+   * moves it there) and returns the last element it inserted. For an item
+   * which is shown, C<last> gives its last element as it now is. Items above
+   * and below the rendered range are stood in for by spacer elements (which
+   * should have no padding or border), whose height is estimated from the
+   * rows which have been rendered. The range follows the scroll position of
+   * the scrollable parent, and items which stay in range are left in place.
+   *
+   * Like a node of the tree view, L<getElement> is the last element of the
+   * list (the lower spacer).
+   */
+
+  this.VirtualRows = function (options) {
+    this.options = options;
+    this.items = [];
+    this.rendered = [];
+    this.rowHeight = options.rowHeight || 20;
+    this.overscan = 10;
+    this.pageSize = 50;
+    this.pageStart = 0;
+    this.isVisible = false;
+    this.scrollable = null;
+    this.evtScroll = null;
+    this.updateTimeout = null;
+    this.ui = {
+      'top': options.spacer(),
+      'bottom': options.spacer()
+    };
+  };
+
+  var proto = this.VirtualRows.prototype = {};
+
+  proto.getElement = function () {
+    return this.ui.bottom;
+  };
+
+  proto.getItems = function () {
+    return this.items;
+  };
+
+  /**
+   * @function setItems
+   * Replace the list of items, rendering those which are now in view.
+   */
+
+  proto.setItems = function (items) {
+    this.items = items;
+    this.update();
+  };
+
+  /**
+   * @function remove
+   * Remove an item which has already been taken out of the document.
+   */
+
+  proto.remove = function (item) {
+    for (var i = 0; i < this.rendered.length; i++) {
+      if (this.rendered[i] === item) this.rendered.splice(i--, 1);
+    }
+    var items = [];
+    for (var i = 0; i < this.items.length; i++) {
+      if (this.items[i] !== item) items.push(this.items[i]);
+    }
+    this.setItems(items);
+  };
+
+  /**
+   * @function show
+   * Insert the list after the given element.
+   */
+
+  proto.show = function (precedingElement) {
+    ecma.dom.insertAfter(this.ui.top, precedingElement);
+    return _attach.call(this);
+  };
+
+  /**
+   * @function appendTo
+   * Insert the list at the end of the given element.
+   */
+
+  proto.appendTo = function (elem) {
+    elem.appendChild(this.ui.top);
+    return _attach.call(this);
+  };
+
+  proto.hide = function () {
+    for (var i = 0; i < this.rendered.length; i++) {
+      ecma.lang.callback(this.options.hide, null, [this.rendered[i]]);
+    }
+    this.rendered = [];
+    ecma.dom.removeElement(this.ui.top);
+    ecma.dom.removeElement(this.ui.bottom);
+    if (this.evtScroll) this.evtScroll.remove();
+    this.evtScroll = null;
+    this.scrollable = null;
+    if (this.updateTimeout) ecma.dom.clearTimeout(this.updateTimeout);
+    this.updateTimeout = null;
+    this.isVisible = false;
+  };
+
+  /**
+   * @function update
+   * Render the items which are in view (and those just beyond), hiding the
+   * rest.
+   */
+
+  proto.update = function () {
+    if (!this.isVisible) return;
+    _listen.call(this);
+    var range = this.getRange();
+    var items = this.items.slice(range[0], range[1]);
+    var kept = [];
+    for (var i = 0; i < this.rendered.length; i++) {
+      if (ecma.util.grep(this.rendered[i], items)) {
+        kept.push(this.rendered[i]);
+      } else {
+        ecma.lang.callback(this.options.hide, null, [this.rendered[i]]);
+      }
+    }
+    // Items which are still rendered stay where they are, so long as they
+    // keep their order. The others are shown (or moved) after the item which
+    // now precedes them.
+    var moved = [];
+    var next = 0;
+    var prev = this.ui.top;
+    for (var i = 0; i < items.length; i++) {
+      while (next < kept.length && ecma.util.grep(kept[next], moved)) next++;
+      var k = _indexOf(kept, items[i], next);
+      // When the item has overtaken rendered items, either they are moved
+      // (as they come) or it is, whichever is fewer
+      if (k > next && k - next > _indexOf(items, kept[next], i) - i) {
+        moved.push(items[i]);
+        k = -1;
+      }
+      if (k < 0) {
+        prev = ecma.lang.callback(this.options.show, null, [items[i], prev]);
+      } else {
+        next = k + 1;
+        prev = this.lastElementOf(items[i]);
+      }
+    }
+    ecma.dom.insertAfter(this.ui.bottom, prev);
+    this.rendered = items;
+    var rows = this.countRows(range[0], range[1]);
+    var height = ecma.dom.getTop(this.ui.bottom) - ecma.dom.getBottom(this.ui.top);
+    if (rows && height > 0) this.rowHeight = height / rows;
+    _setHeight(this.ui.top, this.countRows(0, range[0]) * this.rowHeight);
+    _setHeight(this.ui.bottom,
+      this.countRows(range[1], this.items.length) * this.rowHeight);
+  };
+
+  /**
+   * @function getRange
+   * The indices of the first item to render and the one after the last.
+   * When the list is not laid out (for instance it is not yet in the
+   * document) a page of items is rendered.
+   */
+
+  proto.getRange = function () {
+    var count = this.items.length;
+    var view = _viewport(this.scrollable, this.ui.top);
+    if (!view.height) {
+      var begin = Math.max(0, Math.min(this.pageStart, count - this.pageSize));
+      return [begin, Math.min(count, begin + this.pageSize)];
+    }
+    var first = count;
+    var last = count;
+    var y = 0;
+    for (var i = 0; i < count; i++) {
+      if (y >= view.top + view.height) {
+        last = i;
+        break;
+      }
+      y += this.sizeOf(this.items[i]) * this.rowHeight;
+      if (first == count && y > view.top) first = i;
+    }
+    return [
+      Math.max(0, Math.min(first, last) - this.overscan),
+      Math.min(count, last + this.overscan)
+    ];
+  };
+
+  proto.lastElementOf = function (item) {
+    return ecma.lang.callback(this.options.last, null, [item]);
+  };
+
+  proto.sizeOf = function (item) {
+    return this.options.size
+      ? ecma.lang.callback(this.options.size, null, [item])
+      : 1;
+  };
+
+  proto.countRows = function (begin, end) {
+    var result = 0;
+    for (var i = begin; i < end; i++) {
+      result += this.sizeOf(this.items[i]);
+    }
+    return result;
+  };
+
+  /**
+   * @function reveal
+   * Scroll the item into view (when it is not already rendered).
+   */
+
+  proto.reveal = function (item) {
+    if (!this.isVisible || ecma.util.grep(item, this.rendered)) return;
+    var index = -1;
+    for (var i = 0; i < this.items.length; i++) {
+      if (this.items[i] === item) {
+        index = i;
+        break;
+      }
+    }
+    if (index < 0) return;
+    this.pageStart = Math.max(0, index - this.overscan);
+    var view = _viewport(this.scrollable, this.ui.top);
+    if (view.height) {
+      var y = this.countRows(0, index) * this.rowHeight;
+      var delta = ecma.util.asInt(y - view.top - (view.height / 2));
+      if (this.scrollable === ecma.dom.getBody()) {
+        ecma.window.scrollBy(0, delta);
+      } else {
+        this.scrollable.scrollTop += delta;
+      }
+    }
+    this.update();
+  };
+
+  proto.onScroll = function (event) {
+    if (this.updateTimeout) return;
+    this.updateTimeout = ecma.dom.setTimeout(function () {
+      this.updateTimeout = null;
+      this.update();
+    }, 50, this);
+  };
+
+  function _attach () {
+    this.isVisible = true;
+    this.update();
+    return this;
+  }
+
+  // The scrollable parent may change as the list is moved in the document
+  function _listen () {
+    var body = ecma.dom.getBody();
+    var se = ecma.lang.callback(this.options.scrollable) || body;
+    if (se === this.scrollable && this.evtScroll) return;
+    if (this.evtScroll) this.evtScroll.remove();
+    this.scrollable = se;
+    this.evtScroll = new ecma.dom.EventListener(se === body ? ecma.window : se,
+      'scroll', this.onScroll, this);
+  }
+
+  // The visible region of the scrollable element, measured from the top of
+  // the list
+  function _viewport (se, elem) {
+    var result = {};
+    if (se === ecma.dom.getBody()) {
+      var vp = ecma.dom.getViewportPosition();
+      result.top = vp.top - ecma.dom.getTop(elem);
+      result.height = vp.height;
+    } else {
+      result.top = se.scrollTop - (ecma.dom.getTop(elem) - ecma.dom.getTop(se));
+      result.height = ecma.dom.getHeight(se);
+    }
+    return result;
+  }
+
+  function _indexOf (list, item, begin) {
+    for (var i = begin; i < list.length; i++) {
+      if (list[i] === item) return i;
+    }
+    return -1;
+  }
+
+  function _setHeight (elem, height) {
+    ecma.dom.setStyle(elem, 'height', Math.round(height) + 'px');
+  }
+
+});
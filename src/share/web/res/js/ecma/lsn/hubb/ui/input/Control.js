@@ -0,0 +1,58 @@
+/** @namespace hubb.ui.input */
+ECMAScript.Extend('hubb.ui.input', function (ecma) {
+
+  var _imgQueued = '/res/icons/16x16/status/network-offline.gif';
+  var _imgError = '/res/icons/16x16/status/dialog-error.gif';
+
+  var StatusIcon = this.StatusIcon.prototype;
+
+  StatusIcon.showQueued = function () {
+    ecma.dom.setOpacity(this.elem, 1);
+    ecma.dom.setAttribute(this.elem, 'src', _imgQueued);
+  };
+
+  StatusIcon.showError = function () {
+    ecma.dom.setOpacity(this.elem, 1);
+    ecma.dom.setAttribute(this.elem, 'src', _imgError);
+  };
+
+  var Control = this.Control.prototype;
+
+  /**
+   * @function save
+   * The input is disabled while saving and enabled again however the store
+   * ends: written, queued while offline, failed, or thrown. The value the
+   * node held is sent as the origin (see L<ecma.hubb.DataBridge.store>).
+   */
+
+  Control.save = function () {
+    var origin = this.node.getValue();
+    this.node.setValue(this.input.serialize());
+    ecma.dom.setAttribute(this.input.elem, 'disabled', 'disabled');
+    this.statusIcon.showActive();
+    try {
+      var db = ecma.hubb.getInstance();
+      db.store({
+        'target': this.node.getAddress(),
+        'value': this.node.getValue(),
+        'origin': origin
+      }, [this.onSaveComplete, this, [db]]);
+    } catch (ex) {
+      ecma.dom.removeAttribute(this.input.elem, 'disabled');
+      this.statusIcon.showError();
+      throw ex;
+    }
+  };
+
+  Control.onSaveComplete = function (result, db) {
+    ecma.dom.removeAttribute(this.input.elem, 'disabled');
+    if (!result) {
+      this.statusIcon.showError();
+    } else if (db && db.isQueued(this.node.getAddress())) {
+      this.statusIcon.showQueued();
+    } else {
+      this.statusIcon.showComplete();
+    }
+  };
+
+});
@@ -0,0 +1,25 @@
+/** @namespace hubb.ui.input */
+ECMAScript.Extend('hubb.ui.input', function (ecma) {
+
+  var CInputTextarea = ecma.hubb.ui.input.InputTextarea;
+
+  /**
+   * @class InputMarkdown
+   * Edits the Markdown of a C<data-scalar-md> node in a textarea, beneath
+   * which it is previewed (see L<ecma.hubb.ui.MarkdownPreview>).
+   */
+
+  this.InputMarkdown = function (node) {
+    CInputTextarea.apply(this, [node]);
+    this.preview = new ecma.hubb.ui.MarkdownPreview(this.input.elem);
+    this.appendElements(this.preview.getElements());
+  };
+
+  var _proto = this.InputMarkdown.prototype = ecma.lang.createPrototype(CInputTextarea);
+
+  _proto.setWidth = function (width) {
+    CInputTextarea.prototype.setWidth.apply(this, arguments);
+    ecma.dom.setStyle(this.preview.getElement(), 'width', width);
+  };
+
+});
@@ -0,0 +1,18 @@
+/** @namespace hubb.ui */
+ECMAScript.Extend('hubb.ui', function (ecma) {
+
+  var _createInput = this.createInput;
+
+  /**
+   * @function createInput
+   * As before, with a L<ecma.hubb.ui.input.InputMarkdown> for Markdown
+   * (C<data-scalar-md>).
+   */
+
+  this.createInput = function (node) {
+    return node.getType() == 'data-scalar-md'
+      ? new ecma.hubb.ui.input.InputMarkdown(node)
+      : _createInput.apply(this, arguments);
+  };
+
+});
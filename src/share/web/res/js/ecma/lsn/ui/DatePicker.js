@@ -0,0 +1,459 @@
+/** @namespace lsn.ui */
+ECMAScript.Extend('lsn.ui', function (ecma) {
+
+  var CBase = ecma.lsn.ui.Base;
+  var CElement = ecma.lsn.ui.Element;
+  var _css = null;
+
+  function _initStyles () {
+    if (_css) return;
+    _css = new ecma.dom.StyleSheet();
+    _css.createRule('div.datepicker', {
+      'position': 'absolute',
+      'background-color': '#fff',
+      'border': '1px solid #999',
+      'padding': '.25em',
+      'font-size': 'smaller'
+    });
+    _css.createRule('div.datepicker table', {
+      'border-collapse': 'collapse'
+    });
+    _css.createRule('div.datepicker button', {
+      'border': '0',
+      'background': 'none',
+      'cursor': 'pointer'
+    });
+    _css.createRule('div.datepicker td', {
+      'text-align': 'right',
+      'padding': '.1em .3em',
+      'cursor': 'pointer'
+    });
+    _css.createRule('div.datepicker td.other', {
+      'color': '#999'
+    });
+    _css.createRule('div.datepicker td.today', {
+      'font-weight': 'bold'
+    });
+    _css.createRule('div.datepicker td.cursor', {
+      'outline': '1px solid #69c'
+    });
+    _css.createRule('div.datepicker td.selected', {
+      'background-color': '#69c',
+      'color': '#fff'
+    });
+    _css.createRule('div.datepicker td.disabled', {
+      'color': '#ccc',
+      'cursor': 'default'
+    });
+  }
+
+  // Keys, while the picker is shown, and the method (and its argument) which
+  // each calls
+  var _keys = {
+    'ctrl+left': ['moveCursor', -1],
+    'ctrl+right': ['moveCursor', 1],
+    'up': ['moveCursor', -7],
+    'down': ['moveCursor', 7],
+    'pageup': ['moveMonth', -1],
+    'pagedown': ['moveMonth', 1],
+    'shift+pageup': ['moveMonth', -12],
+    'shift+pagedown': ['moveMonth', 12],
+    'ctrl+home': ['moveToday'],
+    'enter': ['pickCursor'],
+    'esc': ['hide']
+  };
+
+  /**
+   * @class DatePicker
+   * A calendar from which a day (and optionally a time of day) is picked,
+   * shown beneath an element such as a text input.
+   *
+   *  var picker = new ecma.lsn.ui.DatePicker({'time': true, 'min': new Date()});
+   *  picker.addActionListener('select', function (action, date) {
+   *    ...
+   *  });
+   *  picker.show(elem, date);
+   *
+   * Options:
+   *
+   *  date        Pick a day (default true)
+   *  time        Pick a time of day (default false)
+   *  min         Earliest date which may be picked
+   *  max         Latest date which may be picked
+   *  locale      Names and first day of the week (see L<ecma.date.getLocale>)
+   *  minuteStep  Minutes between those which are offered (default 5)
+   *
+   * Bounds may be given as dates or text (see L<ecma.date.toDate>). Days
+   * beyond them are shown but cannot be picked.
+   *
+   * Keys, on the element while the picker is shown:
+   *
+   *  ctrl+left       Previous day
+   *  ctrl+right      Next day
+   *  up              Previous week
+   *  down            Next week
+   *  pageup          Previous month (with shift, year)
+   *  pagedown        Next month (with shift, year)
+   *  ctrl+home       Today
+   *  enter           Pick the highlighted day
+   *  esc             Hide
+   *
+   * Actions:
+   *
+   *  select  (date)  A day or time has been picked
+   *  hide    ()      The picker has been hidden
+   */
+
+  this.DatePicker = function (opts) {
+    CBase.apply(this);
+    CElement.apply(this);
+    this.opts = ecma.util.overlay({
+      'date': true,
+      'time': false,
+      'minuteStep': 5
+    }, opts);
+    this.locale = ecma.date.getLocale(this.opts.locale);
+    this.min = ecma.date.toDate(this.opts.min, null, this.locale);
+    this.max = ecma.date.toDate(this.opts.max, null, this.locale);
+    this.date = null;
+    this.cursor = null;
+    this.month = null;
+    this.cells = [];
+    this.target = null;
+    this.keys = null;
+    _initStyles();
+    this.createUI();
+  };
+
+  var proto = this.DatePicker.prototype = ecma.lang.createPrototype(CBase, CElement);
+
+  proto.getRootElement = function () {
+    return this.getElement('div_root');
+  };
+
+  proto.createUI = function () {
+    var children = [];
+    if (this.opts.date) {
+      var thead = this.createElement('thead', [
+        'tr', [
+          'th', [this.createButton('button_prevYear', '«', -12)],
+          'th', [this.createButton('button_prevMonth', '‹', -1)],
+          'th', {'colspan': 3}, [this.createElement('span_title')],
+          'th', [this.createButton('button_nextMonth', '›', 1)],
+          'th', [this.createButton('button_nextYear', '»', 12)]
+        ]
+      ]);
+      var tr = ecma.dom.createElement('tr');
+      for (var i = 0; i < 7; i++) {
+        var day = (i + this.locale.firstDay) % 7;
+        tr.appendChild(ecma.dom.createElement('th', [
+          '#text', {'nodeValue': this.locale.dayNames[day]}
+        ]));
+      }
+      thead.appendChild(tr);
+      children.push('table', [thead, this.createElement('tbody_days')]);
+      this.addEventListener('tbody_days', 'click', this.onDayClick, this);
+    }
+    if (this.opts.time) {
+      children.push(this.createElement('div_time', {'class': 'time'}, [
+        this.createElement('select_hours'),
+        '#text', {'nodeValue': ':'},
+        this.createElement('select_minutes')
+      ]));
+      this.setOptions('select_hours', 24, 1);
+      this.setOptions('select_minutes', 60, this.opts.minuteStep);
+      this.addEventListener('select_hours', 'change', this.onTimeChange, this);
+      this.addEventListener('select_minutes', 'change', this.onTimeChange, this);
+    }
+    this.createElement('div_root', {'class': 'datepicker'}, children);
+    // Keep the focus on the element for which the picker is shown
+    this.addEventListener('div_root', 'mousedown', function (event) {
+      var target = ecma.dom.getEventTarget(event);
+      if (target.tagName != 'SELECT' && target.tagName != 'OPTION') {
+        ecma.dom.stopEvent(event);
+      }
+    }, this);
+  };
+
+  proto.createButton = function (id, text, months) {
+    var button = this.createElement(id, {
+      'type': 'button',
+      'tabindex': -1
+    }, ['#text', {'nodeValue': text}]);
+    this.addEventListener(id, 'click', function (event) {
+      ecma.dom.stopEvent(event);
+      this.moveMonth(months);
+    }, this);
+    return button;
+  };
+
+  proto.setOptions = function (id, count, step) {
+    var select = this.getElement(id);
+    var isHours = id == 'select_hours';
+    var is12 = this.locale.time.indexOf('h') >= 0;
+    ecma.dom.removeChildren(select);
+    for (var i = 0; i < count; i += step || 1) {
+      var text = isHours && is12
+        ? ecma.date.format(new Date(2000, 0, 1, i), 'h TT')
+        : ecma.util.pad(i, 2);
+      select.appendChild(ecma.dom.createElement('option', {
+        'value': i,
+        'innerHTML': text
+      }));
+    }
+  };
+
+  /**
+   * @function show
+   * Show the picker beneath the element, with the date (if any) selected.
+   */
+
+  proto.show = function (elem, date) {
+    elem = ecma.dom.getElement(elem);
+    var root = this.getRootElement();
+    this.setDate(date);
+    if (this.target !== elem) {
+      if (this.keys) this.keys.remove();
+      this.keys = new ecma.dom.KeyListener(elem, _isKey, this.onKey, this);
+      this.target = elem;
+    }
+    if (!root.parentNode) {
+      ecma.dom.setStyle(root, 'z-index', this.zIndexAlloc());
+      ecma.dom.getBody().appendChild(root);
+    }
+    ecma.dom.setStyles(root, {
+      'left': ecma.dom.getLeft(elem) + 'px',
+      'top': ecma.dom.getBottom(elem) + 'px'
+    });
+  };
+
+  proto.hide = function () {
+    var root = this.getRootElement();
+    if (this.keys) this.keys.remove();
+    this.keys = null;
+    this.target = null;
+    if (!root.parentNode) return;
+    ecma.dom.removeElement(root);
+    this.zIndexFree();
+    this.dispatchAction('hide');
+  };
+
+  proto.isShown = function () {
+    return this.getRootElement().parentNode ? true : false;
+  };
+
+  proto.getDate = function () {
+    return this.date ? new Date(this.date) : null;
+  };
+
+  /**
+   * @function setDate
+   * Select the date (or nothing when null) and show its month.
+   */
+
+  proto.setDate = function (date) {
+    this.date = ecma.date.toDate(date);
+    this.cursor = this.clamp(this.date || _today());
+    this.showMonth(this.cursor);
+    this.updateTime();
+  };
+
+  /**
+   * @function clamp
+   * The date, or the nearest bound when it is beyond one.
+   */
+
+  proto.clamp = function (date) {
+    if (this.min && date < this.min) return new Date(this.min);
+    if (this.max && date > this.max) return new Date(this.max);
+    return date;
+  };
+
+  /**
+   * @function isSelectable
+   * Whether the day of the date is within the bounds.
+   */
+
+  proto.isSelectable = function (date) {
+    var day = _dayOf(date);
+    if (this.min && day < _dayOf(this.min)) return false;
+    if (this.max && day > _dayOf(this.max)) return false;
+    return true;
+  };
+
+  proto.showMonth = function (date) {
+    this.month = new Date(date.getFullYear(), date.getMonth(), 1);
+    this.render();
+  };
+
+  proto.render = function () {
+    if (!this.opts.date) return;
+    var year = this.month.getFullYear();
+    var month = this.month.getMonth();
+    var offset = (this.month.getDay() - this.locale.firstDay + 7) % 7;
+    var today = _today();
+    var tbody = this.getElement('tbody_days');
+    ecma.dom.removeChildren(tbody);
+    ecma.dom.setValue(this.getElement('span_title'),
+      ecma.date.formatLocale(this.month, 'mmmm yyyy', this.locale));
+    this.cells = [];
+    for (var i = 0; i < 42; i++) {
+      if (i % 7 == 0) var tr = tbody.appendChild(ecma.dom.createElement('tr'));
+      var date = new Date(year, month, 1 - offset + i);
+      var classes = [];
+      if (date.getMonth() != month) classes.push('other');
+      if (_isSameDay(date, today)) classes.push('today');
+      if (_isSameDay(date, this.cursor)) classes.push('cursor');
+      if (_isSameDay(date, this.date)) classes.push('selected');
+      if (!this.isSelectable(date)) classes.push('disabled');
+      var td = ecma.dom.createElement('td', {'class': classes.join(' ')}, [
+        '#text', {'nodeValue': date.getDate()}
+      ]);
+      tr.appendChild(td);
+      this.cells.push({'td': td, 'date': date});
+    }
+    var first = new Date(year, month, 1);
+    var last = new Date(year, month + 1, 0);
+    _setDisabled(this.getElement('button_prevMonth'), this.min && first <= _dayOf(this.min));
+    _setDisabled(this.getElement('button_prevYear'), this.min && first <= _dayOf(this.min));
+    _setDisabled(this.getElement('button_nextMonth'), this.max && last >= _dayOf(this.max));
+    _setDisabled(this.getElement('button_nextYear'), this.max && last >= _dayOf(this.max));
+  };
+
+  proto.updateTime = function () {
+    if (!this.opts.time) return;
+    var date = this.date || this.cursor;
+    _setSelected(this.getElement('select_hours'), date.getHours());
+    _setSelected(this.getElement('select_minutes'), date.getMinutes());
+  };
+
+  /**
+   * @function moveCursor
+   * Highlight the day which is the number of days from that highlighted.
+   */
+
+  proto.moveCursor = function (days) {
+    if (!this.opts.date) return;
+    var c = this.cursor;
+    this.cursor = this.clamp(new Date(c.getFullYear(), c.getMonth(),
+      c.getDate() + days, c.getHours(), c.getMinutes()));
+    this.showMonth(this.cursor);
+  };
+
+  /**
+   * @function moveMonth
+   * Show the month which is the number of months from that shown, keeping
+   * the highlighted day of the month (where it can).
+   */
+
+  proto.moveMonth = function (months) {
+    if (!this.opts.date) return;
+    var c = this.cursor;
+    var month = new Date(c.getFullYear(), c.getMonth() + months, 1);
+    var days = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    this.cursor = this.clamp(new Date(month.getFullYear(), month.getMonth(),
+      Math.min(c.getDate(), days), c.getHours(), c.getMinutes()));
+    this.showMonth(this.cursor);
+  };
+
+  proto.moveToday = function () {
+    if (!this.opts.date) return;
+    this.cursor = this.clamp(_today());
+    this.showMonth(this.cursor);
+  };
+
+  proto.pickCursor = function () {
+    this.select(this.cursor);
+    this.hide();
+  };
+
+  /**
+   * @function select
+   * Select the day of the date, at the time of day which is picked (when
+   * picking times), and dispatch the C<select> action.
+   */
+
+  proto.select = function (date) {
+    if (this.opts.date && !this.isSelectable(date)) return;
+    date = new Date(date);
+    if (this.opts.time) {
+      date.setHours(
+        ecma.util.asInt(ecma.dom.getValue(this.getElement('select_hours'))),
+        ecma.util.asInt(ecma.dom.getValue(this.getElement('select_minutes'))),
+        0, 0
+      );
+    } else {
+      date.setHours(0, 0, 0, 0);
+    }
+    this.date = this.clamp(date);
+    this.cursor = this.date;
+    this.showMonth(this.date);
+    this.updateTime();
+    this.dispatchAction('select', this.getDate());
+  };
+
+  proto.onDayClick = function (event) {
+    var td = ecma.dom.getEventTarget(event);
+    while (td && td.tagName != 'TD') td = td.parentNode;
+    for (var i = 0, cell; cell = this.cells[i]; i++) {
+      if (cell.td !== td) continue;
+      if (!this.isSelectable(cell.date)) return;
+      this.select(cell.date);
+      if (!this.opts.time) this.hide();
+      return;
+    }
+  };
+
+  proto.onTimeChange = function (event) {
+    this.select(this.date || this.cursor);
+  };
+
+  proto.onKey = function (event) {
+    var key = _keys[event.seq.ascii];
+    ecma.dom.stopEvent(event);
+    this[key[0]].apply(this, key.slice(1));
+  };
+
+  function _isKey (seq) {
+    return _keys.hasOwnProperty(seq.ascii);
+  }
+
+  function _today () {
+    return _dayOf(new Date());
+  }
+
+  function _dayOf (date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  function _isSameDay (a, b) {
+    return a && b && _dayOf(a).getTime() == _dayOf(b).getTime() ? true : false;
+  }
+
+  function _setDisabled (elem, disabled) {
+    if (disabled) {
+      ecma.dom.setAttribute(elem, 'disabled', 'disabled');
+    } else {
+      ecma.dom.removeAttribute(elem, 'disabled');
+    }
+  }
+
+  // Add the value when it is not one of the options (such as minutes which
+  // are not a multiple of the step)
+  function _setSelected (select, value) {
+    for (var i = 0, opt; opt = select.options[i]; i++) {
+      if (ecma.util.asInt(opt.value) == value) {
+        select.selectedIndex = i;
+        return;
+      }
+      if (ecma.util.asInt(opt.value) > value) break;
+    }
+    var option = ecma.dom.createElement('option', {
+      'value': value,
+      'innerHTML': ecma.util.pad(value, 2)
+    });
+    select.insertBefore(option, select.options[i] || null);
+    select.selectedIndex = i;
+  }
+
+});
@@ -159,6 +159,13 @@ ECMAScript.Extend('res.tabset', function(ecma) {
 
   proto.destroy = function (evt) {
     ecma.dom.stopEvent(evt);
+    // Abort the requests still pending in its page
+    try {
+      var win = this.getWindow();
+      if (win && win.js && win.js.http.abortAll) win.js.http.abortAll();
+    } catch (ex) {
+      // The frame has (likely) loaded a page outside this domain
+    }
     // Destroy the ui
     ecma.dom.removeElement(this.contentElem);
     ecma.dom.removeElement(this.tabElem);